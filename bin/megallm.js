@@ -3,7 +3,13 @@
 // the interactive setup wizard when invoked with no args (preserves the
 // classic `npx megallm@latest` experience).
 
-const argv = process.argv.slice(2);
+const rawArgv = process.argv.slice(2);
+
+// Everything after a bare `--` belongs to a child command (`megallm exec`)
+// and must not be mistaken for our own flags.
+const dashDash = rawArgv.indexOf('--');
+const argv = dashDash === -1 ? rawArgv : rawArgv.slice(0, dashDash);
+const passthrough = dashDash === -1 ? null : rawArgv.slice(dashDash + 1);
 
 // --- tiny flag parser -------------------------------------------------------
 function takeFlag(args, name, hasValue) {
@@ -29,6 +35,11 @@ function takeFlag(args, name, hasValue) {
 
 const profile = takeFlag(argv, '--profile', true) || takeFlag(argv, '-p', true);
 const noBrowser = !!takeFlag(argv, '--no-browser');
+const keyHelper = !!takeFlag(argv, '--api-key-helper');
+const inlineKey = !!takeFlag(argv, '--inline-key');
+const dryRun = !!takeFlag(argv, '--dry-run');
+const json = !!takeFlag(argv, '--json');
+const showSecrets = !!takeFlag(argv, '--show-secrets');
 const wantsHelp = takeFlag(argv, '--help') || takeFlag(argv, '-h');
 const wantsVersion = takeFlag(argv, '--version') || takeFlag(argv, '-v');
 
@@ -40,6 +51,12 @@ MegaLLM CLI — sign in once, configure Claude Code / Codex / OpenCode.
 Usage:
   megallm                        Open the interactive hub (auto-detects TTY)
   megallm setup                  Run the full setup wizard
+    [--tools claude,codex,opencode|all] [--level system|project]
+    [--api-key-stdin] [--install-missing] [--statusline yes|no] [--yes]
+    [--model id|tool=id,…] [--small-model id]
+    [--codex-mode default|profile] [--wire-api chat|responses]
+                                 Answer the wizard from flags; with --yes it never
+                                 prompts (exit codes: README "Unattended setup")
   megallm login [--profile p]    Sign in via the browser (OAuth, loopback redirect)
                   [--no-browser]    Force the device-code fallback (headless / SSH)
   megallm logout [--profile p]   Revoke the saved key and clear local creds
@@ -47,20 +64,86 @@ Usage:
   megallm status [--profile p]   Plain-text snapshot of identity + tools
   megallm doctor [--profile p]   Run diagnostic checks on creds, tools, env
   megallm doctor fix             Auto-repair tool configs that hold a stale key
+  megallm test [tool]            Send one small request per wired tool, using
+                                 its own base URL, key, model and API
   megallm orgs   [--profile p]   List organizations you can switch into
   megallm switch-org [<id>]      Switch to an org and mint a fresh per-org key
-  megallm keys list [--org id]   List API keys in the active (or given) org
-  megallm keys revoke <key_id>   Revoke a key by its id
+    [--model id|tool=id,…] [--small-model id]
+  megallm keys list [--org id | --all-orgs] [--sort field] [--filter f~text]
+                                 Table of API keys in the active (or given) org,
+                                 with the local profile/tool using each one
+  megallm keys create --name <n> [--org id] [--services a,b]
+    [--limit-monthly usd] [--expires 30d|2026-12-31] [--save]
+                                 Mint a named key; printed once, or saved into
+                                 the profile's per-org keys with --save
+  megallm keys limit <key_id> [--monthly usd] [--daily usd] [--rpm n] [--clear]
+                                 Show or change a key's spend and rate limits
+  megallm keys rotate [<key_id>] Replace a key (default: the active one) in
+                                 every profile, tool config and shell export,
+                                 then revoke the old one
+  megallm keys prune [--older-than 30d] [--yes]
+                                 Revoke keys the CLI minted that nothing on
+                                 this machine uses any more
+  megallm keys revoke <key_id> [--force]
+                                 Revoke a key by its id; asks first (or needs
+                                 --force) when this machine still uses it
+  megallm models [--search q] [--owner o] [--refresh]
+                                 Model catalog: context, pricing, capabilities
+                                 (cached in ~/.megallm/cache for offline setup)
+  megallm models sync            Add new models to and drop retired ones from
+                                 tool configs that list them (OpenCode)
+  megallm usage [--org id] [--key id] [--model m] [--since 7d]
+    [--group-by day|model|key] [--no-bars]
+                                 Spend, tokens and remaining balance
 
   megallm link   <tool>          Wire up one tool (claude | codex | opencode)
+    [--model id] [--small-model id]
+                                 Default model, saved with the profile so
+                                 doctor fix and switch-org keep it
+  megallm link claude --api-key-helper
+                                 Claude reads the key via \`megallm credential\`
+                                 (no key in settings.json; --inline-key reverts)
+  megallm link codex --codex-mode profile [--wire-api chat|responses]
+                                 Keep Codex's default provider; MegaLLM runs
+                                 with \`codex --profile megallm\`
   megallm unlink <tool>          Remove MegaLLM keys from one tool
+  megallm credential [--org id]  Print the active profile's key (apiKeyHelper)
+  megallm exec [--org id] -- <cmd> [args…]
+                                 Run one command with MegaLLM env vars injected
+                                 (nothing is written to rc files or configs)
+
+  megallm apply [-f megallm.yaml] Converge profiles, tool configs and env vars to
+                                 a team manifest
+  megallm apply --check          Exit 1 if this machine drifted from the manifest
+
+  megallm backups list [tool]    List saved copies of files the CLI rewrote
+  megallm backups diff <id>      Diff a backup against the current file
+  megallm backups restore <id>   Put a backup back in place
 
   megallm profile list           List saved credential profiles
   megallm profile use <name>     Make <name> the active profile
   megallm profile rm  <name>     Delete a saved profile
 
+  megallm shell-init <shell>     Print the shell function behind \`megallm use\`
+                                 (zsh | bash | fish | pwsh), e.g. in ~/.zshrc:
+                                   eval "$(megallm shell-init zsh)"
+  megallm use <profile> [--org id]
+                                 Switch the current shell to a profile/org
+  megallm env [--org id] [--format sh|fish|pwsh|nu|xonsh|elvish|dotenv]
+                                 Print the MegaLLM env vars for a profile
+
 Global flags:
   --profile <name>  / -p <name>  Use a named credential profile  (env: MEGALLM_PROFILE)
+  --dry-run                      Print the file diffs and env changes a command
+                                 would make, without writing (setup, link,
+                                 unlink, switch-org, doctor fix, apply,
+                                 models sync)
+  --json                         Print one JSON object instead of text (status,
+                                 whoami, orgs, keys list, keys create, keys
+                                 limit, models, models sync, usage, profile
+                                 list, doctor, test, backups list); errors go
+                                 to stderr as JSON
+  --show-secrets                 Print API keys in full instead of masked
   --help    / -h                 Show this help
   --version / -v                 Show the CLI version
 `;
@@ -74,12 +157,46 @@ async function showVersion() {
   console.log(`megallm ${pkg.version}`);
 }
 
+// Commands whose writes can be staged and printed by --dry-run.
+const PLANNABLE = new Set(['setup', 'wizard', 'link', 'unlink', 'switch-org', 'doctor', 'apply', 'models']);
+
+async function planned(fn) {
+  if (!dryRun) return fn();
+  const { runPlan } = await import('../src/utils/plan.js');
+  return runPlan(fn);
+}
+
+// Read commands that can print a JSON object (README: "JSON output").
+const JSON_COMMANDS = new Set([
+  'status', 'whoami', 'orgs', 'keys list', 'keys create', 'keys limit', 'models', 'models sync', 'usage', 'profile list', 'doctor', 'test', 'backups list',
+]);
+
+function commandName() {
+  const action = argv[1]?.startsWith('-') ? undefined : argv[1];
+  if (sub === 'keys' || sub === 'profile' || sub === 'backups') return `${sub} ${action || 'list'}`;
+  if (sub === 'doctor' && action === 'fix') return 'doctor fix';
+  if (sub === 'models' && action === 'sync') return 'models sync';
+  return sub;
+}
+
+let output = null; // src/utils/output.js, loaded when --json / --show-secrets is set
+
+function usageError(message) {
+  if (json) output.printJsonError('usage', message);
+  else console.error(message);
+  process.exit(1);
+}
+
 function dieOnError(promise) {
   return promise.catch(err => {
     if (err && err.message && err.message.includes('User force closed')) {
       console.log('\n👋 Cancelled.');
       process.exit(0);
     }
+    if (json) {
+      output.printJsonError(err.code && typeof err.code === 'string' ? err.code.toLowerCase() : 'error', err.message || String(err));
+      process.exit(1);
+    }
     console.error(`\nError: ${err.message || err}`);
     if (process.env.DEBUG) console.error(err.stack);
     process.exit(1);
@@ -89,6 +206,16 @@ function dieOnError(promise) {
 (async () => {
   if (wantsVersion) return showVersion();
   if (wantsHelp && !sub) { console.log(HELP); return; }
+  if (json || showSecrets) {
+    output = await import('../src/utils/output.js');
+    output.setOutputMode({ json, showSecrets });
+  }
+  if (json && !JSON_COMMANDS.has(commandName())) {
+    usageError(`--json is not supported for \`megallm ${commandName() || ''}\`.`);
+  }
+  if (dryRun && !PLANNABLE.has(sub)) {
+    usageError(`--dry-run is not supported for \`megallm ${sub || ''}\`.`);
+  }
 
   switch (sub) {
     case undefined: {
@@ -107,8 +234,28 @@ function dieOnError(promise) {
     }
     case 'setup':
     case 'wizard': {
+      const options = {
+        profile,
+        tools: takeFlag(argv, '--tools', true),
+        level: takeFlag(argv, '--level', true),
+        apiKeyStdin: !!takeFlag(argv, '--api-key-stdin'),
+        installMissing: !!takeFlag(argv, '--install-missing'),
+        statusline: takeFlag(argv, '--statusline', true),
+        keyMode: keyHelper ? 'helper' : inlineKey ? 'inline' : undefined,
+        model: takeFlag(argv, '--model', true),
+        smallModel: takeFlag(argv, '--small-model', true),
+        codexMode: takeFlag(argv, '--codex-mode', true),
+        wireApi: takeFlag(argv, '--wire-api', true),
+        yes: !!(takeFlag(argv, '--yes') || takeFlag(argv, '-y')),
+      };
       const { default: main } = await import('../src/cli.js');
-      return dieOnError(main());
+      return dieOnError(planned(() => main(options)).then(code => process.exit(code)));
+    }
+    case 'apply': {
+      const check = !!takeFlag(argv, '--check');
+      const file = takeFlag(argv, '--file', true) || takeFlag(argv, '-f', true) || argv[1];
+      const { runApply } = await import('../src/commands/apply.js');
+      return dieOnError(planned(() => runApply({ profile, file, check })).then(code => process.exit(code || 0)));
     }
     case 'status': {
       const { runStatus } = await import('../src/commands/status.js');
@@ -118,20 +265,29 @@ function dieOnError(promise) {
       const action = argv[1];
       if (action === 'fix') {
         const { runDoctorFix } = await import('../src/commands/doctor.js');
-        return dieOnError(runDoctorFix({ profile }).then(code => process.exit(code || 0)));
+        return dieOnError(planned(() => runDoctorFix({ profile })).then(code => process.exit(code || 0)));
       }
       const { runDoctor } = await import('../src/commands/doctor.js');
       return dieOnError(runDoctor({ profile }).then(code => process.exit(code || 0)));
     }
+    case 'test': {
+      const { runTest } = await import('../src/commands/test.js');
+      return dieOnError(runTest({ profile, tool: argv[1] }).then(code => process.exit(code || 0)));
+    }
     case 'link': {
+      const model = takeFlag(argv, '--model', true);
+      const smallModel = takeFlag(argv, '--small-model', true);
+      const codexMode = takeFlag(argv, '--codex-mode', true);
+      const wireApi = takeFlag(argv, '--wire-api', true);
       const tool = argv[1];
+      const keyMode = keyHelper ? 'helper' : inlineKey ? 'inline' : undefined;
       const { runLink } = await import('../src/commands/link.js');
-      return dieOnError(runLink({ profile, tool }));
+      return dieOnError(planned(() => runLink({ profile, tool, keyMode, model, smallModel, codexMode, wireApi })));
     }
     case 'unlink': {
       const tool = argv[1];
       const { runUnlink } = await import('../src/commands/link.js');
-      return dieOnError(runUnlink({ tool }));
+      return dieOnError(planned(() => runUnlink({ tool })));
     }
     case 'profile': {
       const action = argv[1];
@@ -147,6 +303,17 @@ function dieOnError(promise) {
       process.exit(1);
       break;
     }
+    case 'backups': {
+      const action = argv[1];
+      const mod = await import('../src/commands/backups.js');
+      if (!action || action === 'list') return dieOnError(mod.runBackupsList({ tool: argv[2] }));
+      if (action === 'diff')            return dieOnError(mod.runBackupsDiff({ id: argv[2] }));
+      if (action === 'restore')         return dieOnError(mod.runBackupsRestore({ id: argv[2] }));
+      console.error(`Unknown backups action: ${action}`);
+      console.log(HELP);
+      process.exit(1);
+      break;
+    }
     case 'login': {
       const { runLogin } = await import('../src/commands/login.js');
       return dieOnError(runLogin({ profile, setCurrent: !!profile, noBrowser }));
@@ -163,28 +330,132 @@ function dieOnError(promise) {
       const { runOrgs } = await import('../src/commands/orgs.js');
       return dieOnError(runOrgs({ profile }));
     }
+    case 'models': {
+      if (argv[1] === 'sync') {
+        const { runModelsSync } = await import('../src/commands/models.js');
+        return dieOnError(planned(() => runModelsSync({ profile })));
+      }
+      if (dryRun) usageError('--dry-run is only supported for `megallm models sync`.');
+      const options = {
+        profile,
+        search: takeFlag(argv, '--search', true),
+        owner: takeFlag(argv, '--owner', true),
+        refresh: !!takeFlag(argv, '--refresh'),
+      };
+      const { runModels } = await import('../src/commands/models.js');
+      return dieOnError(runModels(options));
+    }
+    case 'usage': {
+      const options = {
+        profile,
+        orgId: takeFlag(argv, '--org', true),
+        keyId: takeFlag(argv, '--key', true),
+        model: takeFlag(argv, '--model', true),
+        since: takeFlag(argv, '--since', true),
+        groupBy: takeFlag(argv, '--group-by', true),
+        bars: !takeFlag(argv, '--no-bars'),
+      };
+      const { runUsage } = await import('../src/commands/usage.js');
+      return dieOnError(runUsage(options));
+    }
     case 'switch-org': {
+      const model = takeFlag(argv, '--model', true);
+      const smallModel = takeFlag(argv, '--small-model', true);
       const orgId = argv[1];
       const { runSwitchOrg } = await import('../src/commands/switch-org.js');
-      return dieOnError(runSwitchOrg({ profile, orgId }));
+      return dieOnError(planned(() => runSwitchOrg({ profile, orgId, model, smallModel })));
     }
     case 'keys': {
       const action = argv[1];
       if (action === 'list' || action === undefined) {
-        const orgId = takeFlag(argv, '--org', true);
+        const options = {
+          profile,
+          orgId: takeFlag(argv, '--org', true),
+          allOrgs: !!takeFlag(argv, '--all-orgs'),
+          sort: takeFlag(argv, '--sort', true),
+          filter: takeFlag(argv, '--filter', true),
+        };
         const { runKeysList } = await import('../src/commands/keys.js');
-        return dieOnError(runKeysList({ profile, orgId }));
+        return dieOnError(runKeysList(options));
+      }
+      if (action === 'create') {
+        const options = {
+          profile,
+          orgId: takeFlag(argv, '--org', true),
+          name: takeFlag(argv, '--name', true),
+          services: takeFlag(argv, '--services', true),
+          limitMonthly: takeFlag(argv, '--limit-monthly', true),
+          expires: takeFlag(argv, '--expires', true),
+          save: !!takeFlag(argv, '--save'),
+        };
+        const { runKeysCreate } = await import('../src/commands/keys.js');
+        return dieOnError(runKeysCreate(options));
+      }
+      if (action === 'limit') {
+        const options = {
+          profile,
+          orgId: takeFlag(argv, '--org', true),
+          monthly: takeFlag(argv, '--monthly', true),
+          daily: takeFlag(argv, '--daily', true),
+          rpm: takeFlag(argv, '--rpm', true),
+          clear: !!takeFlag(argv, '--clear'),
+        };
+        options.keyId = argv[2];
+        const { runKeysLimit } = await import('../src/commands/keys.js');
+        return dieOnError(runKeysLimit(options));
+      }
+      if (action === 'rotate') {
+        const keyId = argv[2];
+        const { runKeysRotate } = await import('../src/commands/keys.js');
+        return dieOnError(runKeysRotate({ profile, keyId }));
+      }
+      if (action === 'prune') {
+        const options = {
+          profile,
+          olderThan: takeFlag(argv, '--older-than', true),
+          yes: !!(takeFlag(argv, '--yes') || takeFlag(argv, '-y')),
+        };
+        const { runKeysPrune } = await import('../src/commands/keys.js');
+        return dieOnError(runKeysPrune(options));
       }
       if (action === 'revoke') {
+        const force = !!takeFlag(argv, '--force');
         const keyId = argv[2];
         const { runKeysRevoke } = await import('../src/commands/keys.js');
-        return dieOnError(runKeysRevoke({ profile, keyId }));
+        return dieOnError(runKeysRevoke({ profile, keyId, force }));
       }
       console.error(`Unknown keys action: ${action}`);
       console.log(HELP);
       process.exit(1);
       break;
     }
+    case 'credential': {
+      const orgId = takeFlag(argv, '--org', true);
+      const { runCredential } = await import('../src/commands/credential.js');
+      return dieOnError(runCredential({ profile, orgId }));
+    }
+    case 'exec': {
+      const orgId = takeFlag(argv, '--org', true);
+      const command = passthrough || argv.slice(1);
+      const { runExec } = await import('../src/commands/exec.js');
+      return dieOnError(runExec({ profile, orgId, command }));
+    }
+    case 'shell-init': {
+      const { runShellInit } = await import('../src/commands/shell-init.js');
+      return dieOnError(runShellInit({ shell: argv[1] }));
+    }
+    case 'use': {
+      const orgId = takeFlag(argv, '--org', true);
+      const emit = takeFlag(argv, '--emit', true);
+      const { runUse } = await import('../src/commands/env.js');
+      return dieOnError(runUse({ name: argv[1], orgId, emit }));
+    }
+    case 'env': {
+      const orgId = takeFlag(argv, '--org', true);
+      const format = takeFlag(argv, '--format', true);
+      const { runEnv } = await import('../src/commands/env.js');
+      return dieOnError(runEnv({ profile, orgId, format }));
+    }
     case 'help': {
       console.log(HELP);
       return;
@@ -62,7 +62,36 @@ export async function createKey(apiKey, { orgId, name, services, limits, expires
   return json?.data || json;
 }
 
+/**
+ * Replace a key's spend / rate limits: { monthly?, daily? } in USD and
+ * { rpm? } in requests per minute; `null` removes every limit. Returns the
+ * updated key record.
+ */
+export async function updateKeyLimits(apiKey, keyId, limits) {
+  const json = await callApi(apiKey, 'PATCH', `/api/v1/keys/${encodeURIComponent(keyId)}`, { body: { limits } });
+  return json?.data || json;
+}
+
 /** Revoke an API key by its backend `api_key_id`. */
 export async function revokeKey(apiKey, keyId) {
   await callApi(apiKey, 'DELETE', `/api/v1/keys/${encodeURIComponent(keyId)}`);
 }
+
+/**
+ * Spend and token usage for an org since `since` (ISO timestamp), optionally
+ * for one key or model, bucketed by `groupBy` (`day` | `model` | `key`).
+ * Returns { rows: [{ group, requests, input_tokens, output_tokens, cost_usd, … }], totals }
+ * (raw backend shape preserved).
+ */
+export async function getUsage(apiKey, { orgId, keyId, model, since, groupBy } = {}) {
+  const json = await callApi(apiKey, 'GET', '/api/v1/usage', {
+    query: { org: orgId, key: keyId, model, since, group_by: groupBy },
+  });
+  return json?.data || json;
+}
+
+/** Remaining credit for an org: { balance_usd, credit_limit_usd?, currency? }. */
+export async function getBalance(apiKey, orgId) {
+  const json = await callApi(apiKey, 'GET', '/api/v1/billing/balance', { query: { org: orgId } });
+  return json?.data || json;
+}
@@ -11,7 +11,26 @@
 // Returns { apiKey, apiKeyId, keyPrefix, reused, keysByOrg } where
 // `keysByOrg` is the updated cache the caller should persist.
 
-import { listKeys, createKey } from './api.js';
+import { listKeys, createKey, listOrgs } from './api.js';
+import { readAuth, writeAuth, resolveProfileName } from './store.js';
+import { isPlanning } from '../utils/fs-layer.js';
+
+// Stand-in for a key that a dry run would have minted.
+export const PLANNED_KEY = 'sk-mega-<new-key-minted-on-apply>';
+
+// Keys the CLI mints on its own are named `MegaLLM CLI · YYYY-MM-DD`;
+// `keys prune` finds them by this prefix.
+const CLI_KEY_NAME_PREFIX = 'MegaLLM CLI · ';
+
+/** Name for a key the CLI mints on the user's behalf. */
+export function cliKeyName(date = new Date()) {
+  return `${CLI_KEY_NAME_PREFIX}${date.toISOString().slice(0, 10)}`;
+}
+
+/** True for names cliKeyName() produced. */
+export function isCliKeyName(name) {
+  return typeof name === 'string' && name.startsWith(CLI_KEY_NAME_PREFIX);
+}
 
 async function verifyKeyAlive(authApiKey, orgId, cached) {
   try {
@@ -48,11 +67,18 @@ export async function resolveKeyForOrg({ auth, org, onProgress }) {
     }
   }
 
+  if (!apiKey && isPlanning()) {
+    // Dry run: minting is a server-side write, so plan with a stand-in key.
+    onProgress?.(`Would create a new API key for ${org.org_name}`);
+    apiKey    = PLANNED_KEY;
+    keyPrefix = PLANNED_KEY.slice(0, 16);
+  }
+
   if (!apiKey) {
     onProgress?.(`Creating a new API key for ${org.org_name}…`);
     const minted = await createKey(auth.apiKey, {
       orgId: org.org_id,
-      name: `MegaLLM CLI · ${new Date().toISOString().slice(0, 10)}`,
+      name: cliKeyName(),
     });
     apiKey    = minted.api_key || minted.apiKey;
     apiKeyId  = minted.api_key_id || minted.apiKeyId || null;
@@ -82,3 +108,41 @@ export async function resolveKeyForOrg({ auth, org, onProgress }) {
 
   return { apiKey, apiKeyId, keyPrefix, reused, keysByOrg };
 }
+
+/**
+ * Key for a profile, optionally for an org other than the profile's active
+ * one. Serves `exec` / `env` style commands that need *a* key without
+ * switching anything: the cached `keysByOrg` entry is used as-is, and only a
+ * cache miss goes to the backend (`resolveKeyForOrg`), whose result is saved
+ * back into the profile's cache. The active org is never changed.
+ *
+ * @param {object} args
+ * @param {string} [args.profile]  Explicit profile name (else the usual resolution).
+ * @param {string} [args.orgId]    Org id; defaults to the profile's active org.
+ * @param {(msg: string) => void} [args.onProgress]
+ * @returns {Promise<{ profile: string, apiKey: string, orgId: string|null, orgName: string|null }>}
+ */
+export async function resolveProfileKey({ profile, orgId, onProgress } = {}) {
+  const name = resolveProfileName(profile);
+  const auth = await readAuth(name);
+  if (!auth?.apiKey) {
+    throw new Error(`Not signed in (profile "${name}"). Run \`megallm login\`.`);
+  }
+
+  if (!orgId || orgId === auth.orgId) {
+    return { profile: name, apiKey: auth.apiKey, orgId: auth.orgId || null, orgName: auth.orgName || null };
+  }
+
+  const cached = auth.keysByOrg?.[orgId];
+  if (cached?.api_key) {
+    return { profile: name, apiKey: cached.api_key, orgId, orgName: cached.org_name || null };
+  }
+
+  const orgs = await listOrgs(auth.apiKey);
+  const org = orgs.find(o => o.org_id === orgId);
+  if (!org) throw new Error(`You are not a member of org "${orgId}".`);
+
+  const resolved = await resolveKeyForOrg({ auth, org, onProgress });
+  await writeAuth({ ...auth, keysByOrg: resolved.keysByOrg }, name);
+  return { profile: name, apiKey: resolved.apiKey, orgId, orgName: org.org_name };
+}
@@ -1,5 +1,5 @@
 // Persistent credential store at ~/.megallm/. Profile-aware (AWS CLI style).
-import fs from 'fs-extra';
+import { layerFs as fs } from '../utils/fs-layer.js';
 import path from 'path';
 import os from 'os';
 import {
@@ -40,6 +40,10 @@ function statePath(name) {
   return path.join(profileDir(name), 'state.json');
 }
 
+function modelsPath(name) {
+  return path.join(profileDir(name), 'models.json');
+}
+
 export async function ensureMegallmHome() {
   await fs.ensureDir(MEGALLM_HOME);
   // Best-effort tighten perms on Unix; ignore on Windows.
@@ -114,6 +118,23 @@ export async function writeState(state, profile = DEFAULT_PROFILE) {
   await fs.writeJson(statePath(profile), state, { spaces: 2 });
 }
 
+/**
+ * The default model picked for each tool with this profile, so later
+ * rewrites of the tool configs (`doctor fix`, `switch-org`) keep it. Kept
+ * apart from auth.json, which `login` replaces wholesale.
+ *
+ * Shape: `{ claude?: { model?, smallModel? }, codex?: { model? }, opencode?: { model? } }`
+ */
+export async function readToolModels(profile = DEFAULT_PROFILE) {
+  try { return await fs.readJson(modelsPath(profile)); } catch { return {}; }
+}
+
+export async function writeToolModels(models, profile = DEFAULT_PROFILE) {
+  await ensureMegallmHome();
+  await fs.ensureDir(profileDir(profile));
+  await fs.writeJson(modelsPath(profile), models, { spaces: 2 });
+}
+
 export async function setCurrentProfile(name) {
   await ensureMegallmHome();
   let cfg = {};
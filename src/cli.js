@@ -18,15 +18,17 @@ import {
   promptRetry,
   promptExistingConfigAction,
   confirmOverride,
-  promptStatuslineSetup
+  promptStatuslineSetup,
+  promptClaudeKeyMode,
+  promptCodexMode
 } from './utils/prompts.js';
 import { select, confirm } from '@inquirer/prompts';
 import { installClaudeCode, installCodex, installOpenCode, promptInstallation } from './utils/installer.js';
 import { configureClaude } from './configurators/claude.js';
-import { configureCodex } from './configurators/codex.js';
+import { configureCodex, readCodexMode, CODEX_MODES, WIRE_APIS } from './configurators/codex.js';
 import { configureOpenCode } from './configurators/opencode.js';
 import { configureStatusline, isStatuslineConfigured } from './configurators/statusline.js';
-import { reloadShell, setEnvironmentVariable } from './utils/shell.js';
+import { reloadShell } from './utils/shell.js';
 import { MEGALLM_BASE_URL, SETUP_LEVELS } from './constants.js';
 import { checkExistingConfiguration, removeEnvVars, detectExistingEnvVars, removeConfigurationFiles } from './utils/envDetector.js';
 import { loginWithBrowser } from './auth/login.js';
@@ -34,6 +36,88 @@ import { readAuth, resolveProfileName, writeAuth, writeState } from './auth/stor
 import { fetchUserInfo } from './auth/oauth.js';
 import { listOrgs } from './auth/api.js';
 import { resolveKeyForOrg } from './auth/keys.js';
+import { toolEnvVars, applyToolEnv } from './utils/configure-tools.js';
+import { isCapturing } from './utils/fs-layer.js';
+import { applyTransaction } from './utils/transaction.js';
+import { parseModelFlags, resolveToolModels, pickToolModels, saveToolModels } from './utils/tool-models.js';
+
+/**
+ * Exit codes of `megallm setup`, so scripts can tell a missing tool from a
+ * missing key from a failed write (README: "Unattended setup").
+ */
+export const SETUP_EXIT = {
+  OK: 0,
+  FAILED: 1,          // configuration could not be applied (rolled back)
+  USAGE: 2,           // bad flag value, or a prompt was needed without --yes
+  TOOL_MISSING: 3,    // a requested tool is not installed
+  NO_API_KEY: 4,      // no key on stdin and none saved in the profile
+  INSTALL_FAILED: 5,  // --install-missing could not install a tool
+};
+
+/** A setup step that cannot continue; main() prints it and returns `exitCode`. */
+class SetupError extends Error {
+  constructor(exitCode, message) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+const TOOL_NAMES = { claude: 'Claude Code', codex: 'Codex', opencode: 'OpenCode' };
+const INSTALLERS = { claude: installClaudeCode, codex: installCodex, opencode: installOpenCode };
+
+/** `--tools claude,codex` / `--tools all` → ['claude', 'codex']. */
+function parseToolsFlag(value) {
+  const names = String(value).split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+  if (names.includes('all')) return Object.keys(TOOL_NAMES);
+  const unknown = names.filter(t => !TOOL_NAMES[t]);
+  if (unknown.length || !names.length) {
+    throw new SetupError(SETUP_EXIT.USAGE,
+      `--tools expects a comma-separated list of claude, codex, opencode, or "all" (got "${value}").`);
+  }
+  return [...new Set(names)];
+}
+
+function parseLevelFlag(value) {
+  if (value === 'system') return SETUP_LEVELS.SYSTEM;
+  if (value === 'project') return SETUP_LEVELS.PROJECT;
+  throw new SetupError(SETUP_EXIT.USAGE, `--level expects "system" or "project" (got "${value}").`);
+}
+
+function parseCodexModeFlag(value) {
+  if (CODEX_MODES.includes(value)) return value;
+  throw new SetupError(SETUP_EXIT.USAGE, `--codex-mode expects "default" or "profile" (got "${value}").`);
+}
+
+function parseWireApiFlag(value) {
+  if (WIRE_APIS[value]) return value;
+  throw new SetupError(SETUP_EXIT.USAGE, `--wire-api expects "chat" or "responses" (got "${value}").`);
+}
+
+function parseStatuslineFlag(value) {
+  if (value === true || value === 'yes') return 'yes';
+  if (value === 'no') return 'no';
+  throw new SetupError(SETUP_EXIT.USAGE, `--statusline expects "yes" or "no" (got "${value}").`);
+}
+
+/** The interactive wizard's tool choice → the tools it stands for. */
+function toolsForChoice(choice) {
+  if (choice === 'all') return Object.keys(TOOL_NAMES);
+  if (choice === 'both') return ['claude', 'codex'];
+  return [choice];
+}
+
+async function readApiKeyFromStdin() {
+  if (process.stdin.isTTY) {
+    throw new SetupError(SETUP_EXIT.USAGE, '--api-key-stdin expects the key on a pipe, e.g. `echo "$MEGALLM_API_KEY" | megallm setup …`.');
+  }
+  let data = '';
+  for await (const chunk of process.stdin) data += chunk;
+  const key = data.trim();
+  if (key.length < 20) {
+    throw new SetupError(SETUP_EXIT.NO_API_KEY, 'No API key (or one too short to be valid) was read from stdin.');
+  }
+  return key;
+}
 
 /**
  * Resolve a usable MegaLLM API key for the wizard.
@@ -46,10 +130,10 @@ import { resolveKeyForOrg } from './auth/keys.js';
  * and mints a fresh per-org key so the key the wizard installs is scoped
  * correctly out of the box.
  *
+ * @param {string} [profile]  Credential profile to reuse or sign in to.
  * @returns {Promise<{ apiKey: string, source: 'login' | 'paste' | 'existing' }>}
  */
-async function obtainApiKey() {
-  const profile = resolveProfileName();
+async function obtainApiKey(profile = resolveProfileName()) {
   const existing = await readAuth(profile);
 
   let sessionLabel = '';
@@ -85,6 +169,10 @@ async function obtainApiKey() {
   }
 
   // method === 'login'
+  if (isCapturing()) {
+    throw new Error('Browser sign-in creates a key on the server, so it cannot be part of a dry run. ' +
+      'Run `megallm login` first, or paste a key.');
+  }
   let record = await loginWithBrowser({ profile });
 
   // If the account has multiple orgs, let the user pick one and mint a fresh
@@ -161,9 +249,10 @@ async function showBanner() {
 /**
  * Handle statusline setup flow
  * @param {Object} toolsStatus - Status of installed tools
+ * @param {'yes'|'no'} [choice] - Answer from `--statusline`; asked when unset
  * @returns {Promise<void>}
  */
-async function handleStatuslineSetup(toolsStatus) {
+async function handleStatuslineSetup(toolsStatus, choice) {
   if (!toolsStatus.claude.installed) {
     return;
   }
@@ -171,7 +260,7 @@ async function handleStatuslineSetup(toolsStatus) {
   const statuslineConfigured = await isStatuslineConfigured();
 
   if (!statuslineConfigured) {
-    const wantsStatusline = await promptStatuslineSetup();
+    const wantsStatusline = choice ? choice === 'yes' : await promptStatuslineSetup();
 
     if (wantsStatusline) {
       const statuslineSuccess = await configureStatusline(true);
@@ -194,13 +283,71 @@ async function handleStatuslineSetup(toolsStatus) {
  * configuration level and API key collection, per-tool configuration, optional system environment variable updates,
  * optional Claude Code statusline setup, shell reload, and final usage instructions.
  *
+ * Every question can be answered up front with a flag. With `yes` set nothing is asked at all: anything the
+ * flags and the saved profile do not cover fails fast with one of the SETUP_EXIT codes, which makes the wizard
+ * usable from Dockerfiles and dotfile bootstrap scripts.
+ *
  * This function performs system-side effects (installing packages, modifying configuration and environment files,
- * reloading the shell) and may call process.exit to terminate the process based on user choices or errors.
+ * reloading the shell) and resolves to the process exit code instead of exiting itself.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.profile]            Credential profile for the key.
+ * @param {string} [opts.tools]              `claude,codex,opencode` or `all`.
+ * @param {string} [opts.level]              `system` or `project`.
+ * @param {boolean} [opts.apiKeyStdin]       Read the API key from stdin.
+ * @param {boolean} [opts.installMissing]    Install requested tools that are missing.
+ * @param {string|boolean} [opts.statusline] `yes` or `no`.
+ * @param {'helper'|'inline'} [opts.keyMode] How Claude Code gets its key.
+ * @param {string} [opts.model]             Default model: one id, or `tool=id` pairs.
+ * @param {string} [opts.smallModel]        Claude Code's small/fast model.
+ * @param {'default'|'profile'} [opts.codexMode] MegaLLM as Codex's default provider, or only in `[profiles.megallm]`.
+ * @param {'chat'|'responses'} [opts.wireApi] Codex `wire_api`.
+ * @param {boolean} [opts.yes]               Never prompt.
+ * @returns {Promise<number>} One of SETUP_EXIT.
  */
-async function main() {
-  await showBanner();
+async function main(opts = {}) {
+  const unattended = !!opts.yes;
 
   try {
+    if (!unattended && !process.stdin.isTTY) {
+      throw new SetupError(SETUP_EXIT.USAGE,
+        'megallm setup needs a terminal to ask its questions. To run it unattended, pass --yes together with --tools.');
+    }
+
+    // Validate flags and read the key before touching anything, so an
+    // unattended run fails in the first second rather than after installs.
+    const requestedTools = opts.tools ? parseToolsFlag(opts.tools) : null;
+    const levelFlag = opts.level ? parseLevelFlag(opts.level) : null;
+    const codexModeFlag = opts.codexMode !== undefined ? parseCodexModeFlag(opts.codexMode) : undefined;
+    const wireApi = opts.wireApi !== undefined ? parseWireApiFlag(opts.wireApi) : undefined;
+    const statuslineFlag = opts.statusline !== undefined ? parseStatuslineFlag(opts.statusline) : (unattended ? 'no' : undefined);
+    const profile = resolveProfileName(opts.profile);
+    let modelFlags;
+    try { modelFlags = parseModelFlags(opts); }
+    catch (err) { throw new SetupError(SETUP_EXIT.USAGE, err.message); }
+
+    if (unattended && !requestedTools) {
+      throw new SetupError(SETUP_EXIT.USAGE, '--yes needs --tools (claude, codex, opencode, a comma-separated list, or all).');
+    }
+
+    let keyFromFlags = null;
+    if (opts.apiKeyStdin) {
+      if (opts.keyMode === 'helper') {
+        throw new SetupError(SETUP_EXIT.USAGE,
+          '--api-key-helper reads the key from a saved profile; it cannot be combined with --api-key-stdin. Run `megallm login` first.');
+      }
+      keyFromFlags = { apiKey: await readApiKeyFromStdin(), source: 'paste' };
+    } else if (unattended) {
+      const saved = await readAuth(profile);
+      if (!saved?.apiKey) {
+        throw new SetupError(SETUP_EXIT.NO_API_KEY,
+          `No API key: profile "${profile}" has no saved key. Pipe one in with --api-key-stdin, or run \`megallm login\` first.`);
+      }
+      keyFromFlags = { apiKey: saved.apiKey, source: 'existing' };
+    }
+
+    if (!unattended) await showBanner();
+
     // Step 1: Detect OS
     console.log(chalk.cyan('\n🔍 Detecting system information...'));
     const osInfo = detectOS();
@@ -245,8 +392,30 @@ async function main() {
     const codexInstalled = toolsStatus.codex.installed;
     const opencodeInstalled = toolsStatus.opencode.installed;
 
+    // --tools names exactly what to configure: install what is missing if
+    // asked to, otherwise stop before anything is written.
+    if (requestedTools) {
+      let missing = requestedTools.filter(t => !toolsStatus[t].installed);
+      if (missing.length && !opts.installMissing) {
+        throw new SetupError(SETUP_EXIT.TOOL_MISSING,
+          `${missing.map(t => TOOL_NAMES[t]).join(', ')} not installed. Install it first or pass --install-missing.`);
+      }
+      for (const tool of missing) {
+        await INSTALLERS[tool]();
+      }
+      if (missing.length) {
+        toolsStatus = checkToolsStatus();
+        installedTools = getInstalledTools();
+        missing = missing.filter(t => !toolsStatus[t].installed);
+        // A dry run only reports the installs; configure as if they happened.
+        if (missing.length && !isCapturing()) {
+          throw new SetupError(SETUP_EXIT.INSTALL_FAILED,
+            `Could not install ${missing.map(t => TOOL_NAMES[t]).join(', ')}.`);
+        }
+      }
+    }
     // If no tools are installed, offer to install them
-    if (!toolsStatus.anyInstalled) {
+    else if (!toolsStatus.anyInstalled) {
       console.log(chalk.yellow('\n⚠ No supported tools are installed.'));
       console.log(chalk.cyan('MegaLLM supports Claude Code, Codex, and OpenCode.'));
 
@@ -299,7 +468,7 @@ async function main() {
           console.log(chalk.gray('  Claude Code: npm install -g @anthropic-ai/claude-code'));
           console.log(chalk.gray('  Codex: npm install -g @openai/codex'));
           console.log(chalk.gray('  OpenCode: npm install -g opencode-ai'));
-          process.exit(1);
+          return SETUP_EXIT.INSTALL_FAILED;
         }
       } else {
         console.log(chalk.red('\n❌ No tools available for configuration.'));
@@ -307,7 +476,7 @@ async function main() {
         console.log(chalk.gray('  Claude Code: npm install -g @anthropic-ai/claude-code'));
         console.log(chalk.gray('  Codex: npm install -g @openai/codex'));
         console.log(chalk.gray('  OpenCode: npm install -g opencode-ai'));
-        process.exit(1);
+        return SETUP_EXIT.TOOL_MISSING;
       }
     }
     // If some tools are installed but not all, offer to install missing ones
@@ -383,6 +552,7 @@ async function main() {
     console.log(chalk.cyan('\n🔍 Checking for existing MegaLLM configuration...'));
     const existingConfig = await checkExistingConfiguration();
     const envVars = await detectExistingEnvVars();
+    let removeExisting = false;
 
     if (existingConfig.isConfigured && existingConfig.locations.length > 0) {
       // Show detailed information about existing configuration
@@ -409,61 +579,36 @@ async function main() {
         });
       }
 
-      // Ask user what to do
-      const action = await promptExistingConfigAction(existingConfig.locations);
+      // Ask user what to do. Unattended runs update it in place, the same
+      // writes a fresh setup makes.
+      const action = unattended ? 'update' : await promptExistingConfigAction(existingConfig.locations);
 
       if (action === 'skip') {
         console.log(chalk.green('\n✅ Keeping existing configuration.'));
         console.log(chalk.cyan('MegaLLM is already set up and ready to use!'));
 
         // Check for statusline setup if Claude Code is installed
-        await handleStatuslineSetup(toolsStatus);
+        await handleStatuslineSetup(toolsStatus, statuslineFlag);
 
-        process.exit(0);
+        return SETUP_EXIT.OK;
       } else if (action === 'cancel') {
         console.log(chalk.yellow('\n👋 Setup cancelled.'));
-        process.exit(0);
+        return SETUP_EXIT.OK;
       } else if (action === 'override') {
         // Confirm override action
         const confirmAction = await confirmOverride(existingConfig.locations);
 
         if (!confirmAction) {
           console.log(chalk.yellow('\n👋 Setup cancelled.'));
-          process.exit(0);
+          return SETUP_EXIT.OK;
         }
 
-        // Remove existing configuration
-        console.log(chalk.cyan('\n🧹 Removing existing configuration...'));
-
-        // Remove environment variables
-        const removeResult = await removeEnvVars();
-
-        // Remove configuration files
-        const fileRemoveResult = await removeConfigurationFiles();
-
-        // Show results
-        if (removeResult.removed.length > 0) {
-          console.log(chalk.green('✓ Removed environment variables from:'));
-          removeResult.removed.forEach(item => {
-            console.log(chalk.gray(`  • ${item.location}`));
-          });
-        }
-
-        if (fileRemoveResult.removed.length > 0) {
-          console.log(chalk.green('✓ Cleaned configuration files:'));
-          fileRemoveResult.removed.forEach(item => {
-            console.log(chalk.gray(`  • ${item.file} (${item.action})`));
-          });
-        }
-
-        if (removeResult.errors.length > 0 || fileRemoveResult.errors.length > 0) {
-          console.log(chalk.yellow('\n⚠ Some locations could not be cleaned:'));
-          [...removeResult.errors, ...fileRemoveResult.errors].forEach(error => {
-            console.log(chalk.gray(`  • ${error}`));
-          });
-        }
-
-        console.log(chalk.green('\n✓ Old configuration removed. Proceeding with new setup...'));
+        // The old configuration is removed in the same transaction as the
+        // new one is written, so a failed setup leaves both as they were.
+        removeExisting = true;
+        console.log(chalk.gray('\n  The existing configuration will be removed along with the new setup.'));
+      } else if (action === 'update') {
+        console.log(chalk.gray('\n  Updating it (--yes).'));
       }
     } else if (existingConfig.hasBaseUrl || existingConfig.hasApiKey) {
       // Partial configuration exists
@@ -473,14 +618,14 @@ async function main() {
         console.log(chalk.gray(`  • Base URL: ${existingConfig.baseUrlValue} (not MegaLLM)`));
       }
 
-      const proceed = await confirm({
+      const proceed = unattended || await confirm({
         message: 'Would you like to update the configuration to use MegaLLM?',
         default: true
       });
 
       if (!proceed) {
         console.log(chalk.yellow('\n👋 Setup cancelled.'));
-        process.exit(0);
+        return SETUP_EXIT.OK;
       }
     } else {
       console.log(chalk.gray('✓ No existing MegaLLM configuration found'));
@@ -488,47 +633,95 @@ async function main() {
 
     // Step 3: Tool selection
     console.log(chalk.cyan('\n📋 Configuration Setup'));
-    const selectedTool = await promptToolSelection(installedTools);
+    let selected = requestedTools;
+    if (selected) {
+      console.log(chalk.gray(`  Tools: ${selected.map(t => TOOL_NAMES[t]).join(', ')}`));
+    } else {
+      const selectedTool = await promptToolSelection(installedTools);
 
-    if (!selectedTool || selectedTool === 'skip') {
-      console.log(chalk.gray(`\nSkipped. Run ${chalk.bold('megallm setup')} or ${chalk.bold('megallm link <tool>')} any time.\n`));
-      process.exit(0);
+      if (!selectedTool || selectedTool === 'skip') {
+        console.log(chalk.gray(`\nSkipped. Run ${chalk.bold('megallm setup')} or ${chalk.bold('megallm link <tool>')} any time.\n`));
+        return SETUP_EXIT.OK;
+      }
+      selected = toolsForChoice(selectedTool);
     }
+    const wantsClaude = selected.includes('claude');
+    const wantsCodex = selected.includes('codex');
+    const wantsOpenCode = selected.includes('opencode');
 
     // Step 4: Setup level selection
     // For Codex, always use system-level
     let setupLevel;
-    if (selectedTool === 'codex') {
+    if (selected.length === 1 && wantsCodex) {
       console.log(chalk.cyan('\n📋 Configuration Level:'));
       console.log(chalk.gray('  Codex/Windsurf only supports system-level configuration'));
       setupLevel = SETUP_LEVELS.SYSTEM;
     } else {
-      setupLevel = await promptSetupLevel();
+      setupLevel = levelFlag || (unattended ? SETUP_LEVELS.SYSTEM : await promptSetupLevel());
+    }
+
+    // Step 5: API Key — from the flags, or login with browser, paste, or
+    // reuse saved session.
+    const { apiKey, source } = keyFromFlags || await obtainApiKey(profile);
+    if (keyFromFlags) {
+      console.log(chalk.green(source === 'paste'
+        ? '\n✓ Using the API key read from stdin'
+        : `\n✓ Using the API key saved in profile "${profile}"`));
+    }
+
+    // Step 5.5: Claude key mode. The apiKeyHelper reads the key from the
+    // saved profile, so it is only offered when the key lives in one.
+    let claudeKeyMode = 'inline';
+    if (wantsClaude && source !== 'paste') {
+      claudeKeyMode = opts.keyMode || (unattended ? 'helper' : await promptClaudeKeyMode());
+    }
+
+    // Step 5.55: Codex as the default provider or behind `codex --profile megallm`.
+    let codexMode = codexModeFlag;
+    if (wantsCodex && !codexMode && !unattended) {
+      codexMode = await promptCodexMode(await readCodexMode());
     }
 
-    // Step 5: API Key — login with browser, paste, or reuse saved session.
-    const { apiKey } = await obtainApiKey();
+    // Step 5.6: Default model per tool — from the flags, else the picker
+    // (seeded with what this profile chose last time).
+    let toolModels;
+    try {
+      const resolved = await resolveToolModels({ tools: selected, flags: modelFlags, profile, apiKey });
+      toolModels = resolved.models;
+      if (!unattended) {
+        await pickToolModels({ tools: selected.filter(t => !resolved.fromFlags.has(t)), models: toolModels, apiKey });
+      }
+    } catch (err) {
+      if (err.message?.includes('User force closed')) throw err;
+      throw new SetupError(SETUP_EXIT.USAGE, err.message);
+    }
+    const modelSummary = selected
+      .map(t => [t, [toolModels[t].model, toolModels[t].smallModel].filter(Boolean).join(' + ')])
+      .filter(([, m]) => m)
+      .map(([t, m]) => `${TOOL_NAMES[t]}: ${m}`)
+      .join(', ');
 
     // Step 6: Confirm configuration
     const configSummary = {
-      tool: selectedTool === 'all' ? 'All tools (Claude Code, Codex & OpenCode)' :
-            selectedTool === 'both' ? 'Claude Code & Codex' :
-            selectedTool === 'claude' ? 'Claude Code' :
-            selectedTool === 'codex' ? 'Codex' : 'OpenCode',
+      tool: selected.length === 3 ? 'All tools (Claude Code, Codex & OpenCode)' :
+            selected.map(t => TOOL_NAMES[t]).join(' & '),
       level: setupLevel,
       baseUrl: MEGALLM_BASE_URL,
+      ...(wantsClaude ? { claudeKeyMode } : {}),
+      ...(wantsCodex && codexMode ? { codexMode } : {}),
+      ...(modelSummary ? { models: modelSummary } : {}),
       apiKey: apiKey
     };
 
-    const confirmed = await confirmConfiguration(configSummary);
+    const confirmed = unattended || await confirmConfiguration(configSummary);
 
     if (!confirmed) {
       const retry = await promptRetry('Would you like to reconfigure?');
       if (retry) {
-        return main(); // Restart the process
+        return main(opts); // Restart the process
       } else {
         console.log(chalk.yellow('\nSetup cancelled.'));
-        process.exit(0);
+        return SETUP_EXIT.OK;
       }
     }
 
@@ -538,55 +731,99 @@ async function main() {
     const isSystemLevel = setupLevel === SETUP_LEVELS.SYSTEM;
     const configLevel = isSystemLevel ? 'system' : 'project';
 
-    let success = true;
+    // Every config and rc write below is staged and committed together, so
+    // a failing tool leaves all of them as they were.
+    const steps = [];
+
+    if (removeExisting) {
+      steps.push({
+        name: 'removing the existing configuration',
+        run: async () => {
+          console.log(chalk.cyan('\n🧹 Removing existing configuration...'));
+
+          // Remove environment variables
+          const removeResult = await removeEnvVars();
 
-    // Configure Claude Code
-    if (selectedTool === 'claude' || selectedTool === 'both' || selectedTool === 'all') {
-      const claudeSuccess = await configureClaude(apiKey, configLevel);
-      success = success && claudeSuccess;
+          // Remove configuration files
+          const fileRemoveResult = await removeConfigurationFiles();
+
+          // Show results
+          if (removeResult.removed.length > 0) {
+            console.log(chalk.green('✓ Removed environment variables from:'));
+            removeResult.removed.forEach(item => {
+              console.log(chalk.gray(`  • ${item.location}`));
+            });
+          }
+
+          if (fileRemoveResult.removed.length > 0) {
+            console.log(chalk.green('✓ Cleaned configuration files:'));
+            fileRemoveResult.removed.forEach(item => {
+              console.log(chalk.gray(`  • ${item.file} (${item.action})`));
+            });
+          }
+
+          if (removeResult.errors.length > 0 || fileRemoveResult.errors.length > 0) {
+            console.log(chalk.yellow('\n⚠ Some locations could not be cleaned:'));
+            [...removeResult.errors, ...fileRemoveResult.errors].forEach(error => {
+              console.log(chalk.gray(`  • ${error}`));
+            });
+          }
+        },
+      });
     }
 
-    // Configure Codex
-    if (selectedTool === 'codex' || selectedTool === 'both' || selectedTool === 'all') {
-      const codexSuccess = await configureCodex(apiKey, configLevel);
-      success = success && codexSuccess;
+    if (wantsClaude) {
+      steps.push({ name: 'Claude Code', run: () => configureClaude(apiKey, configLevel, { keyMode: claudeKeyMode, ...toolModels.claude }) });
     }
 
-    // Configure OpenCode
-    if (selectedTool === 'opencode' || selectedTool === 'all') {
-      const opencodeSuccess = await configureOpenCode(apiKey, configLevel);
-      success = success && opencodeSuccess;
+    if (wantsCodex) {
+      steps.push({ name: 'Codex', run: () => configureCodex(apiKey, configLevel, { ...toolModels.codex, mode: codexMode, wireApi }) });
     }
 
-    if (!success) {
-      console.log(chalk.red('\n❌ Configuration failed!'));
-      const retry = await promptRetry();
-      if (retry) {
-        return main();
-      }
-      process.exit(1);
+    if (wantsOpenCode) {
+      steps.push({ name: 'OpenCode', run: () => configureOpenCode(apiKey, configLevel, toolModels.opencode) });
     }
 
     // Step 8: Set environment variables (optional for system-level)
     if (isSystemLevel) {
-      console.log(chalk.cyan('\n🔧 Setting environment variables...'));
+      steps.push({
+        name: 'environment variables',
+        run: async () => {
+          console.log(chalk.cyan('\n🔧 Setting environment variables...'));
+
+          // Set appropriate environment variables based on which tools are configured
+          const envVars = [];
+          if (wantsClaude) {
+            envVars.push(...toolEnvVars('claude', apiKey, { claudeKeyMode }));
+          }
 
-      // Set appropriate environment variables based on which tools are configured
-      if (selectedTool === 'claude' || selectedTool === 'both' || selectedTool === 'all') {
-        setEnvironmentVariable('ANTHROPIC_BASE_URL', MEGALLM_BASE_URL, true);
-        setEnvironmentVariable('ANTHROPIC_API_KEY', apiKey, true);
-      }
+          if (wantsCodex || wantsOpenCode) {
+            envVars.push(...toolEnvVars('codex', apiKey));
+          }
+          const ok = await applyToolEnv(envVars);
+          if (ok) console.log(chalk.green('✓ Environment variables set'));
+          return ok;
+        },
+      });
+    }
 
-      if (selectedTool === 'codex' || selectedTool === 'opencode' || selectedTool === 'both' || selectedTool === 'all') {
-        setEnvironmentVariable('MEGALLM_API_KEY', apiKey, true);
-      }
+    const applied = await applyTransaction(steps);
 
-      console.log(chalk.green('✓ Environment variables set'));
+    if (!applied.ok) {
+      console.log(chalk.red(`\n❌ Configuration failed at ${applied.step}: ${applied.error}`));
+      console.log(chalk.yellow('Rolled back — no configuration or shell file was changed.'));
+      const retry = !unattended && await promptRetry();
+      if (retry) {
+        return main(opts);
+      }
+      return SETUP_EXIT.FAILED;
     }
 
+    await saveToolModels(profile, toolModels);
+
     // Step 8.5: Ask about statusline setup (only if Claude Code was configured)
-    if (selectedTool === 'claude' || selectedTool === 'both' || selectedTool === 'all') {
-      await handleStatuslineSetup(toolsStatus);
+    if (wantsClaude) {
+      await handleStatuslineSetup(toolsStatus, statuslineFlag);
     }
 
     // Step 9: Reload shell
@@ -597,17 +834,17 @@ async function main() {
     console.log(chalk.green('\n🎉 Setup completed successfully!'));
     console.log(chalk.cyan('\n✨ You can now use:'));
 
-    if (selectedTool === 'claude' || selectedTool === 'both' || selectedTool === 'all') {
+    if (wantsClaude) {
       console.log(chalk.white('  • Claude Code with MegaLLM'));
       console.log(chalk.gray('    Just start Claude Code as usual'));
     }
 
-    if (selectedTool === 'codex' || selectedTool === 'both' || selectedTool === 'all') {
+    if (wantsCodex) {
       console.log(chalk.white('  • Codex with MegaLLM'));
       console.log(chalk.gray('    Just start Codex/Windsurf as usual'));
     }
 
-    if (selectedTool === 'opencode' || selectedTool === 'all') {
+    if (wantsOpenCode) {
       console.log(chalk.white('  • OpenCode with MegaLLM'));
       console.log(chalk.gray('    Just start OpenCode as usual'));
     }
@@ -617,19 +854,25 @@ async function main() {
     console.log(chalk.gray('  • Support: support@megallm.io'));
 
     console.log(chalk.cyan('\n✨ Thank you for using MegaLLM!\n'));
+    return SETUP_EXIT.OK;
 
   } catch (error) {
     // Handle user cancellation gracefully
     if (error.message && error.message.includes('User force closed')) {
       console.log(chalk.yellow('\n\n👋 Setup cancelled. See you next time!'));
-      process.exit(0);
+      return SETUP_EXIT.OK;
+    }
+
+    if (error instanceof SetupError) {
+      console.error(chalk.red(`\n❌ ${error.message}`));
+      return error.exitCode;
     }
 
     console.error(chalk.red(`\n❌ Error: ${error.message}`));
     if (process.env.DEBUG) {
       console.error(chalk.gray(error.stack));
     }
-    process.exit(1);
+    return SETUP_EXIT.FAILED;
   }
 }
 
@@ -661,7 +904,7 @@ process.stdin.on('keypress', (str, key) => {
 
 // Run the CLI
 if (import.meta.url === `file://${process.argv[1]}`) {
-  main();
+  main().then(code => process.exit(code));
 }
 
 export default main;
\ No newline at end of file
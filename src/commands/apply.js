@@ -0,0 +1,224 @@
+// `megallm apply -f megallm.yaml [--check]` — converge this machine to a team
+// manifest (src/utils/manifest.js): switch each profile to its org, make the
+// default profile active, wire or unwire each tool, and apply the env var
+// policy. Everything is one transaction, so re-running it changes nothing
+// and a failure leaves the machine as it was. `--check` runs the same steps
+// against the staged write layer and exits 1 when anything would change.
+import os from 'os';
+import chalk from 'chalk';
+import {
+  readAuth,
+  writeAuth,
+  writeState,
+  resolveProfileName,
+  setCurrentProfile,
+} from '../auth/store.js';
+import { listOrgs, revokeKey } from '../auth/api.js';
+import { resolveKeyForOrg } from '../auth/keys.js';
+import { configureClaude, unconfigureClaude } from '../configurators/claude.js';
+import { configureCodex, unconfigureCodex } from '../configurators/codex.js';
+import { configureOpenCode, unconfigureOpenCode } from '../configurators/opencode.js';
+import { toolEnvVars, applyToolEnv, readClaudeKeyMode } from '../utils/configure-tools.js';
+import { loadManifest, ManifestError, MANIFEST_FILE } from '../utils/manifest.js';
+import { applyTransaction } from '../utils/transaction.js';
+import { captureWrites, isCapturing, layerFs as fs } from '../utils/fs-layer.js';
+import { printPlan } from '../utils/plan.js';
+import { tildify } from '../utils/files.js';
+import { MEGALLM_CONFIG_FILE } from '../constants.js';
+
+// `levels`: every config a tool can be wired in, so `tools.<tool>: false`
+// unwires the project file too (and `--check` reports it as drift).
+const TOOLS = {
+  claude:   { label: 'Claude Code', wire: configureClaude,   unwire: unconfigureClaude,   levels: ['system', 'project'] },
+  codex:    { label: 'Codex',       wire: configureCodex,    unwire: unconfigureCodex,    levels: ['system'] },
+  opencode: { label: 'OpenCode',    wire: configureOpenCode, unwire: unconfigureOpenCode, levels: ['system', 'project'] },
+};
+
+const MEGALLM_ENV_NAMES = ['ANTHROPIC_BASE_URL', 'ANTHROPIC_API_KEY', 'MEGALLM_API_KEY'];
+
+function sameOrg(auth, org) {
+  return auth.orgId === org || (!!auth.orgName && auth.orgName.toLowerCase() === org.toLowerCase());
+}
+
+async function signedIn(name) {
+  const auth = await readAuth(name);
+  if (!auth?.apiKey) throw new Error(`not signed in. Run \`megallm login --profile ${name}\`, then apply again.`);
+  return auth;
+}
+
+/**
+ * Point a profile at the manifest's org, reusing or minting its key. A
+ * minted key is pushed onto `minted` so a failed apply can revoke it.
+ */
+async function convergeProfile({ name, org }, minted) {
+  const auth = await signedIn(name);
+  if (!org || sameOrg(auth, org)) return;
+
+  const orgs = await listOrgs(auth.apiKey);
+  const target = orgs.find(o => o.org_id === org || o.org_name?.toLowerCase() === org.toLowerCase());
+  if (!target) throw new Error(`not a member of org "${org}".`);
+
+  const resolved = await resolveKeyForOrg({ auth, org: target });
+  if (!resolved.reused && resolved.apiKeyId) minted.push({ bearer: auth.apiKey, keyId: resolved.apiKeyId });
+  await writeAuth({
+    ...auth,
+    apiKey:    resolved.apiKey,
+    apiKeyId:  resolved.apiKeyId,
+    keyPrefix: resolved.keyPrefix,
+    orgId:     target.org_id,
+    orgName:   target.org_name,
+    keysByOrg: resolved.keysByOrg,
+  }, name);
+  await writeState({
+    current_org_id: target.org_id,
+    current_org_name: target.org_name,
+    orgs,
+  }, name);
+  console.log(chalk.green(`✓ Profile "${name}" → ${target.org_name}${resolved.reused ? ' (reused saved key)' : ''}`));
+}
+
+async function currentProfileSetting() {
+  try { return (await fs.readJson(MEGALLM_CONFIG_FILE)).current_profile || null; } catch { return null; }
+}
+
+/**
+ * Run `fn` with console output and spinners swallowed. The steps reuse the
+ * configurators, whose spinners and "configured successfully" details
+ * would otherwise bury the `--check` drift report.
+ */
+async function quietly(fn) {
+  const methods = ['log', 'info', 'warn', 'error'];
+  const saved = methods.map(m => console[m]);
+  const stderrWrite = process.stderr.write; // ora renders on stderr
+  for (const m of methods) console[m] = () => {};
+  process.stderr.write = () => true;
+  try {
+    return await fn();
+  } finally {
+    methods.forEach((m, i) => { console[m] = saved[i]; });
+    process.stderr.write = stderrWrite;
+  }
+}
+
+function buildSteps(manifest, { profile, minted }) {
+  const steps = [];
+  for (const p of manifest.profiles) {
+    steps.push({ name: `profile "${p.name}"`, run: () => convergeProfile(p, minted) });
+  }
+  if (manifest.defaultProfile) {
+    steps.push({
+      name: 'active profile',
+      run: async () => {
+        if (await currentProfileSetting() !== manifest.defaultProfile) await setCurrentProfile(manifest.defaultProfile);
+      },
+    });
+  }
+
+  // Read inside each step so the tools get the key the profile steps staged.
+  const keyProfile = manifest.defaultProfile || resolveProfileName(profile);
+  const toolKey = async () => (await signedIn(keyProfile)).apiKey;
+
+  for (const [tool, settings] of Object.entries(manifest.tools)) {
+    const def = TOOLS[tool];
+    steps.push(settings === false
+      ? { name: def.label, run: async () => { for (const level of def.levels) await def.unwire(level); } }
+      : { name: def.label, run: async () => def.wire(await toolKey(), settings.level, { keyMode: settings.keyMode, model: settings.model }) });
+  }
+
+  // Env vars follow what `setup` does: only system-level tools rely on them.
+  const wired = Object.entries(manifest.tools).filter(([, s]) => s && s.level === 'system').map(([tool]) => tool);
+  if (manifest.env === 'export' && wired.length) {
+    steps.push({
+      name: 'environment variables',
+      run: async () => {
+        const apiKey = await toolKey();
+        return applyToolEnv([
+          ...(wired.includes('claude')
+            ? toolEnvVars('claude', apiKey, { claudeKeyMode: await readClaudeKeyMode('system') }) : []),
+          ...(wired.includes('codex') || wired.includes('opencode') ? toolEnvVars('codex', apiKey) : []),
+        ]);
+      },
+    });
+  } else if (manifest.env === 'unset') {
+    steps.push({
+      name: 'environment variables',
+      run: () => applyToolEnv(MEGALLM_ENV_NAMES.map(name => ({ name, value: null }))),
+    });
+  }
+  return steps;
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.profile]  Profile whose key the tools get when the
+ *   manifest lists no profiles.
+ * @param {string} [opts.file]     Manifest path (default ./megallm.yaml).
+ * @param {boolean} [opts.check]   Only report drift.
+ * @returns {Promise<number>} Exit code: 0 applied / in sync, 1 failed or
+ *   drifted, 2 the manifest is invalid.
+ */
+export async function runApply({ profile, file = MANIFEST_FILE, check = false } = {}) {
+  let manifest;
+  try {
+    manifest = loadManifest(file);
+  } catch (err) {
+    if (!(err instanceof ManifestError)) throw err;
+    console.error(chalk.red(`✗ ${err.message}`));
+    return 2;
+  }
+
+  // Keys minted for the profiles live on the server whatever happens to the
+  // files, so they are revoked again if the apply does not go through.
+  const minted = [];
+  const steps = buildSteps(manifest, { profile, minted });
+
+  if (check) {
+    console.log(chalk.cyan(`Checking this machine against ${manifest.file}…\n`));
+    const { result: tx, files, env } = await quietly(() => captureWrites(() => applyTransaction(steps), { plan: true }));
+    if (!tx.ok) {
+      console.log(chalk.red(`\n✗ Drift: ${tx.step}: ${tx.error}`));
+      return 1;
+    }
+    // rc files show env changes everywhere but Windows, where they only
+    // live in the registry.
+    const envDrift = os.platform() === 'win32'
+      ? env.filter(({ name, value }) => (process.env[name] ?? null) !== value)
+      : [];
+    if (files.length === 0 && envDrift.length === 0) {
+      console.log(chalk.green(`\n✓ In sync with ${manifest.file}.`));
+      return 0;
+    }
+    printPlan({ files, env: envDrift }, {
+      note: `drift from ${manifest.file} — nothing was written`,
+      hint: `Run \`megallm apply -f ${manifest.file}\` to converge.`,
+    });
+    return 1;
+  }
+
+  console.log(chalk.cyan(`Applying ${manifest.file}…\n`));
+  const tx = await applyTransaction(steps);
+  if (!tx.ok) {
+    console.log(chalk.red(`\n✗ ${tx.step}: ${tx.error}`));
+    console.log(chalk.yellow('Rolled back — no configuration, profile or shell file was changed.'));
+    const kept = [];
+    for (const key of minted) {
+      try { await revokeKey(key.bearer, key.keyId); } catch { kept.push(key.keyId); }
+    }
+    if (minted.length > kept.length) {
+      console.log(chalk.yellow(`Revoked the ${minted.length - kept.length} key(s) this run created.`));
+    }
+    if (kept.length) {
+      console.log(chalk.red(`Could not revoke ${kept.join(', ')}, created by this run; revoke them with \`megallm keys revoke <key_id>\`.`));
+    }
+    return 1;
+  }
+  if (isCapturing()) return 0; // --dry-run prints the plan
+
+  if (tx.files.length === 0) {
+    console.log(chalk.green(`\n✓ Already matches ${manifest.file} — nothing changed.`));
+  } else {
+    console.log(chalk.green(`\n✓ Applied ${manifest.file}. Changed:`));
+    for (const f of tx.files) console.log(chalk.gray(`  • ${tildify(f)}`));
+  }
+  return 0;
+}
@@ -0,0 +1,75 @@
+// `megallm backups list [tool] | diff <id> | restore <id>` — inspect and roll
+// back the versioned copies kept under ~/.megallm/backups/.
+import fs from 'fs';
+import chalk from 'chalk';
+import { createTwoFilesPatch } from 'diff';
+import { listBackups, findBackup, restoreBackup, BACKUP_TOOLS } from '../utils/backups.js';
+import { tildify } from '../utils/files.js';
+import { redactSecrets } from '../utils/redact.js';
+import { colorizeDiff } from '../utils/plan.js';
+import { isJsonMode, printJson, printJsonError } from '../utils/output.js';
+
+function bail(msg) {
+  if (isJsonMode()) printJsonError('usage', msg);
+  else console.error(chalk.red(msg));
+  process.exit(1);
+}
+
+function readText(file) {
+  try { return fs.readFileSync(file, 'utf8'); } catch { return ''; }
+}
+
+export async function runBackupsList({ tool } = {}) {
+  if (tool && !BACKUP_TOOLS.includes(tool)) {
+    bail(`Unknown tool "${tool}". Expected one of: ${BACKUP_TOOLS.join(', ')}.`);
+  }
+  const backups = listBackups({ tool });
+  if (isJsonMode()) {
+    printJson({
+      backups: backups.map((b) => ({ id: b.id, tool: b.tool, file: b.file, command: b.command, created_at: b.created_at })),
+    });
+    return;
+  }
+  if (backups.length === 0) {
+    console.log(chalk.yellow(`No backups${tool ? ` for ${tool}` : ''} yet.`));
+    return;
+  }
+  console.log(chalk.bold('Backups') + chalk.gray('  (newest first)'));
+  console.log(chalk.gray('───────'));
+  for (const b of backups) {
+    const when = new Date(b.created_at).toLocaleString();
+    console.log(`  ${chalk.white(b.id)}  ${chalk.cyan(b.tool)}  ${tildify(b.file)}`);
+    console.log(chalk.gray(`    ${when}  ·  before: ${b.command}`));
+  }
+  console.log('');
+  console.log(chalk.gray('Compare with `megallm backups diff <id>`, roll back with `megallm backups restore <id>`.'));
+}
+
+export async function runBackupsDiff({ id } = {}) {
+  if (!id) bail('Usage: megallm backups diff <id>');
+  let backup;
+  try { backup = findBackup(id); } catch (err) { bail(err.message); }
+
+  const patch = createTwoFilesPatch(
+    `${tildify(backup.file)} (backup ${backup.id})`,
+    `${tildify(backup.file)} (current)`,
+    readText(backup.path),
+    readText(backup.file),
+  );
+  if (!patch.includes('\n@@')) {
+    console.log(chalk.green(`✓ ${tildify(backup.file)} is identical to backup ${backup.id}.`));
+    return;
+  }
+  console.log(colorizeDiff(redactSecrets(patch)));
+}
+
+export async function runBackupsRestore({ id } = {}) {
+  if (!id) bail('Usage: megallm backups restore <id>');
+  let result;
+  try { result = restoreBackup(id); } catch (err) { bail(err.message); }
+  const { restored, previous } = result;
+  console.log(chalk.green(`✓ Restored ${tildify(restored.file)} from ${restored.id}`));
+  if (previous) {
+    console.log(chalk.gray(`  The version it replaced is saved as ${previous.id}.`));
+  }
+}
@@ -0,0 +1,25 @@
+// `megallm credential` — print the active profile's API key on stdout.
+// Claude Code's `apiKeyHelper` calls this on demand, so it must stay fast,
+// offline, and silent: the key (and only the key) on stdout, diagnostics on
+// stderr, non-zero exit when there is nothing to print.
+import { readAuth, resolveProfileName } from '../auth/store.js';
+
+export async function runCredential({ profile, orgId } = {}) {
+  const name = resolveProfileName(profile);
+  const auth = await readAuth(name);
+  if (!auth?.apiKey) {
+    process.stderr.write(`megallm: not signed in (profile "${name}"). Run \`megallm login\`.\n`);
+    process.exit(1);
+  }
+
+  let key = auth.apiKey;
+  if (orgId && orgId !== auth.orgId) {
+    key = auth.keysByOrg?.[orgId]?.api_key;
+    if (!key) {
+      process.stderr.write(`megallm: no saved key for org "${orgId}" in profile "${name}". Run \`megallm switch-org ${orgId}\` once.\n`);
+      process.exit(1);
+    }
+  }
+
+  process.stdout.write(`${key}\n`);
+}
@@ -4,26 +4,46 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
-import { readAuth, resolveProfileName, maskApiKey } from '../auth/store.js';
+import { readAuth, readToolModels, resolveProfileName, maskApiKey } from '../auth/store.js';
 import { fetchUserInfo } from '../auth/oauth.js';
+import { listKeys } from '../auth/api.js';
 import { checkToolsStatus } from '../detectors/tools.js';
 import { getEnvironmentVariable, setEnvironmentVariable, readPersistedEnvVar } from '../utils/shell.js';
 import { verifyClaudeConfig } from '../configurators/claude.js';
 import { verifyCodexConfig }  from '../configurators/codex.js';
-import { verifyOpenCodeConfig } from '../configurators/opencode.js';
-import { readJsonFile, readTomlFile } from '../utils/files.js';
+import { verifyOpenCodeConfig, usesLegacyOpenCodeProvider, syncOpenCodeModels } from '../configurators/opencode.js';
+import { tildify, readJsonFile } from '../utils/files.js';
+import { toolEnvVars, readClaudeKeyMode } from '../utils/configure-tools.js';
+import { removeEnvVars } from '../utils/envDetector.js';
+import { inspectManagedEnv, migrateStrayExports, ensureRcBlocks, readManagedEnv } from '../utils/env-file.js';
+import { applyTransaction } from '../utils/transaction.js';
+import { readToolApiKey } from '../utils/key-usage.js';
+import { getModelCatalog, findCatalogModel } from '../utils/model-catalog.js';
+import { findModelReferences } from '../utils/tool-models.js';
+import { readLimitUsage, formatUsd } from '../utils/usage.js';
+import { isJsonMode, printJson, secret } from '../utils/output.js';
 import { MEGALLM_HOME, MEGALLM_BASE_URL } from '../constants.js';
 
 const PASS = chalk.green('✓');
 const WARN = chalk.yellow('!');
 const FAIL = chalk.red('✗');
 
+// Prints each check as it runs, and records it for `--json`, where nothing
+// is printed until the whole report is emitted at the end.
 class Report {
-  constructor() { this.fails = 0; this.warns = 0; }
-  ok(msg, hint)   { console.log(`  ${PASS} ${msg}${hint ? chalk.gray('  — ' + hint) : ''}`); }
-  warn(msg, hint) { this.warns++; console.log(`  ${WARN} ${msg}${hint ? chalk.gray('  — ' + hint) : ''}`); }
-  fail(msg, hint) { this.fails++; console.log(`  ${FAIL} ${msg}${hint ? chalk.gray('  — ' + hint) : ''}`); }
-  section(title)  { console.log(''); console.log(chalk.bold(title)); console.log(chalk.gray('─'.repeat(title.length))); }
+  constructor() { this.fails = 0; this.warns = 0; this.sections = []; }
+  record(status, message, hint) {
+    this.sections[this.sections.length - 1]?.checks.push({ status, message, ...(hint ? { hint } : {}) });
+  }
+  line(text) { if (!isJsonMode()) console.log(text); }
+  ok(msg, hint)   { this.record('ok', msg, hint); this.line(`  ${PASS} ${msg}${hint ? chalk.gray('  — ' + hint) : ''}`); }
+  warn(msg, hint) { this.warns++; this.record('warn', msg, hint); this.line(`  ${WARN} ${msg}${hint ? chalk.gray('  — ' + hint) : ''}`); }
+  fail(msg, hint) { this.fails++; this.record('fail', msg, hint); this.line(`  ${FAIL} ${msg}${hint ? chalk.gray('  — ' + hint) : ''}`); }
+  skip(msg)       { this.record('skip', msg); this.line(chalk.gray(`  · ${msg}`)); }
+  section(title)  {
+    this.sections.push({ title, checks: [] });
+    this.line(''); this.line(chalk.bold(title)); this.line(chalk.gray('─'.repeat(title.length)));
+  }
 }
 
 function compareSemver(a, b) {
@@ -33,39 +53,6 @@ function compareSemver(a, b) {
   return 0;
 }
 
-// Pull the API key each tool would actually send to the backend at runtime.
-// Returns null when the tool has no resolvable key (config missing, env unset,
-// or the config doesn't reference a MegaLLM key).
-async function readToolApiKey(tool, configPath) {
-  try {
-    if (tool === 'claude') {
-      if (!configPath) return null;
-      const cfg = await readJsonFile(configPath);
-      const k = cfg?.env?.ANTHROPIC_API_KEY;
-      return k && typeof k === 'string' ? k : null;
-    }
-    if (tool === 'codex') {
-      if (!configPath) return null;
-      const cfg = await readTomlFile(configPath);
-      const envKey = cfg?.model_providers?.megallm?.env_key || 'MEGALLM_API_KEY';
-      // Prefer the live shell value; fall back to the rc file so a tool
-      // configured in a previous shell still gets validated.
-      return getEnvironmentVariable(envKey) || readPersistedEnvVar(envKey);
-    }
-    if (tool === 'opencode') {
-      if (!configPath) return null;
-      const cfg = await readJsonFile(configPath);
-      const ref = cfg?.provider?.anthropic?.options?.apiKey;
-      const m = typeof ref === 'string' ? ref.match(/^\{env:([A-Z0-9_]+)\}$/) : null;
-      const envName = m ? m[1] : 'MEGALLM_API_KEY';
-      return getEnvironmentVariable(envName) || readPersistedEnvVar(envName);
-    }
-  } catch {
-    return null;
-  }
-  return null;
-}
-
 // Probe a key against /userinfo. Caches results so the same key is only hit once.
 //   active : key works, returns the identity payload
 //   revoked: backend returned 401 (key invalid / revoked / rotated)
@@ -87,10 +74,61 @@ function makeKeyProber() {
   };
 }
 
+// Spend within 10% of a limit is worth a warning before requests start failing.
+const LIMIT_WARN_RATIO = 0.9;
+
+async function checkKeyLimits(r, auth) {
+  if (!auth.orgId) return;
+  let checked;
+  try {
+    const payload = await listKeys(auth.apiKey, auth.orgId);
+    const keys = payload?.keys || payload?.data || payload || [];
+    const record = keys.find(k => auth.apiKeyId && (k.api_key_id || k.id) === auth.apiKeyId)
+      || keys.find(k => (k.key_prefix || k.prefix) && auth.apiKey.startsWith(k.key_prefix || k.prefix));
+    if (!record?.limits) return;
+    checked = await readLimitUsage(auth.apiKey, {
+      orgId: auth.orgId,
+      keyId: record.api_key_id || record.id,
+      limits: record.limits,
+    });
+  } catch (err) {
+    r.skip(`Spend limits: not checked (${err.message})`);
+    return;
+  }
+  for (const { period, limit, spent } of checked) {
+    const text = `${formatUsd(spent)} of the ${formatUsd(limit)} ${period} limit`;
+    if (spent >= limit * LIMIT_WARN_RATIO) {
+      r.warn(`Key has used ${text}`, `requests fail once it is reached — raise it with \`megallm keys limit ${auth.apiKeyId || '<key_id>'} --${period} <usd>\``);
+    } else {
+      r.ok(`Key has used ${text}`);
+    }
+  }
+}
+
+async function checkToolModels(r, auth) {
+  const catalog = await getModelCatalog({ apiKey: auth?.apiKey || null });
+  if (!catalog) { r.skip('Models: not checked (no model catalog)'); return; }
+  let problems = 0;
+  for (const ref of await findModelReferences()) {
+    if (findCatalogModel(catalog, ref.model) !== false) continue;
+    problems++;
+    r.warn(`${ref.label} uses "${ref.model}", which MegaLLM no longer serves`,
+      `${ref.key} in ${tildify(ref.file)} — ${ref.fix ? `pick another with \`${ref.fix}\`` : `set ${ref.key} to another model`}`);
+  }
+  for (const level of ['system', 'project']) {
+    const diff = await syncOpenCodeModels(catalog, level, { write: false });
+    if (!diff?.removed.length || diff.legacy) continue;
+    problems++;
+    r.warn(`OpenCode lists ${diff.removed.length} retired model${diff.removed.length === 1 ? '' : 's'} (${diff.removed.join(', ')})`,
+      `${tildify(diff.configPath)} — run \`megallm models sync\``);
+  }
+  if (!problems) r.ok('Configured models are in the MegaLLM catalog');
+}
+
 export async function runDoctor({ profile } = {}) {
   const r = new Report();
   const probeKey = makeKeyProber();
-  console.log(chalk.bold.cyan('MegaLLM doctor\n'));
+  if (!isJsonMode()) console.log(chalk.bold.cyan('MegaLLM doctor\n'));
 
   // 1. Runtime
   r.section('Runtime');
@@ -117,12 +155,12 @@ export async function runDoctor({ profile } = {}) {
   // 3. Profile + identity
   r.section('Identity');
   const name = resolveProfileName(profile);
-  console.log(`  Profile: ${chalk.white(name)}`);
+  r.line(`  Profile: ${chalk.white(name)}`);
   const auth = await readAuth(name);
   if (!auth?.apiKey) {
     r.fail('Not signed in', 'run `megallm login`');
   } else {
-    r.ok(`Saved key ${maskApiKey(auth.apiKey)}`);
+    r.ok(`Saved key ${secret(auth.apiKey)}`);
     if (process.platform !== 'win32') {
       try {
         const st = await fs.stat(path.join(MEGALLM_HOME, 'profiles', name, 'auth.json'));
@@ -136,6 +174,7 @@ export async function runDoctor({ profile } = {}) {
       if (probed.status === 'active') {
         const u = probed.info;
         r.ok(`Backend accepts the key`, `${u.email || u.name || 'identity confirmed'}`);
+        await checkKeyLimits(r, auth);
       } else if (probed.status === 'revoked') {
         r.fail(`Backend rejected the key`, 'key was revoked or rotated — run `megallm login`');
       } else {
@@ -168,12 +207,13 @@ export async function runDoctor({ profile } = {}) {
     { key: 'opencode', label: 'OpenCode',    verify: verifyOpenCodeConfig, info: t.opencode },
   ];
   for (const v of verifiers) {
-    if (!v.info?.installed) { console.log(chalk.gray(`  · ${v.label}: skipped (not installed)`)); continue; }
+    if (!v.info?.installed) { r.skip(`${v.label}: skipped (not installed)`); continue; }
     if (!v.info.configPath) { r.warn(`${v.label}: no config file`); continue; }
     try {
       const result = await v.verify(v.info.configPath);
       if (result.valid) {
-        r.ok(`${v.label} configured for MegaLLM`);
+        r.ok(`${v.label} configured for MegaLLM`, result.keyMode === 'helper' ? 'key via apiKeyHelper (`megallm credential`)'
+          : result.mode === 'profile' ? 'via `codex --profile megallm`' : undefined);
       } else if (result.details && result.details.apiKeySet === false
                  && result.details.baseUrl !== false
                  && result.details.megallmConfig !== false
@@ -190,22 +230,27 @@ export async function runDoctor({ profile } = {}) {
     }
   }
 
+  // 5b. Tools — models the configs name that MegaLLM no longer serves
+  r.section('Tools — models');
+  await checkToolModels(r, auth);
+
   // 6. Tools — API key health (probe each tool's key against /userinfo)
   r.section('Tools — API key health');
+  const claudeKeyMode = await readClaudeKeyMode('system');
   const toolKeyChecks = [
-    { key: 'claude',   label: 'Claude Code', info: t.claude,   keySource: 'config file',         hint: 'run `megallm doctor fix` to reconfigure ~/.claude/settings.json with the active key' },
+    { key: 'claude',   label: 'Claude Code', info: t.claude,   keySource: claudeKeyMode === 'helper' ? 'apiKeyHelper output' : 'config file',         hint: 'run `megallm doctor fix` to reconfigure ~/.claude/settings.json with the active key' },
     { key: 'codex',    label: 'Codex',       info: t.codex,    keySource: 'MEGALLM_API_KEY env', hint: 'run `megallm doctor fix` to refresh MEGALLM_API_KEY in your shell rc' },
     { key: 'opencode', label: 'OpenCode',    info: t.opencode, keySource: 'MEGALLM_API_KEY env', hint: 'run `megallm doctor fix` to refresh MEGALLM_API_KEY in your shell rc' },
   ];
   for (const c of toolKeyChecks) {
-    if (!c.info?.installed) { console.log(chalk.gray(`  · ${c.label}: skipped (not installed)`)); continue; }
+    if (!c.info?.installed) { r.skip(`${c.label}: skipped (not installed)`); continue; }
     const toolKey = await readToolApiKey(c.key, c.info.configPath);
     if (!toolKey) {
-      console.log(chalk.gray(`  · ${c.label}: skipped (no key in ${c.keySource})`));
+      r.skip(`${c.label}: skipped (no key in ${c.keySource})`);
       continue;
     }
     const probed = await probeKey(toolKey);
-    const masked = maskApiKey(toolKey);
+    const masked = secret(toolKey);
     if (probed.status === 'active') {
       const ident = probed.info?.email || probed.info?.name || 'active';
       if (auth?.apiKey && toolKey !== auth.apiKey) {
@@ -225,7 +270,7 @@ export async function runDoctor({ profile } = {}) {
   r.section('Environment');
   const envChecks = [
     { name: 'ANTHROPIC_BASE_URL', expected: MEGALLM_BASE_URL,  required: true },
-    { name: 'ANTHROPIC_API_KEY',  startsWith: 'sk-mega-',       required: true },
+    { name: 'ANTHROPIC_API_KEY',  startsWith: 'sk-mega-',       required: claudeKeyMode !== 'helper', shadowsHelper: claudeKeyMode === 'helper' },
     { name: 'MEGALLM_API_KEY',    startsWith: 'sk-mega-',       required: false },
   ];
   for (const e of envChecks) {
@@ -234,9 +279,14 @@ export async function runDoctor({ profile } = {}) {
     const v = live || persisted;
     const onlyPersisted = !live && !!persisted;
 
+    if (v && e.shadowsHelper) {
+      r.warn(`${e.name} is exported`, 'it overrides Claude\'s apiKeyHelper — run `megallm doctor fix` to drop it');
+      continue;
+    }
+
     if (!v) {
       if (e.required) r.warn(`${e.name} not set`, 'run `megallm doctor fix` to write it to your shell rc');
-      else            console.log(chalk.gray(`  · ${e.name}: not set (optional)`));
+      else            r.skip(`${e.name}: not set (optional)`);
       continue;
     }
     if (e.expected && v !== e.expected) {
@@ -244,13 +294,41 @@ export async function runDoctor({ profile } = {}) {
     } else if (e.startsWith && !v.startsWith(e.startsWith)) {
       r.warn(`${e.name}=${v.slice(0,12)}…`, `expected to start with ${e.startsWith}`);
     } else if (onlyPersisted) {
-      r.ok(`${e.name} persisted in shell rc`, 'open a new shell or `source ~/.zshrc` to load it');
+      r.ok(`${e.name} persisted in ~/.megallm/env.sh`, 'open a new shell or `source ~/.zshrc` to load it');
     } else {
       r.ok(`${e.name} is set`);
     }
   }
 
+  // Persisted vars must be reachable from every shell through the rc block,
+  // and nothing should still be exported outside it.
+  if (process.platform !== 'win32') {
+    const managed = inspectManagedEnv();
+    if (Object.keys(managed.vars).length > 0) {
+      for (const rc of managed.rcFiles) {
+        const file = tildify(rc.file);
+        if (rc.state === 'current')    r.ok(`${file} sources ~/.megallm/env.sh`);
+        else if (rc.state === 'stale') r.warn(`${file} has an outdated megallm block`, 'run `megallm doctor fix` to rewrite it');
+        else                           r.warn(`${file} has no megallm block`, 'run `megallm doctor fix` to add it');
+      }
+    }
+    for (const s of managed.strays) {
+      r.warn(`${s.name} exported directly in ${tildify(s.file)}:${s.line}`,
+             'run `megallm doctor fix` to move it into ~/.megallm/env.sh');
+    }
+  }
+
   // 8. Summary
+  if (isJsonMode()) {
+    printJson({
+      profile: name,
+      ok: r.fails === 0,
+      failures: r.fails,
+      warnings: r.warns,
+      sections: r.sections,
+    });
+    return r.fails > 0 ? 1 : 0;
+  }
   console.log('');
   if (r.fails === 0 && r.warns === 0) {
     console.log(chalk.green.bold('Everything looks good. ✨'));
@@ -274,6 +352,8 @@ export async function runDoctor({ profile } = {}) {
 //   • MEGALLM_API_KEY / ANTHROPIC_API_KEY in the shell rc are missing or
 //     stale → rewrite them via setEnvironmentVariable so a fresh shell
 //     picks them up.
+//   • Exports that older releases appended straight to rc files → fold
+//     them into ~/.megallm/env.sh and make sure the rc block sources it.
 //
 // Anything that needs human input (signing in, picking an org, installing a
 // missing tool) is intentionally *not* attempted here — `fix` only repairs
@@ -308,32 +388,39 @@ export async function runDoctorFix({ profile } = {}) {
   console.log(`  ${PASS} Profile ${chalk.white(profileName)} → ${probed.info?.email || 'identity confirmed'} (${maskApiKey(auth.apiKey)})\n`);
 
   const t = checkToolsStatus();
+  const claudeKeyMode = await readClaudeKeyMode('system');
+  // Rewrite each config with the model this profile picked, not the default.
+  const models = await readToolModels(profileName);
   const tasks = [
     { key: 'claude',   label: 'Claude Code', info: t.claude,
       configure: async (k) => {
         const { configureClaude } = await import('../configurators/claude.js');
-        return configureClaude(k, 'system');
+        return configureClaude(k, 'system', models.claude);
       },
-      // Claude embeds the key inline in settings.json *and* honors
-      // ANTHROPIC_API_KEY in the shell — keep them aligned.
-      envVars: [
-        { name: 'ANTHROPIC_BASE_URL', value: MEGALLM_BASE_URL },
-        { name: 'ANTHROPIC_API_KEY',  value: auth.apiKey },
-      ],
+      // Inline mode embeds the key in settings.json *and* Claude honors
+      // ANTHROPIC_API_KEY in the shell — keep them aligned. Helper mode
+      // needs the export gone instead (see toolEnvVars).
+      envVars: toolEnvVars('claude', auth.apiKey, { claudeKeyMode }),
     },
     { key: 'codex',    label: 'Codex',       info: t.codex,
       configure: async (k) => {
         const { configureCodex } = await import('../configurators/codex.js');
-        return configureCodex(k, 'system');
+        return configureCodex(k, 'system', models.codex);
       },
-      envVars: [{ name: 'MEGALLM_API_KEY', value: auth.apiKey }],
+      envVars: toolEnvVars('codex', auth.apiKey),
     },
     { key: 'opencode', label: 'OpenCode',    info: t.opencode,
       configure: async (k) => {
         const { configureOpenCode } = await import('../configurators/opencode.js');
-        return configureOpenCode(k, 'system');
+        return configureOpenCode(k, 'system', models.opencode);
       },
-      envVars: [{ name: 'MEGALLM_API_KEY', value: auth.apiKey }],
+      // Configs from before the `megallm` provider get migrated even when
+      // their key is fine.
+      outdated: async () => (t.opencode?.configPath
+        && usesLegacyOpenCodeProvider(await readJsonFile(t.opencode.configPath).catch(() => null))
+        ? 'MegaLLM is still configured as provider.anthropic'
+        : null),
+      envVars: toolEnvVars('opencode', auth.apiKey),
     },
   ];
 
@@ -343,17 +430,24 @@ export async function runDoctorFix({ profile } = {}) {
   let envWritten = 0;
   const touchedEnv = new Set();
 
-  for (const task of tasks) {
+  // Each tool's repair is a step of one transaction: if any of them fails,
+  // every file they staged is dropped and nothing on disk changes.
+  const steps = tasks.map((task) => ({ name: task.label, run: async () => {
+    const failedBefore = failed;
     if (!task.info?.installed) {
       console.log(chalk.gray(`  · ${task.label}: skipped (not installed)`));
-      continue;
+      return true;
     }
 
     const currentKey = await readToolApiKey(task.key, task.info.configPath);
     let needsConfigure = false;
     let reason = '';
 
-    if (!currentKey) {
+    const outdated = task.outdated ? await task.outdated() : null;
+    if (outdated) {
+      needsConfigure = true;
+      reason = outdated;
+    } else if (!currentKey) {
       needsConfigure = true;
       reason = 'no key resolved';
     } else if (currentKey !== auth.apiKey) {
@@ -390,6 +484,19 @@ export async function runDoctorFix({ profile } = {}) {
     for (const ev of task.envVars) {
       if (touchedEnv.has(ev.name)) continue;
       const persisted = readPersistedEnvVar(ev.name);
+      if (ev.value == null) {
+        touchedEnv.add(ev.name);
+        if (persisted == null && !getEnvironmentVariable(ev.name)) continue;
+        const removed = await removeEnvVars([ev.name]);
+        if (removed.errors.length === 0) {
+          console.log(`  ${PASS} ${ev.name} removed from shell rc (Claude reads its key via apiKeyHelper)`);
+          envWritten++;
+        } else {
+          console.log(`  ${FAIL} could not remove ${ev.name}: ${removed.errors[0]}`);
+          failed++;
+        }
+        continue;
+      }
       if (persisted === ev.value) {
         touchedEnv.add(ev.name);
         continue;
@@ -404,6 +511,34 @@ export async function runDoctorFix({ profile } = {}) {
         failed++;
       }
     }
+    return failed === failedBefore;
+  } }));
+
+  // Fold exports left in rc files by older releases into the managed env
+  // file, and (re)write the block that sources it.
+  if (process.platform !== 'win32') {
+    steps.push({ name: 'shell rc migration', run: async () => {
+      const { migrated } = migrateStrayExports();
+      for (const m of migrated) {
+        console.log(`  ${PASS} ${m.name} moved from ${tildify(m.file)} into ~/.megallm/env.sh`);
+        envWritten++;
+      }
+      const blocks = Object.keys(readManagedEnv()).length > 0 ? ensureRcBlocks() : [];
+      for (const file of blocks) {
+        console.log(`  ${PASS} megallm block written to ${tildify(file)}`);
+        envWritten++;
+      }
+    } });
+  }
+
+  const applied = await applyTransaction(steps);
+  if (!applied.ok) {
+    // A step that threw never got to count itself.
+    if (failed === 0) failed = 1;
+    console.log(`\n  ${FAIL} ${applied.step} failed: ${applied.error}`);
+    console.log(chalk.yellow(`    Rolled back — none of the ${applied.files.length} staged file change(s) were written.`));
+    repaired = 0;
+    envWritten = 0;
   }
 
   // Summary
@@ -0,0 +1,70 @@
+// `megallm env` — print the MegaLLM env vars for a profile/org in a given
+// shell dialect — and `megallm use`, its current-shell counterpart. A CLI
+// cannot change its parent's environment, so `use` only works through the
+// function installed by `megallm shell-init`, which evals what we print.
+import chalk from 'chalk';
+import { resolveProfileKey } from '../auth/keys.js';
+import { listProfiles } from '../auth/store.js';
+import { megallmEnv } from '../utils/env-vars.js';
+import { formatEnv, ENV_FORMATS } from '../utils/env-format.js';
+
+function bail(msg) {
+  console.error(chalk.red(msg));
+  process.exit(1);
+}
+
+async function profileEnv({ profile, orgId }) {
+  const resolved = await resolveProfileKey({
+    profile,
+    orgId,
+    onProgress: (msg) => process.stderr.write(chalk.gray(`${msg}\n`)),
+  });
+  return {
+    resolved,
+    vars: { ...megallmEnv(resolved.apiKey), MEGALLM_PROFILE: resolved.profile },
+  };
+}
+
+export async function runEnv({ profile, orgId, format = 'sh' } = {}) {
+  if (!ENV_FORMATS.includes(format)) {
+    bail(`Unknown --format "${format}". Expected one of: ${ENV_FORMATS.join(', ')}.`);
+  }
+  try {
+    const { vars } = await profileEnv({ profile, orgId });
+    process.stdout.write(formatEnv(vars, format));
+  } catch (err) {
+    bail(err.message);
+  }
+}
+
+/**
+ * @param {object} args
+ * @param {string} args.name      Profile to switch this shell to.
+ * @param {string} [args.orgId]   Org within that profile (defaults to its active org).
+ * @param {string} [args.emit]    Dialect requested by the shell-init wrapper;
+ *                                absent when `megallm use` is run unwrapped.
+ */
+export async function runUse({ name, orgId, emit } = {}) {
+  if (!name) bail('Usage: megallm use <profile> [--org <id>]');
+  if (!emit) {
+    bail(
+      '`megallm use` changes the current shell, which needs the shell integration:\n' +
+      '  eval "$(megallm shell-init zsh)"      # or bash; fish: megallm shell-init fish | source\n' +
+      'Or print the exports directly: megallm env --profile ' + name,
+    );
+  }
+  if (!ENV_FORMATS.includes(emit) || emit === 'dotenv') bail(`Unknown shell dialect "${emit}".`);
+
+  const names = await listProfiles();
+  if (!names.includes(name)) {
+    bail(`No profile "${name}". Existing: ${names.join(', ') || '(none)'}.`);
+  }
+  try {
+    const { resolved, vars } = await profileEnv({ profile: name, orgId });
+    process.stdout.write(formatEnv(vars, emit));
+    const org = resolved.orgName ? chalk.gray(` · ${resolved.orgName}`) : '';
+    process.stderr.write(chalk.green(`✓ This shell now uses profile "${resolved.profile}"`) + org + '\n');
+  } catch (err) {
+    bail(err.message);
+  }
+}
@@ -0,0 +1,65 @@
+// `megallm exec [--profile p] [--org id] -- <command> [args…]` — run one
+// process with MegaLLM credentials in its environment. Nothing is persisted:
+// no rc file, tool config or active-profile change. stdio is inherited and
+// the child's exit status becomes ours, so it drops into scripts unchanged.
+import { spawn } from 'child_process';
+import os from 'os';
+import chalk from 'chalk';
+import { resolveProfileKey } from '../auth/keys.js';
+import { megallmEnv } from '../utils/env-vars.js';
+
+function bail(msg, code = 1) {
+  console.error(chalk.red(msg));
+  process.exit(code);
+}
+
+export async function runExec({ profile, orgId, command } = {}) {
+  if (!command || command.length === 0) {
+    bail('Usage: megallm exec [--profile p] [--org id] -- <command> [args…]');
+  }
+
+  const resolved = await resolveProfileKey({
+    profile,
+    orgId,
+    onProgress: (msg) => process.stderr.write(chalk.gray(`${msg}\n`)),
+  });
+
+  const env = {
+    ...process.env,
+    ...megallmEnv(resolved.apiKey),
+    MEGALLM_PROFILE: resolved.profile,
+  };
+
+  const [file, ...args] = command;
+  const child = spawn(file, args, {
+    stdio: 'inherit',
+    env,
+    // .cmd / .ps1 shims (claude, codex, …) only resolve through the shell on Windows.
+    shell: process.platform === 'win32',
+  });
+
+  // Ctrl+C already reaches the child through the terminal's process group;
+  // forwarding it again would count as a second press (Claude Code exits on
+  // a double Ctrl+C). Termination signals sent to us alone are relayed.
+  const relay = (sig) => () => { if (child.exitCode === null) child.kill(sig); };
+  const handlers = { SIGINT: () => {}, SIGTERM: relay('SIGTERM'), SIGHUP: relay('SIGHUP') };
+  for (const [sig, fn] of Object.entries(handlers)) process.on(sig, fn);
+
+  return new Promise(() => {
+    child.on('error', (err) => {
+      if (err.code === 'ENOENT') bail(`megallm exec: command not found: ${file}`, 127);
+      bail(`megallm exec: ${err.message}`, 126);
+    });
+    child.on('exit', (code, signal) => {
+      for (const [sig, fn] of Object.entries(handlers)) process.off(sig, fn);
+      if (signal) {
+        // Die the same way the child did so callers see the same status.
+        // Node ignores some signals (SIGPIPE), so if we are still here,
+        // exit with the status a shell reports for that signal.
+        process.kill(process.pid, signal);
+        process.exit(128 + (os.constants.signals[signal] ?? 0));
+      }
+      process.exit(code ?? 1);
+    });
+  });
+}
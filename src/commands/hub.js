@@ -41,8 +41,9 @@ export async function runHub({ profile } = {}) {
       }
       case 'setup': {
         const { default: main } = await import('../cli.js');
-        await main();
+        const code = await main({ profile });
         releaseStdinHandoff();
+        if (code) process.exit(code);
         return; // wizard already prints its own farewell
       }
       case 'switch-org': {
@@ -70,6 +71,11 @@ export async function runHub({ profile } = {}) {
         await runDoctorFix({ profile });
         break;
       }
+      case 'test': {
+        const { runTest } = await import('./test.js');
+        await runTest({ profile });
+        break;
+      }
       case 'logout': {
         const { runLogout } = await import('./logout.js');
         await runLogout({ profile });
@@ -1,51 +1,226 @@
-// `megallm keys list|revoke` — manage API keys for the active org.
+// `megallm keys list|create|limit|rotate|revoke|prune` — manage API keys for the active org.
 import chalk from 'chalk';
-import { readAuth, resolveProfileName, maskApiKey } from '../auth/store.js';
-import { listKeys, revokeKey } from '../auth/api.js';
+import { readAuth, writeAuth, listProfiles, resolveProfileName, maskApiKey } from '../auth/store.js';
+import { listOrgs, listKeys, createKey, updateKeyLimits, revokeKey } from '../auth/api.js';
+import { fetchUserInfo } from '../auth/oauth.js';
+import { cliKeyName, isCliKeyName } from '../auth/keys.js';
+import { configureClaude, unconfigureClaude } from '../configurators/claude.js';
+import { setEnvironmentVariable } from '../utils/shell.js';
+import { applyTransaction } from '../utils/transaction.js';
+import { applyToolEnv } from '../utils/configure-tools.js';
+import { promptRevokeInUse, promptPruneSelection } from '../utils/prompts.js';
+import { collectKeyHolders, findKeyUsages, keyMatcher } from '../utils/key-usage.js';
+import { fail, isJsonMode, printJson } from '../utils/output.js';
+import { parseDuration, parseFutureTime } from '../utils/duration.js';
+import { printTable } from '../utils/table.js';
 
-export async function runKeysList({ profile, orgId } = {}) {
+const SERVICE_RE = /^[a-z0-9][a-z0-9_.-]*$/i;
+const MAX_NAME_LENGTH = 100;
+
+const SORT_FIELDS = {
+  name:        (k) => (k.name || '').toLowerCase(),
+  created:     (k) => k.created_at || '',
+  'last-used': (k) => k.last_used_at || '',
+  expires:     (k) => k.expires_at || '',
+  status:      (k) => k.status,
+  org:         (k) => (k.org_name || k.org_id || '').toLowerCase(),
+};
+
+const FILTER_FIELDS = {
+  name:       (k) => k.name,
+  prefix:     (k) => k.prefix,
+  id:         (k) => k.id,
+  status:     (k) => k.status,
+  org:        (k) => `${k.org_id} ${k.org_name || ''}`,
+  created_by: (k) => k.created_by,
+  used:       (k) => k.used_by.map(u => u.label).join(' ') || 'none',
+};
+
+/**
+ * `--filter field~text` (contains) or `field=text` (equals), both
+ * case-insensitive. @returns {(key: object) => boolean}
+ */
+function parseKeyFilter(text) {
+  const m = /^([a-z_]+)(~|=)(.*)$/i.exec(text);
+  if (!m || !FILTER_FIELDS[m[1].toLowerCase()]) {
+    fail('usage', `--filter expects <field>~<text> or <field>=<text>, with field one of ${Object.keys(FILTER_FIELDS).join(', ')} (got "${text}").`);
+  }
+  const get = FILTER_FIELDS[m[1].toLowerCase()];
+  const want = m[3].toLowerCase();
+  return (k) => {
+    const value = String(get(k) ?? '').toLowerCase();
+    return m[2] === '~' ? value.includes(want) : value === want;
+  };
+}
+
+/** `--sort field`, `-field` for descending. */
+function parseKeySort(text) {
+  const desc = text.startsWith('-');
+  const get = SORT_FIELDS[desc ? text.slice(1) : text];
+  if (!get) fail('usage', `--sort expects one of ${Object.keys(SORT_FIELDS).join(', ')}, optionally prefixed with - (got "${text}").`);
+  return (a, b) => {
+    const x = get(a), y = get(b);
+    return (x < y ? -1 : x > y ? 1 : 0) * (desc ? -1 : 1);
+  };
+}
+
+/** One backend key record in the shape `keys list --json` documents. */
+function normalizeKey(k, org) {
+  const expiresAt = k.expires_at || k.expiresAt || null;
+  const createdBy = k.created_by || k.createdBy || null;
+  return {
+    id: k.api_key_id || k.id || null,
+    name: k.api_key_name || k.name || null,
+    prefix: k.key_prefix || k.prefix || null,
+    created_at: k.created_at || k.createdAt || null,
+    org_id: org.org_id,
+    org_name: org.org_name || null,
+    status: k.status || (k.revoked_at ? 'revoked' : expiresAt && new Date(expiresAt) < new Date() ? 'expired' : 'active'),
+    last_used_at: k.last_used_at || k.lastUsedAt || null,
+    expires_at: expiresAt,
+    limits: k.limits || null,
+    services: k.services || null,
+    created_by: (typeof createdBy === 'object' ? createdBy?.email || createdBy?.name : createdBy) || null,
+  };
+}
+
+/** Short form of a KeyUsage for the table column. */
+function usageShort(u) {
+  if (u.kind === 'profile') return u.profile;
+  if (u.kind === 'org-cache') return `${u.profile} (saved)`;
+  if (u.kind === 'tool') return `Claude${u.level === 'project' ? ' (project)' : ''}`;
+  return `$${u.envName}`;
+}
+
+const LIMIT_FORMATS = {
+  monthly: (v) => `$${v}/mo`,
+  daily:   (v) => `$${v}/day`,
+  rpm:     (v) => `${v} rpm`,
+};
+
+function formatLimits(limits) {
+  if (!limits || typeof limits !== 'object') return '';
+  return Object.entries(limits)
+    .filter(([, v]) => v != null)
+    .map(([period, v]) => (LIMIT_FORMATS[period] ? LIMIT_FORMATS[period](v) : `${period}: ${v}`))
+    .join(', ');
+}
+
+const shortDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '');
+
+/**
+ * List API keys as a table: the active (or given) org, or every org with
+ * `allOrgs`. Each key shows which local profile, tool config or shell
+ * export holds it.
+ */
+export async function runKeysList({ profile, orgId, allOrgs = false, sort, filter } = {}) {
+  const byOrder = sort ? parseKeySort(sort) : null;
+  const matches = filter ? parseKeyFilter(filter) : null;
   const name = resolveProfileName(profile);
   const auth = await readAuth(name);
   if (!auth?.apiKey) {
-    console.log(chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
-    process.exit(1);
+    fail('not_logged_in', `Not logged in (profile "${name}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
   }
-  const target = orgId || auth.orgId;
-  if (!target) {
-    console.log(chalk.yellow('No org_id given and no active org saved. Run `megallm orgs` to find one.'));
-    process.exit(1);
+  if (allOrgs && orgId) fail('usage', '--org and --all-orgs cannot be combined.');
+
+  let orgs;
+  if (allOrgs) {
+    try { orgs = await listOrgs(auth.apiKey); }
+    catch (err) { fail('api_error', err.message); }
+  } else {
+    const target = orgId || auth.orgId;
+    if (!target) {
+      fail('no_org', 'No org_id given and no active org saved. Run `megallm orgs` to find one.',
+        chalk.yellow('No org_id given and no active org saved. Run `megallm orgs` to find one.'));
+    }
+    orgs = [{ org_id: target, org_name: target === auth.orgId ? auth.orgName : auth.keysByOrg?.[target]?.org_name }];
   }
 
-  let payload;
-  try { payload = await listKeys(auth.apiKey, target); }
-  catch (err) {
-    console.log(chalk.red(`✗ ${err.message}`));
-    process.exit(1);
+  let keys = [];
+  const holders = await collectKeyHolders();
+  for (const org of orgs) {
+    let payload;
+    try { payload = await listKeys(auth.apiKey, org.org_id); }
+    catch (err) {
+      if (!allOrgs) fail('api_error', err.message);
+      if (!isJsonMode()) console.log(chalk.yellow(`! Skipped ${org.org_name || org.org_id}: ${err.message}`));
+      continue;
+    }
+    for (const k of payload?.keys || payload?.data || payload || []) {
+      const key = normalizeKey(k, org);
+      const usages = await findKeyUsages(keyMatcher({ apiKeyId: key.id, keyPrefix: key.prefix }), holders);
+      key.used_by = usages.map(u => ({
+        kind: u.kind,
+        label: u.label,
+        ...(u.profile ? { profile: u.profile } : {}),
+        ...(u.tool ? { tool: u.tool, level: u.level } : {}),
+        ...(u.envName ? { env: u.envName } : {}),
+        short: usageShort(u),
+      }));
+      keys.push(key);
+    }
   }
+  if (matches) keys = keys.filter(matches);
+  if (byOrder) keys.sort(byOrder);
 
-  const keys = payload?.keys || payload?.data || payload || [];
+  if (isJsonMode()) {
+    printJson({
+      profile: name,
+      org_id: allOrgs ? null : orgs[0].org_id,
+      keys: keys.map(({ used_by, ...k }) => ({ ...k, used_by: used_by.map(({ short, ...u }) => u) })),
+    });
+    return;
+  }
+  const where = allOrgs ? 'any org' : `org ${orgs[0].org_name || orgs[0].org_id}`;
   if (!keys.length) {
-    console.log(chalk.yellow(`No API keys in org ${target}.`));
+    console.log(chalk.yellow(`No API keys${filter ? ` matching ${filter}` : ''} in ${where}.`));
     return;
   }
 
-  console.log(chalk.cyan(`\nKeys for org ${target}`));
-  console.log(chalk.gray('─'.repeat(60)));
-  for (const k of keys) {
-    const id = k.api_key_id || k.id || '';
-    const label = k.api_key_name || k.name || '(unnamed)';
-    const prefix = k.key_prefix || k.prefix || '';
-    const created = k.created_at || k.createdAt || '';
-    console.log(`  ${chalk.white(label)}  ${chalk.gray(prefix)}`);
-    console.log(chalk.gray(`    id: ${id}${created ? '  ·  created: ' + new Date(created).toLocaleDateString() : ''}`));
-  }
+  console.log(chalk.cyan(`\nKeys in ${allOrgs ? 'all orgs' : where}${filter ? ` matching ${filter}` : ''}\n`));
+  const statusColor = { active: chalk.green, expired: chalk.yellow, revoked: chalk.red };
+  printTable([
+    ...(allOrgs ? [{ title: 'ORG', get: k => k.org_name || k.org_id }] : []),
+    { title: 'NAME', get: k => k.name || '(unnamed)', always: true },
+    { title: 'PREFIX', get: k => k.prefix, color: () => chalk.gray },
+    { title: 'ID', get: k => k.id, color: () => chalk.gray, always: true },
+    { title: 'STATUS', get: k => k.status, color: k => statusColor[k.status] },
+    { title: 'CREATED', get: k => shortDate(k.created_at) },
+    { title: 'LAST USED', get: k => shortDate(k.last_used_at) },
+    { title: 'EXPIRES', get: k => shortDate(k.expires_at) },
+    { title: 'LIMIT', get: k => formatLimits(k.limits) },
+    { title: 'CREATED BY', get: k => k.created_by },
+    { title: 'USED LOCALLY BY', get: k => k.used_by.map(u => u.short).join(', ') || '—', color: k => (k.used_by.length ? chalk.cyan : chalk.gray), always: true },
+  ], keys);
   console.log('');
-  console.log(chalk.gray(`Revoke with: ${chalk.bold('megallm keys revoke <key_id>')}`));
+  console.log(chalk.gray(`Revoke with: ${chalk.bold('megallm keys revoke <key_id>')}  ·  replace with: ${chalk.bold('megallm keys rotate <key_id>')}`));
+}
+
+/** Remove every key `matches` accepts from one profile's auth.json. */
+async function forgetProfileKey(profileName, matches) {
+  const auth = await readAuth(profileName);
+  if (!auth) return;
+  const updated = { ...auth, keysByOrg: { ...(auth.keysByOrg || {}) } };
+  if (matches(auth.apiKey, auth.apiKeyId)) {
+    Object.assign(updated, { apiKey: undefined, apiKeyId: undefined, keyPrefix: undefined });
+  }
+  for (const [orgId, entry] of Object.entries(updated.keysByOrg)) {
+    if (entry?.api_key && matches(entry.api_key, entry.api_key_id)) delete updated.keysByOrg[orgId];
+  }
+  await writeAuth(updated, profileName);
 }
 
-export async function runKeysRevoke({ profile, keyId } = {}) {
+/**
+ * Revoke a key by id. When this machine still uses it (a profile's active
+ * or saved per-org key, a Claude Code settings file, a shell export), list
+ * those places and ask whether to rotate instead; `force` skips the
+ * question. After the revoke every such place is cleaned up in one
+ * transaction so nothing keeps pointing at a dead key.
+ */
+export async function runKeysRevoke({ profile, keyId, force = false } = {}) {
   if (!keyId) {
-    console.log(chalk.red('✗ Missing key_id. Usage: megallm keys revoke <key_id>'));
+    console.log(chalk.red('✗ Missing key_id. Usage: megallm keys revoke <key_id> [--force]'));
     process.exit(1);
   }
   const name = resolveProfileName(profile);
@@ -54,6 +229,36 @@ export async function runKeysRevoke({ profile, keyId } = {}) {
     console.log(chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
     process.exit(1);
   }
+
+  const target = await findSavedKey(auth, keyId);
+  // Only the server knows the prefix of a key no profile saved; without it
+  // tool configs and shell exports cannot be matched.
+  if (!target.apiKey && target.orgId) {
+    try {
+      const payload = await listKeys(auth.apiKey, target.orgId);
+      const keys = payload?.keys || payload?.data || payload || [];
+      const record = keys.find(k => (k.api_key_id || k.id) === keyId);
+      target.keyPrefix = record?.key_prefix || record?.prefix || null;
+    } catch { /* the revoke below reports API problems */ }
+  }
+  const matches = keyMatcher(target);
+  const usages = await findKeyUsages(matches);
+
+  if (usages.length && !force) {
+    console.log(chalk.yellow(`Key ${keyId} is used on this machine by:`));
+    for (const u of usages) console.log(chalk.yellow(`  • ${u.label}`));
+    if (!(process.stdin.isTTY && process.stdout.isTTY)) {
+      console.log(chalk.red(`✗ Not revoked. Run \`megallm keys rotate ${keyId}\` to replace it, or pass --force to revoke it anyway.`));
+      process.exit(1);
+    }
+    const choice = await promptRevokeInUse();
+    if (choice === 'rotate') return runKeysRotate({ profile, keyId });
+    if (choice !== 'revoke') {
+      console.log(chalk.gray('Cancelled — nothing was revoked.'));
+      return;
+    }
+  }
+
   try {
     await revokeKey(auth.apiKey, keyId);
     console.log(chalk.green(`✓ Revoked ${keyId}`));
@@ -61,4 +266,497 @@ export async function runKeysRevoke({ profile, keyId } = {}) {
     console.log(chalk.red(`✗ ${err.message}`));
     process.exit(1);
   }
+  if (!usages.length) return;
+
+  const steps = [];
+  const profiles = [...new Set(usages.filter(u => u.profile).map(u => u.profile))];
+  for (const p of profiles) {
+    steps.push({ name: `profile "${p}"`, run: () => forgetProfileKey(p, matches) });
+  }
+  for (const u of usages) {
+    if (u.kind === 'tool') steps.push({ name: u.label, run: () => unconfigureClaude(u.level) });
+    if (u.kind === 'env') steps.push({ name: u.label, run: () => applyToolEnv([{ name: u.envName, value: null }]) });
+  }
+  const tx = await applyTransaction(steps);
+  if (!tx.ok) {
+    console.log(chalk.red(`✗ The key is revoked, but cleaning up failed at ${tx.step}: ${tx.error}`));
+    console.log(chalk.yellow('Nothing local was changed. Run `megallm doctor fix` to repair the tool configs.'));
+    process.exit(1);
+  }
+  console.log(chalk.green('✓ Removed it from:'));
+  for (const u of usages) console.log(chalk.gray(`  • ${u.label}`));
+  for (const u of usages.filter(u => u.kind === 'profile')) {
+    console.log(chalk.yellow(`Profile "${u.profile}" has no key now. Run \`megallm login --profile ${u.profile}\` to sign in again.`));
+  }
+}
+
+/**
+ * Check the `keys create` flags and turn them into createKey() arguments.
+ * @returns {{ name: string, services?: string[], limits?: object, expiresAt?: string }}
+ */
+function parseCreateOptions({ name, services, limitMonthly, expires }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    fail('usage', 'Missing --name. Usage: megallm keys create --name <name> [--org id] [--services a,b] [--limit-monthly usd] [--expires 30d] [--save]');
+  }
+  if (name.trim().length > MAX_NAME_LENGTH) fail('usage', `--name is longer than ${MAX_NAME_LENGTH} characters.`);
+  const out = { name: name.trim() };
+
+  if (services !== undefined) {
+    const list = [...new Set(String(services).split(',').map(s => s.trim()).filter(Boolean))];
+    const bad = list.filter(s => !SERVICE_RE.test(s));
+    if (!list.length || bad.length) {
+      fail('usage', `--services expects a comma-separated list of service names${bad.length ? ` (invalid: ${bad.join(', ')})` : ''}.`);
+    }
+    out.services = list;
+  }
+
+  if (limitMonthly !== undefined) {
+    const amount = Number(limitMonthly);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      fail('usage', `--limit-monthly expects a positive amount in USD (got "${limitMonthly}").`);
+    }
+    out.limits = { monthly: amount };
+  }
+
+  if (expires !== undefined) {
+    const at = parseFutureTime(expires);
+    if (!at) fail('usage', `--expires expects a duration like 30d, 12h or 2w, or a date like 2026-12-31 (got "${expires}").`);
+    if (at.getTime() <= Date.now()) fail('usage', `--expires ${expires} is in the past.`);
+    out.expiresAt = at.toISOString();
+  }
+  return out;
+}
+
+/**
+ * Mint a named key in the active (or given) org. The key is printed once;
+ * with `save` it goes into the profile's per-org key cache instead, where
+ * `exec --org`, `env --org`, `credential --org` and `switch-org` find it.
+ */
+export async function runKeysCreate({ profile, orgId, name, services, limitMonthly, expires, save = false } = {}) {
+  const options = parseCreateOptions({ name, services, limitMonthly, expires });
+  const profileName = resolveProfileName(profile);
+  const auth = await readAuth(profileName);
+  if (!auth?.apiKey) {
+    fail('not_logged_in', `Not logged in (profile "${profileName}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${profileName}"). Run \`megallm login\`.`));
+  }
+  const target = orgId || auth.orgId;
+  if (!target) {
+    fail('no_org', 'No --org given and no active org saved. Run `megallm orgs` to find one.',
+      chalk.yellow('No --org given and no active org saved. Run `megallm orgs` to find one.'));
+  }
+
+  let minted;
+  try { minted = await createKey(auth.apiKey, { orgId: target, ...options }); }
+  catch (err) { fail('api_error', err.message); }
+
+  const apiKey = minted?.api_key || minted?.apiKey;
+  if (!apiKey) fail('api_error', 'Server did not return an API key.');
+  const key = {
+    id: minted.api_key_id || minted.apiKeyId || null,
+    name: minted.api_key_name || options.name,
+    prefix: minted.key_prefix || apiKey.slice(0, 16),
+    services: minted.services || options.services || null,
+    limits: minted.limits || options.limits || null,
+    expires_at: minted.expires_at || options.expiresAt || null,
+  };
+
+  const replaced = save ? auth.keysByOrg?.[target]?.api_key : null;
+  if (save) {
+    const orgName = auth.keysByOrg?.[target]?.org_name || (target === auth.orgId ? auth.orgName : null) || null;
+    await writeAuth({
+      ...auth,
+      keysByOrg: {
+        ...(auth.keysByOrg || {}),
+        [target]: {
+          api_key:    apiKey,
+          api_key_id: key.id,
+          key_prefix: key.prefix,
+          org_name:   orgName,
+          saved_at:   new Date().toISOString(),
+        },
+      },
+    }, profileName);
+  }
+
+  if (isJsonMode()) {
+    // Unsaved, this is the only copy of the key, so it is never masked.
+    printJson({ profile: profileName, org_id: target, saved: save, key: { ...key, api_key: save ? maskApiKey(apiKey) : apiKey } });
+    return;
+  }
+
+  console.log(chalk.green(`✓ Created key "${key.name}" in org ${target}`));
+  console.log(chalk.gray(`  id: ${key.id || '—'}  ·  prefix: ${key.prefix}`));
+  if (key.services) console.log(chalk.gray(`  services: ${key.services.join(', ')}`));
+  if (key.limits?.monthly != null) console.log(chalk.gray(`  monthly limit: $${key.limits.monthly}`));
+  if (key.expires_at) console.log(chalk.gray(`  expires: ${new Date(key.expires_at).toLocaleString()}`));
+  console.log('');
+  if (save) {
+    console.log(chalk.green(`Saved as the org ${target} key of profile "${profileName}" (${maskApiKey(apiKey)}).`));
+    if (replaced) console.log(chalk.gray(`It replaces the saved key ${maskApiKey(replaced)}, which is still live on the server.`));
+    if (target === auth.orgId) {
+      console.log(chalk.gray('The profile keeps its current key until you run `megallm switch-org` to another org and back.'));
+    } else {
+      console.log(chalk.gray(`Use it with ${chalk.bold(`megallm exec --org ${target} -- <cmd>`)} or ${chalk.bold(`megallm switch-org ${target}`)}.`));
+    }
+  } else {
+    console.log(chalk.yellow('Copy the key now — it is not stored anywhere and cannot be shown again:'));
+    console.log(`  ${apiKey}`);
+  }
+}
+
+/** A saved key: the profile's active key, or the one with `keyId`. */
+function localKey(auth, keyId) {
+  if (!keyId || keyId === auth.apiKeyId) {
+    return { apiKey: auth.apiKey, apiKeyId: auth.apiKeyId || null, keyPrefix: auth.keyPrefix || null, orgId: auth.orgId || null };
+  }
+  for (const [orgId, entry] of Object.entries(auth.keysByOrg || {})) {
+    if (entry?.api_key_id === keyId) {
+      return { apiKey: entry.api_key, apiKeyId: keyId, keyPrefix: entry.key_prefix || null, orgId };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find `keyId` (default: the active key) in this profile, then in the
+ * others. A key no profile saved is assumed to be in the active org, where
+ * the server knows its details.
+ */
+async function findSavedKey(auth, keyId) {
+  const own = localKey(auth, keyId);
+  if (own) return own;
+  for (const p of await listProfiles()) {
+    const other = await readAuth(p);
+    const found = other && localKey(other, keyId);
+    if (found?.apiKey) return found;
+  }
+  return { apiKey: null, apiKeyId: keyId, keyPrefix: null, orgId: auth.orgId || null };
+}
+
+/** Point every key `matches` accepts in one profile's auth.json at `next`. */
+async function replaceProfileKey(profileName, matches, next) {
+  const auth = await readAuth(profileName);
+  if (!auth) return;
+  const updated = { ...auth, keysByOrg: { ...(auth.keysByOrg || {}) } };
+  if (matches(auth.apiKey, auth.apiKeyId)) {
+    Object.assign(updated, { apiKey: next.apiKey, apiKeyId: next.apiKeyId, keyPrefix: next.keyPrefix });
+  }
+  for (const [orgId, entry] of Object.entries(updated.keysByOrg)) {
+    if (entry?.api_key && matches(entry.api_key, entry.api_key_id)) {
+      updated.keysByOrg[orgId] = {
+        ...entry,
+        api_key:    next.apiKey,
+        api_key_id: next.apiKeyId,
+        key_prefix: next.keyPrefix,
+        saved_at:   new Date().toISOString(),
+      };
+    }
+  }
+  await writeAuth(updated, profileName);
+}
+
+/**
+ * Replace a key everywhere this machine uses it: mint a successor in the
+ * same org (same name, services and limits), check it authenticates, swap
+ * it into every profile, tool config and shell export that held the old
+ * key in one transaction, then revoke the old key. A failure before the
+ * revoke leaves the old key in place and revokes the successor.
+ */
+export async function runKeysRotate({ profile, keyId } = {}) {
+  const profileName = resolveProfileName(profile);
+  const auth = await readAuth(profileName);
+  if (!auth?.apiKey) {
+    fail('not_logged_in', `Not logged in (profile "${profileName}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${profileName}"). Run \`megallm login\`.`));
+  }
+
+  const old = await findSavedKey(auth, keyId);
+  if (!old.orgId) {
+    fail('no_org', 'No active org saved for this profile. Run `megallm switch-org` first.',
+      chalk.yellow('No active org saved for this profile. Run `megallm switch-org` first.'));
+  }
+
+  // The server record carries the name, services and limits to copy, and
+  // the id of a key saved before ids were stored.
+  let record = null;
+  try {
+    const payload = await listKeys(auth.apiKey, old.orgId);
+    const keys = payload?.keys || payload?.data || payload || [];
+    record = keys.find(k => old.apiKeyId && (k.api_key_id || k.id) === old.apiKeyId)
+      || keys.find(k => old.apiKey && (k.key_prefix || k.prefix) && old.apiKey.startsWith(k.key_prefix || k.prefix))
+      || null;
+  } catch (err) {
+    fail('api_error', err.message);
+  }
+  if (!record && !old.apiKey) fail('not_found', `No key with id ${keyId} in org ${old.orgId}.`);
+  old.apiKeyId ||= record?.api_key_id || record?.id || null;
+  old.keyPrefix ||= record?.key_prefix || record?.prefix || old.apiKey?.slice(0, 16) || null;
+  const label = old.apiKey ? maskApiKey(old.apiKey) : `${old.keyPrefix}…`;
+
+  const matches = keyMatcher(old);
+  const usages = await findKeyUsages(matches);
+  console.log(chalk.cyan(`Rotating ${label}${record ? ` ("${record.api_key_name || record.name}")` : ''} in org ${old.orgId}`));
+  if (usages.length) {
+    console.log(chalk.gray('Used by:'));
+    for (const u of usages) console.log(chalk.gray(`  • ${u.label}`));
+  } else {
+    console.log(chalk.gray('Not used anywhere on this machine.'));
+  }
+
+  let minted;
+  try {
+    minted = await createKey(auth.apiKey, {
+      orgId: old.orgId,
+      name: record?.api_key_name || record?.name || cliKeyName(),
+      services: record?.services || undefined,
+      limits: record?.limits || undefined,
+    });
+  } catch (err) {
+    fail('api_error', `Could not mint the replacement: ${err.message}`);
+  }
+  const next = {
+    apiKey: minted?.api_key || minted?.apiKey,
+    apiKeyId: minted?.api_key_id || minted?.apiKeyId || null,
+    keyPrefix: null,
+  };
+  if (!next.apiKey) fail('api_error', 'Server did not return an API key.');
+  next.keyPrefix = minted.key_prefix || next.apiKey.slice(0, 16);
+  console.log(chalk.green(`✓ Minted ${maskApiKey(next.apiKey)}`));
+
+  // Anything from here on that stops short of the swap must not leave a
+  // second live key behind.
+  const abandon = async (message) => {
+    if (next.apiKeyId) await revokeKey(auth.apiKey, next.apiKeyId).catch(() => {});
+    console.log(chalk.red(`✗ ${message}`));
+    console.log(chalk.yellow(`Nothing was changed; ${label} is still the live key.`));
+    process.exit(1);
+  };
+
+  let info;
+  try { info = await fetchUserInfo(next.apiKey); }
+  catch (err) { return abandon(`The new key could not be checked: ${err.message}`); }
+  if (!info) return abandon('The new key was rejected by the server.');
+  console.log(chalk.green('✓ The new key authenticates'));
+
+  const steps = [];
+  for (const p of new Set(usages.filter(u => u.profile).map(u => u.profile))) {
+    steps.push({ name: `profile "${p}"`, run: () => replaceProfileKey(p, matches, next) });
+  }
+  for (const u of usages) {
+    if (u.kind === 'tool') steps.push({ name: u.label, run: () => configureClaude(next.apiKey, u.level, { keyMode: 'inline' }) });
+    if (u.kind === 'env') steps.push({ name: u.label, run: () => setEnvironmentVariable(u.envName, next.apiKey, true) });
+  }
+  const tx = await applyTransaction(steps);
+  if (!tx.ok) return abandon(`${tx.step}: ${tx.error}`);
+  if (usages.length) console.log(chalk.green(`✓ Switched ${usages.length} place${usages.length === 1 ? '' : 's'} to the new key`));
+
+  if (!old.apiKeyId) {
+    console.log(chalk.yellow(`! The old key's id is unknown, so it was not revoked. Find it with \`megallm keys list\` and revoke it.`));
+    process.exit(1);
+  }
+  try {
+    // The profile may have just switched to the new key.
+    const bearer = (await readAuth(profileName))?.apiKey || next.apiKey;
+    await revokeKey(bearer, old.apiKeyId);
+  } catch (err) {
+    console.log(chalk.red(`✗ Revoking the old key failed: ${err.message}`));
+    console.log(chalk.yellow(`Everything now uses the new key. Retry with \`megallm keys revoke ${old.apiKeyId}\`.`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`✓ Revoked ${old.apiKeyId}`));
+  if (usages.some(u => u.kind === 'env')) {
+    console.log(chalk.gray('Open a new terminal (or source your shell rc) to pick up the new key.'));
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function keyDate(k, ...fields) {
+  for (const f of fields) {
+    const t = k[f] ? new Date(k[f]).getTime() : NaN;
+    if (!Number.isNaN(t)) return t;
+  }
+  return null;
+}
+
+/**
+ * Find keys the CLI minted for itself (`switch-org`, the wizard) in every
+ * org of the account, and revoke the ones nothing on this machine uses.
+ * With `olderThan`, only keys created before that and not used since
+ * count as stale; `yes` revokes those without asking.
+ */
+export async function runKeysPrune({ profile, olderThan, yes = false } = {}) {
+  let maxAge = null;
+  if (olderThan !== undefined) {
+    maxAge = parseDuration(olderThan);
+    if (maxAge === null) fail('usage', `--older-than expects a duration like 30d, 12h or 2w (got "${olderThan}").`);
+  }
+  if (yes && maxAge === null) {
+    // Another machine may be using a key this one never saw; age is the
+    // only safe signal for an unattended prune.
+    fail('usage', '--yes needs --older-than, e.g. `megallm keys prune --older-than 30d --yes`.');
+  }
+
+  const profileName = resolveProfileName(profile);
+  const auth = await readAuth(profileName);
+  if (!auth?.apiKey) {
+    fail('not_logged_in', `Not logged in (profile "${profileName}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${profileName}"). Run \`megallm login\`.`));
+  }
+
+  let orgs;
+  try { orgs = await listOrgs(auth.apiKey); }
+  catch (err) { fail('api_error', err.message); }
+
+  const cutoff = maxAge === null ? null : Date.now() - maxAge;
+  const found = [];
+  const holders = await collectKeyHolders();
+  for (const org of orgs) {
+    let keys;
+    try {
+      const payload = await listKeys(auth.apiKey, org.org_id);
+      keys = payload?.keys || payload?.data || payload || [];
+    } catch (err) {
+      console.log(chalk.yellow(`! Skipped ${org.org_name || org.org_id}: ${err.message}`));
+      continue;
+    }
+    for (const k of keys) {
+      if (!isCliKeyName(k.api_key_name || k.name)) continue;
+      const id = k.api_key_id || k.id;
+      const prefix = k.key_prefix || k.prefix || null;
+      const usages = await findKeyUsages(keyMatcher({ apiKeyId: id, keyPrefix: prefix }), holders);
+      const created = keyDate(k, 'created_at', 'createdAt');
+      const lastUsed = keyDate(k, 'last_used_at', 'lastUsedAt');
+      // No last-used date means never used; a missing creation date or a
+      // date that does not parse says nothing about age. Such keys are
+      // only offered unticked in the picker, never revoked by `--yes`.
+      const ageUnknown = created === null || (!!(k.last_used_at || k.lastUsedAt) && lastUsed === null);
+      const stale = cutoff === null
+        || (ageUnknown ? !yes : created < cutoff && (lastUsed ?? 0) < cutoff);
+      found.push({ org, id, name: k.api_key_name || k.name, prefix, created, lastUsed, ageUnknown, usages, prunable: !usages.length && stale });
+    }
+  }
+
+  if (!found.length) {
+    console.log(chalk.green('No CLI-minted keys in any of your orgs.'));
+    return;
+  }
+
+  const describe = (k) => {
+    const age = k.created !== null ? `${Math.floor((Date.now() - k.created) / DAY_MS)}d old` : 'age unknown';
+    const used = k.lastUsed !== null ? `last used ${new Date(k.lastUsed).toLocaleDateString()}` : null;
+    return `${k.org.org_name || k.org.org_id}  ${k.prefix || k.id}  ${[age, used].filter(Boolean).join(', ')}`;
+  };
+  console.log(chalk.cyan(`\nCLI-minted keys (${found.length})`));
+  console.log(chalk.gray('─'.repeat(60)));
+  for (const k of found) {
+    const status = k.usages.length
+      ? chalk.green(`in use: ${k.usages.map(u => u.label).join('; ')}`)
+      : k.prunable ? chalk.yellow('unreferenced')
+        : chalk.gray(k.ageUnknown ? 'unreferenced, age unknown' : `unreferenced, newer than ${olderThan}`);
+    console.log(`  ${describe(k)}`);
+    console.log(`    ${chalk.gray(`id: ${k.id}  ·`)} ${status}`);
+  }
+  console.log('');
+
+  const candidates = found.filter(k => k.prunable);
+  if (!candidates.length) {
+    console.log(chalk.green('Nothing to prune.'));
+    return;
+  }
+
+  let chosen;
+  if (yes) {
+    chosen = candidates.map(k => k.id);
+  } else if (process.stdin.isTTY && process.stdout.isTTY) {
+    console.log(chalk.gray('Unreferenced here does not mean unused: another machine may hold one of these keys.'));
+    chosen = await promptPruneSelection(candidates.map(k => ({ id: k.id, label: describe(k), checked: maxAge !== null && !k.ageUnknown })));
+  } else {
+    console.log(chalk.gray(`${candidates.length} unreferenced key${candidates.length === 1 ? '' : 's'}. Revoke with ${chalk.bold('megallm keys prune --older-than 30d --yes')} or run this in a terminal to pick.`));
+    return;
+  }
+  if (!chosen.length) {
+    console.log(chalk.gray('Nothing revoked.'));
+    return;
+  }
+
+  let failed = 0;
+  for (const id of chosen) {
+    try {
+      await revokeKey(auth.apiKey, id);
+      console.log(chalk.green(`✓ Revoked ${id}`));
+    } catch (err) {
+      failed++;
+      console.log(chalk.red(`✗ ${id}: ${err.message}`));
+    }
+  }
+  if (failed) process.exit(1);
+}
+
+/**
+ * Show or change a key's limits: `monthly` / `daily` spend in USD, `rpm`
+ * requests per minute. Given limits are merged into the key's current
+ * ones; `clear` removes them all.
+ */
+export async function runKeysLimit({ profile, orgId, keyId, monthly, daily, rpm, clear = false } = {}) {
+  if (!keyId) fail('usage', 'Missing key_id. Usage: megallm keys limit <key_id> [--monthly usd] [--daily usd] [--rpm n] [--clear]');
+  const given = {};
+  for (const [field, value] of Object.entries({ monthly, daily, rpm })) {
+    if (value === undefined) continue;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0 || (field === 'rpm' && !Number.isInteger(n))) {
+      fail('usage', `--${field} expects a positive ${field === 'rpm' ? 'whole number' : 'amount in USD'} (got "${value}").`);
+    }
+    given[field] = n;
+  }
+  if (clear && Object.keys(given).length) fail('usage', '--clear cannot be combined with --monthly, --daily or --rpm.');
+
+  const profileName = resolveProfileName(profile);
+  const auth = await readAuth(profileName);
+  if (!auth?.apiKey) {
+    fail('not_logged_in', `Not logged in (profile "${profileName}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${profileName}"). Run \`megallm login\`.`));
+  }
+  const target = orgId || (await findSavedKey(auth, keyId)).orgId;
+  if (!target) {
+    fail('no_org', 'No --org given and no active org saved. Run `megallm orgs` to find one.',
+      chalk.yellow('No --org given and no active org saved. Run `megallm orgs` to find one.'));
+  }
+
+  let record;
+  try {
+    const payload = await listKeys(auth.apiKey, target);
+    const keys = payload?.keys || payload?.data || payload || [];
+    record = keys.find(k => (k.api_key_id || k.id) === keyId);
+  } catch (err) {
+    fail('api_error', err.message);
+  }
+  if (!record) fail('not_found', `No key with id ${keyId} in org ${target}.`);
+
+  let limits = record.limits || null;
+  const changing = clear || Object.keys(given).length > 0;
+  if (changing) {
+    const next = clear ? null : { ...(limits || {}), ...given };
+    try {
+      const updated = await updateKeyLimits(auth.apiKey, keyId, next);
+      limits = updated?.limits !== undefined ? updated.limits : next;
+    } catch (err) {
+      fail('api_error', err.message);
+    }
+  }
+
+  if (isJsonMode()) {
+    printJson({ profile: profileName, org_id: target, key_id: keyId, limits: limits && Object.keys(limits).length ? limits : null });
+    return;
+  }
+  const shown = formatLimits(limits);
+  const label = record.api_key_name || record.name || keyId;
+  if (!changing) {
+    console.log(shown ? `Limits for "${label}": ${chalk.white(shown)}` : chalk.gray(`"${label}" has no limits.`));
+  } else if (clear) {
+    console.log(chalk.green(`✓ Removed all limits from "${label}"`));
+  } else {
+    console.log(chalk.green(`✓ Limits for "${label}": ${shown}`));
+  }
 }
@@ -5,8 +5,9 @@ import { readAuth, resolveProfileName } from '../auth/store.js';
 import { configureClaude, unconfigureClaude } from '../configurators/claude.js';
 import { configureCodex, unconfigureCodex }     from '../configurators/codex.js';
 import { configureOpenCode, unconfigureOpenCode } from '../configurators/opencode.js';
-import { setEnvironmentVariable } from '../utils/shell.js';
-import { MEGALLM_BASE_URL } from '../constants.js';
+import { toolEnvVars, applyToolEnv, readClaudeKeyMode } from '../utils/configure-tools.js';
+import { parseModelFlags, resolveToolModels, saveToolModels } from '../utils/tool-models.js';
+import { CODEX_MODES, WIRE_APIS } from '../configurators/codex.js';
 
 const TOOLS = {
   claude:   { label: 'Claude Code', wire: configureClaude,   unwire: unconfigureClaude   },
@@ -19,10 +20,18 @@ function bail(msg, code = 1) {
   process.exit(code);
 }
 
-export async function runLink({ profile, tool } = {}) {
+export async function runLink({ profile, tool, keyMode, model, smallModel, codexMode, wireApi } = {}) {
   if (!tool) bail('Usage: megallm link <claude|codex|opencode>');
-  const def = TOOLS[tool.toLowerCase()];
+  const key = tool.toLowerCase();
+  const def = TOOLS[key];
   if (!def) bail(`Unknown tool "${tool}". Pick one of: ${Object.keys(TOOLS).join(', ')}`);
+  if (keyMode && key !== 'claude') bail('--api-key-helper / --inline-key only apply to `megallm link claude`.');
+  if (smallModel && key !== 'claude') bail('--small-model only applies to `megallm link claude`.');
+  if ((codexMode || wireApi) && key !== 'codex') bail('--codex-mode / --wire-api only apply to `megallm link codex`.');
+  if (codexMode && !CODEX_MODES.includes(codexMode)) bail(`--codex-mode expects ${CODEX_MODES.join(' or ')} (got "${codexMode}").`);
+  if (wireApi && !WIRE_APIS[wireApi]) bail(`--wire-api expects ${Object.keys(WIRE_APIS).join(' or ')} (got "${wireApi}").`);
+  let flags;
+  try { flags = parseModelFlags({ model, smallModel }); } catch (err) { bail(err.message); }
 
   const name = resolveProfileName(profile);
   const auth = await readAuth(name);
@@ -31,13 +40,21 @@ export async function runLink({ profile, tool } = {}) {
     process.exit(1);
   }
 
-  const ok = await def.wire(auth.apiKey, 'system');
+  // The model comes from --model, else the one this profile picked before.
+  let models;
+  try { ({ models } = await resolveToolModels({ tools: [key], flags, profile: name, apiKey: auth.apiKey })); }
+  catch (err) { bail(err.message); }
+
+  const ok = await def.wire(auth.apiKey, 'system', { keyMode, mode: codexMode, wireApi, ...models[key] });
   if (!ok) process.exit(1);
+  await saveToolModels(name, models);
 
   // Always set the env vars too so the tool actually picks the key up.
-  setEnvironmentVariable('ANTHROPIC_BASE_URL', MEGALLM_BASE_URL, true);
-  setEnvironmentVariable('ANTHROPIC_API_KEY', auth.apiKey, true);
-  setEnvironmentVariable('MEGALLM_API_KEY',   auth.apiKey, true);
+  const claudeKeyMode = await readClaudeKeyMode('system');
+  await applyToolEnv([
+    ...toolEnvVars('claude', auth.apiKey, { claudeKeyMode }),
+    ...toolEnvVars('codex', auth.apiKey),
+  ]);
   console.log(chalk.green(`\n✓ Linked ${def.label} to MegaLLM.`));
 }
 
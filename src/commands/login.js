@@ -20,6 +20,7 @@ export async function runLogin({ profile, setCurrent, autoConfigure = true, noBr
 
   console.log('');
   const { picked } = await promptAndConfigureTools(record.apiKey, {
+    profile: name,
     message: 'Which tool would you like to configure with this key?',
     skipHint: `Skipped. You can run ${chalk.bold('megallm setup')} or ${chalk.bold('megallm link <tool>')} any time.`,
   });
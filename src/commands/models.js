@@ -0,0 +1,156 @@
+// `megallm models [--search q] [--owner o] [--refresh]` — the MegaLLM model
+// catalog: id, owner, context window, pricing and capabilities. Served from
+// ~/.megallm/cache/models.json while it is fresh (src/utils/model-catalog.js).
+// `megallm models sync` brings the model lists in tool configs up to date.
+import chalk from 'chalk';
+import { readAuth, resolveProfileName } from '../auth/store.js';
+import { getModelCatalog, findCatalogModel, MODELS_CACHE_FILE } from '../utils/model-catalog.js';
+import { syncOpenCodeModels } from '../configurators/opencode.js';
+import { findModelReferences } from '../utils/tool-models.js';
+import { applyTransaction } from '../utils/transaction.js';
+import { fail, isJsonMode, printJson } from '../utils/output.js';
+import { printTable } from '../utils/table.js';
+import { tildify } from '../utils/files.js';
+
+function formatTokens(n) {
+  if (n == null) return '';
+  if (n >= 1e6) return `${+(n / 1e6).toFixed(2)}M`;
+  if (n >= 1e3) return `${+(n / 1e3).toFixed(1)}k`;
+  return String(n);
+}
+
+const price = (v) => (v == null ? '' : `$${+v.toFixed(4)}`);
+
+export async function runModels({ profile, search, owner, refresh = false } = {}) {
+  const name = resolveProfileName(profile);
+  const auth = await readAuth(name);
+
+  const catalog = await getModelCatalog({ apiKey: auth?.apiKey || null, refresh });
+  if (!catalog) {
+    if (!auth?.apiKey) {
+      fail('not_logged_in', `Not logged in (profile "${name}") and no cached catalog. Run \`megallm login\`.`,
+        chalk.yellow(`Not logged in (profile "${name}") and no cached catalog. Run \`megallm login\`.`));
+    }
+    fail('api_error', 'Could not fetch the model catalog and no cached copy exists.');
+  }
+
+  const q = search?.toLowerCase();
+  const models = catalog.models
+    .filter(m => !q || m.id.toLowerCase().includes(q) || m.name.toLowerCase().includes(q))
+    .filter(m => !owner || (m.owner || '').toLowerCase() === owner.toLowerCase())
+    .sort((a, b) => (a.owner || '').localeCompare(b.owner || '') || a.id.localeCompare(b.id));
+
+  if (isJsonMode()) {
+    printJson({
+      source: catalog.source,
+      fetched_at: catalog.fetchedAt,
+      ...(catalog.error ? { refresh_error: catalog.error } : {}),
+      models,
+    });
+    return;
+  }
+
+  if (catalog.source === 'stale-cache') {
+    console.log(chalk.yellow(`! Could not refresh the catalog (${catalog.error}); showing the copy from ${new Date(catalog.fetchedAt).toLocaleString()}.`));
+  }
+  if (!models.length) {
+    console.log(chalk.yellow(`No models${search ? ` matching "${search}"` : ''}${owner ? ` from ${owner}` : ''}.`));
+    return;
+  }
+
+  console.log(chalk.cyan(`\nMegaLLM models (${models.length})\n`));
+  printTable([
+    { title: 'ID', get: m => m.id, always: true },
+    { title: 'OWNER', get: m => m.owner, color: () => chalk.gray },
+    { title: 'CONTEXT', get: m => formatTokens(m.context_window), align: 'right' },
+    { title: 'MAX OUT', get: m => formatTokens(m.max_output_tokens), align: 'right' },
+    { title: 'IN $/M', get: m => price(m.pricing?.input_per_mtok), align: 'right' },
+    { title: 'OUT $/M', get: m => price(m.pricing?.output_per_mtok), align: 'right' },
+    { title: 'CAPABILITIES', get: m => m.capabilities.join(', '), color: () => chalk.gray },
+  ], models);
+  console.log('');
+  const when = new Date(catalog.fetchedAt).toLocaleString();
+  console.log(chalk.gray(catalog.source === 'network'
+    ? `Fetched just now; cached in ${tildify(MODELS_CACHE_FILE)}.`
+    : `From ${tildify(MODELS_CACHE_FILE)} (${when}). Refresh with ${chalk.bold('megallm models --refresh')}.`));
+}
+
+/**
+ * Fetch the live catalog and update the model lists tool configs keep
+ * (OpenCode's `provider.megallm.models`): new models are added, retired
+ * ones removed, nothing else in the file changes. Models a config selects
+ * that the catalog no longer has are reported, not replaced.
+ */
+export async function runModelsSync({ profile } = {}) {
+  const name = resolveProfileName(profile);
+  const auth = await readAuth(name);
+  if (!auth?.apiKey) {
+    fail('not_logged_in', `Not logged in (profile "${name}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
+  }
+
+  const catalog = await getModelCatalog({ apiKey: auth.apiKey, refresh: true });
+  if (catalog?.source !== 'network') {
+    fail('api_error', `Could not fetch the live model catalog (${catalog?.error || 'no response'}); nothing was changed.`);
+  }
+
+  // Diff first, then write every changed file in one transaction.
+  const lists = [];
+  for (const level of ['system', 'project']) {
+    const diff = await syncOpenCodeModels(catalog, level, { write: false });
+    if (diff && !lists.some(l => l.configPath === diff.configPath)) lists.push({ tool: 'opencode', label: 'OpenCode', ...diff, level });
+  }
+  const changed = lists.filter(l => !l.legacy && (l.added.length || l.removed.length));
+  if (changed.length) {
+    const tx = await applyTransaction(changed.map(l => ({
+      name: `${l.label} (${tildify(l.configPath)})`,
+      run: async () => !!(await syncOpenCodeModels(catalog, l.level)),
+    })));
+    if (!tx.ok) fail('write_failed', `Could not update ${tx.step}: ${tx.error}. Nothing was changed.`);
+  }
+
+  const retired = (await findModelReferences()).filter(ref => findCatalogModel(catalog, ref.model) === false);
+
+  if (isJsonMode()) {
+    printJson({
+      fetched_at: catalog.fetchedAt,
+      models: catalog.models.length,
+      tools: lists.map(l => ({
+        tool: l.tool,
+        file: l.configPath,
+        added: l.added,
+        removed: l.removed,
+        updated: !l.legacy && (l.added.length > 0 || l.removed.length > 0),
+        ...(l.legacy ? { legacy: true } : {}),
+      })),
+      retired_references: retired.map(ref => ({ tool: ref.tool, file: ref.file, key: ref.key, model: ref.model })),
+    });
+    return;
+  }
+
+  console.log(chalk.cyan(`\nMegaLLM catalog: ${catalog.models.length} models\n`));
+  if (!lists.length) {
+    console.log(chalk.gray('  No tool config keeps a MegaLLM model list (OpenCode is the only tool that does).'));
+  }
+  for (const l of lists) {
+    console.log(chalk.bold(`${l.label}`) + chalk.gray(` (${tildify(l.configPath)})`));
+    for (const id of l.added) console.log(chalk.green(`  + ${id}`));
+    for (const id of l.removed) console.log(chalk.red(`  - ${id}`));
+    if (l.legacy) {
+      console.log(chalk.yellow('  ! Uses the old provider.anthropic layout — run `megallm doctor fix` to migrate it, then sync again.'));
+    } else if (l.added.length || l.removed.length) {
+      console.log(chalk.green(`  ✓ ${l.added.length} added, ${l.removed.length} removed`));
+    } else {
+      console.log(chalk.gray('  Up to date.'));
+    }
+  }
+
+  if (retired.length) {
+    console.log('');
+    for (const ref of retired) {
+      console.log(chalk.yellow(`! ${ref.label} uses "${ref.model}" (${ref.key} in ${tildify(ref.file)}), which MegaLLM no longer serves.`));
+      console.log(chalk.gray(`  ${ref.fix ? `Pick another with ${chalk.bold(ref.fix)}` : `Set ${ref.key} to another model`} — see ${chalk.bold('megallm models')}.`));
+    }
+  }
+  console.log('');
+}
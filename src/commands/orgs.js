@@ -2,19 +2,31 @@
 import chalk from 'chalk';
 import { readAuth, resolveProfileName } from '../auth/store.js';
 import { listOrgs } from '../auth/api.js';
+import { fail, isJsonMode, printJson } from '../utils/output.js';
 
 export async function runOrgs({ profile } = {}) {
   const name = resolveProfileName(profile);
   const auth = await readAuth(name);
   if (!auth?.apiKey) {
-    console.log(chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
-    process.exit(1);
+    fail('not_logged_in', `Not logged in (profile "${name}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
   }
   let orgs;
   try { orgs = await listOrgs(auth.apiKey); }
-  catch (err) {
-    console.log(chalk.red(`✗ ${err.message}`));
-    process.exit(1);
+  catch (err) { fail('api_error', err.message); }
+
+  if (isJsonMode()) {
+    printJson({
+      profile: name,
+      active_org_id: auth.orgId || null,
+      orgs: orgs.map((o) => ({
+        id: o.org_id,
+        name: o.org_name,
+        role: o.role || null,
+        active: auth.orgId === o.org_id,
+      })),
+    });
+    return;
   }
   if (!orgs.length) {
     console.log(chalk.yellow('No organizations found for this account.'));
@@ -8,8 +8,8 @@ import {
   setCurrentProfile,
   resolveProfileName,
   readAuth,
-  maskApiKey,
 } from '../auth/store.js';
+import { isJsonMode, printJson, secret } from '../utils/output.js';
 import { MEGALLM_PROFILES_DIR } from '../constants.js';
 
 function profileDir(name) {
@@ -19,6 +19,21 @@ function profileDir(name) {
 export async function runProfileList() {
   const names = await listProfiles();
   const current = resolveProfileName(); // honours config.json + env
+  if (isJsonMode()) {
+    const profiles = [];
+    for (const n of names) {
+      const auth = await readAuth(n);
+      profiles.push({
+        name: n,
+        current: n === current,
+        user: auth?.user ? { name: auth.user.name || null, email: auth.user.email || null } : null,
+        org: auth?.orgId ? { id: auth.orgId, name: auth.orgName || null } : null,
+        api_key: secret(auth?.apiKey),
+      });
+    }
+    printJson({ current, profiles });
+    return;
+  }
   if (names.length === 0) {
     console.log(chalk.yellow('No profiles yet. Run `megallm login` to create one.'));
     return;
@@ -30,7 +45,7 @@ export async function runProfileList() {
     const marker = n === current ? chalk.green('★') : ' ';
     const who = auth?.user?.email || auth?.user?.name || chalk.gray('(no identity)');
     const org = auth?.orgName ? chalk.gray(` · ${auth.orgName}`) : '';
-    const key = auth?.apiKey ? chalk.gray(` · ${maskApiKey(auth.apiKey)}`) : '';
+    const key = auth?.apiKey ? chalk.gray(` · ${secret(auth.apiKey)}`) : '';
     console.log(`${marker} ${chalk.white(n.padEnd(16))} ${who}${org}${key}`);
   }
   console.log('');
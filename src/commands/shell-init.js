@@ -0,0 +1,83 @@
+// `megallm shell-init <shell>` — print a `megallm` shell function for the
+// user's rc file. The function forwards everything to the real CLI except
+// `megallm use …`, whose output it evals so the switch lands in this shell.
+import path from 'path';
+import chalk from 'chalk';
+import { resolveSelfCommand, toShellCommand } from '../utils/shell.js';
+
+export const INIT_SHELLS = ['zsh', 'bash', 'fish', 'pwsh'];
+
+function posixInit(self) {
+  const exe = self.length === 1 ? `command ${self[0]}` : toShellCommand(self);
+  return `megallm() {
+  if [ "$1" = "use" ]; then
+    shift
+    local __megallm_out
+    __megallm_out="$(${exe} use --emit sh "$@")" || return $?
+    eval "$__megallm_out"
+  else
+    ${exe} "$@"
+  fi
+}
+`;
+}
+
+function fishInit(self) {
+  const exe = self.length === 1
+    ? `command ${self[0]}`
+    : self.map(a => `'${a.replace(/[\\']/g, '\\$&')}'`).join(' ');
+  return `function megallm
+    if test "$argv[1]" = use
+        set -l __megallm_out (${exe} use --emit fish $argv[2..-1]); or return $status
+        string join \\n -- $__megallm_out | source
+    else
+        ${exe} $argv
+    end
+end
+`;
+}
+
+function pwshInit(self) {
+  // The function shadows the npm shim, so call the application explicitly.
+  const exe = self.length === 1
+    ? `(Get-Command ${self[0]} -CommandType Application | Select-Object -First 1)`
+    : self.map(a => `'${a.replace(/'/g, "''")}'`).join(' ');
+  return `function megallm {
+  if ($args.Count -gt 0 -and $args[0] -eq 'use') {
+    $__megallm_out = & ${exe} use --emit pwsh @($args | Select-Object -Skip 1)
+    if ($LASTEXITCODE -ne 0) { return }
+    Invoke-Expression ($__megallm_out -join "\`n")
+  } else {
+    & ${exe} @args
+  }
+}
+`;
+}
+
+/**
+ * @param {string} shell  One of INIT_SHELLS; `powershell` is accepted for pwsh.
+ * @returns {string} Source-able definition of the `megallm` function.
+ */
+export function shellInitScript(shell) {
+  const self = resolveSelfCommand();
+  switch (shell) {
+    case 'zsh':
+    case 'bash':       return posixInit(self);
+    case 'fish':       return fishInit(self);
+    case 'pwsh':
+    case 'powershell': return pwshInit(self);
+    default:
+      throw new Error(`Unsupported shell "${shell}". Expected one of: ${INIT_SHELLS.join(', ')}.`);
+  }
+}
+
+export async function runShellInit({ shell } = {}) {
+  const target = shell || path.basename(process.env.SHELL || '');
+  try {
+    process.stdout.write(shellInitScript(target));
+  } catch (err) {
+    console.error(chalk.red(err.message));
+    console.error(chalk.gray('Usage: megallm shell-init zsh|bash|fish|pwsh'));
+    process.exit(1);
+  }
+}
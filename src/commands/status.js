@@ -1,16 +1,42 @@
 // `megallm status` — plain-text snapshot of the current environment.
-// Designed to be scriptable: every field is printed even when empty so that
-// shell consumers can `grep` deterministically.
+// Every field is printed even when empty; scripts should use `--json`,
+// whose shape is stable, rather than grep the text.
 import chalk from 'chalk';
-import { readAuth, resolveProfileName, maskApiKey } from '../auth/store.js';
+import { readAuth, resolveProfileName } from '../auth/store.js';
 import { fetchUserInfo } from '../auth/oauth.js';
 import { checkToolsStatus } from '../detectors/tools.js';
+import { isJsonMode, printJson, secret } from '../utils/output.js';
 import { MEGALLM_BASE_URL, MEGALLM_WEB_URL } from '../constants.js';
 
+const TOOLS = [['claude', 'Claude Code'], ['codex', 'Codex'], ['opencode', 'OpenCode']];
+
 export async function runStatus({ profile } = {}) {
   const name = resolveProfileName(profile);
   const auth = await readAuth(name);
 
+  if (isJsonMode()) {
+    let identity = null;
+    if (auth?.apiKey) {
+      try { identity = await fetchUserInfo(auth.apiKey); } catch { /* keep saved */ }
+    }
+    const user = identity || auth?.user || null;
+    const t = checkToolsStatus();
+    printJson({
+      profile: name,
+      backend: { api: MEGALLM_BASE_URL, web: MEGALLM_WEB_URL },
+      signed_in: !!auth?.apiKey,
+      user: auth?.apiKey && user ? { name: user.name || null, email: user.email || null } : null,
+      org: auth?.apiKey ? { id: auth.orgId || null, name: auth.orgName || null } : null,
+      api_key: secret(auth?.apiKey),
+      scopes: auth?.scopes || [],
+      tools: Object.fromEntries(TOOLS.map(([key]) => [key, {
+        installed: !!t[key]?.installed,
+        config_path: t[key]?.installed ? t[key].configPath || null : null,
+      }])),
+    });
+    return;
+  }
+
   console.log(chalk.bold('MegaLLM CLI status'));
   console.log(chalk.gray('──────────────────'));
   console.log(`Profile           : ${chalk.white(name)}`);
@@ -28,7 +54,7 @@ export async function runStatus({ profile } = {}) {
     console.log(`User              : ${chalk.white(user.name || user.email || '(unknown)')}`);
     console.log(`Email             : ${chalk.white(user.email || '—')}`);
     console.log(`Active org        : ${chalk.white(auth.orgName || auth.orgId || '(default)')}`);
-    console.log(`API key           : ${chalk.white(maskApiKey(auth.apiKey))}`);
+    console.log(`API key           : ${chalk.white(secret(auth.apiKey))}`);
     console.log(`Scopes            : ${chalk.white((auth.scopes || []).join(', ') || '—')}`);
   }
 
@@ -36,7 +62,7 @@ export async function runStatus({ profile } = {}) {
   console.log(chalk.bold('Detected tools'));
   console.log(chalk.gray('──────────────'));
   const t = checkToolsStatus();
-  for (const [key, label] of [['claude', 'Claude Code'], ['codex', 'Codex'], ['opencode', 'OpenCode']]) {
+  for (const [key, label] of TOOLS) {
     const info = t[key];
     const ok = !!info?.installed;
     const mark = ok ? chalk.green('✓') : chalk.gray('✗');
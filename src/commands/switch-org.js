@@ -13,10 +13,14 @@ import { resolveKeyForOrg } from '../auth/keys.js';
 import { promptOrgSelection } from '../utils/prompts.js';
 import { runInkOrgPicker } from '../tui/OrgPicker.js';
 import { promptAndConfigureTools } from '../utils/configure-tools.js';
+import { parseModelFlags } from '../utils/tool-models.js';
 import { releaseStdinHandoff } from '../tui/stdin.js';
 
-export async function runSwitchOrg({ profile, orgId, rewriteConfigs = true } = {}) {
+export async function runSwitchOrg({ profile, orgId, model, smallModel, rewriteConfigs = true } = {}) {
   const name = resolveProfileName(profile);
+  let models;
+  try { models = parseModelFlags({ model, smallModel }); }
+  catch (err) { console.log(chalk.red(`✗ ${err.message}`)); process.exit(1); }
   const auth = await readAuth(name);
   if (!auth?.apiKey) {
     console.log(chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
@@ -98,6 +102,8 @@ export async function runSwitchOrg({ profile, orgId, rewriteConfigs = true } = {
   if (rewriteConfigs) {
     console.log('');
     await promptAndConfigureTools(newKey, {
+      profile: name,
+      models,
       message: `Which tool would you like to update with the new ${org.org_name} key?`,
       skipHint: `Kept tool configs as-is. Run ${chalk.bold('megallm setup')} or ${chalk.bold('megallm link <tool>')} later to apply the new ${org.org_name} key.`,
     });
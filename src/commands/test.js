@@ -0,0 +1,334 @@
+// `megallm test [tool]` — send one tiny inference request per wired tool,
+// built from what that tool would use: the base URL, key and model in its
+// config (and the env vars it reads), on the API it speaks. `doctor` only
+// checks keys against /oauth/userinfo; this exercises the inference path.
+import chalk from 'chalk';
+import path from 'path';
+import { readAuth, readToolModels, resolveProfileName } from '../auth/store.js';
+import { getClaudeKeyMode, runClaudeKeyHelper } from '../configurators/claude.js';
+import { codexMode } from '../configurators/codex.js';
+import { usesLegacyOpenCodeProvider } from '../configurators/opencode.js';
+import { getConfigPath } from '../detectors/os.js';
+import { getModelCatalog, canToolUseModel } from '../utils/model-catalog.js';
+import { getEnvironmentVariable, readPersistedEnvVar } from '../utils/shell.js';
+import { readJsonFile, readTomlFile, tildify } from '../utils/files.js';
+import { fail, isJsonMode, printJson, secret } from '../utils/output.js';
+import { MEGALLM_BASE_URL } from '../constants.js';
+
+const TOOLS = { claude: 'Claude Code', codex: 'Codex', opencode: 'OpenCode' };
+const ANTHROPIC_VERSION = '2023-06-01';
+const TIMEOUT_MS = 30000;
+const PROMPT = 'Reply with the word "ok".';
+
+/**
+ * @typedef {object} TestTarget
+ * @property {'anthropic'|'chat'|'responses'} api
+ * @property {string} url         Full endpoint URL.
+ * @property {string} key
+ * @property {string} keySource   Where the key came from, for the report.
+ * @property {'x-api-key'|'bearer'} auth
+ * @property {string} model
+ * @property {string} modelSource
+ */
+
+// A value the tool reads from the environment: the live shell first, then
+// the rc file, so a tool wired in an earlier shell is still testable.
+function envValue(name) {
+  return getEnvironmentVariable(name) || readPersistedEnvVar(name) || null;
+}
+
+const readConfig = (file, read) => (file ? read(file).catch(() => null) : Promise.resolve(null));
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Claude Code: settings.json `env` (project over user) wins over the shell.
+// Only wired when that base URL is MegaLLM's; any other one is the user's
+// own endpoint and not ours to test. An apiKeyHelper is sent as x-api-key,
+// ANTHROPIC_AUTH_TOKEN as a bearer token, ANTHROPIC_API_KEY as x-api-key.
+async function claudeTarget() {
+  const files = [getConfigPath('claude', 'system'), path.resolve(getConfigPath('claude', 'project'))];
+  const configs = await Promise.all(files.map(f => readConfig(f, readJsonFile)));
+  const setting = (name) => {
+    for (let i = configs.length - 1; i >= 0; i--) {
+      const value = configs[i]?.env?.[name];
+      if (typeof value === 'string' && value) return { value, source: `env.${name} in ${tildify(files[i])}` };
+    }
+    const value = envValue(name);
+    return value ? { value, source: `$${name}` } : null;
+  };
+
+  const baseUrl = setting('ANTHROPIC_BASE_URL');
+  if (!baseUrl) return { skip: 'no ANTHROPIC_BASE_URL — run `megallm link claude`' };
+  if (trimSlash(baseUrl.value) !== MEGALLM_BASE_URL) {
+    return { skip: `${baseUrl.source} is ${baseUrl.value}, not MegaLLM — run \`megallm link claude\`` };
+  }
+
+  let key = null;
+  const helperAt = configs.map(c => getClaudeKeyMode(c) === 'helper').lastIndexOf(true);
+  if (helperAt >= 0) {
+    const value = runClaudeKeyHelper(configs[helperAt].apiKeyHelper);
+    if (value) key = { value, source: `apiKeyHelper in ${tildify(files[helperAt])}`, auth: 'x-api-key' };
+  }
+  if (!key) {
+    const token = setting('ANTHROPIC_AUTH_TOKEN');
+    const apiKey = setting('ANTHROPIC_API_KEY');
+    if (token) key = { ...token, auth: 'bearer' };
+    else if (apiKey) key = { ...apiKey, auth: 'x-api-key' };
+  }
+  return {
+    api: 'anthropic',
+    url: `${trimSlash(baseUrl.value)}/v1/messages`,
+    key,
+    model: setting('ANTHROPIC_MODEL'),
+  };
+}
+
+// Codex: the `megallm` provider, used at the top level (default mode) or
+// by `[profiles.megallm]` (`codex --profile megallm`).
+async function codexTarget() {
+  const file = getConfigPath('codex', 'system');
+  const config = await readConfig(file, readTomlFile);
+  const mode = codexMode(config);
+  const provider = config?.model_providers?.megallm;
+  if (!mode || !provider?.base_url) return { skip: 'no megallm provider — run `megallm link codex`' };
+
+  const api = provider.wire_api === 'responses' ? 'responses' : 'chat';
+  const envKey = provider.env_key || 'MEGALLM_API_KEY';
+  const keyValue = envValue(envKey);
+  const model = mode === 'profile' ? config.profiles.megallm.model : config.model;
+  const modelKey = mode === 'profile' ? 'profiles.megallm.model' : 'model';
+  return {
+    api,
+    url: `${trimSlash(provider.base_url)}/${api === 'responses' ? 'responses' : 'chat/completions'}`,
+    key: keyValue ? { value: keyValue, source: `$${envKey}`, auth: 'bearer' } : null,
+    model: typeof model === 'string' && model ? { value: model, source: `${modelKey} in ${tildify(file)}` } : null,
+    note: mode === 'profile' ? 'as `codex --profile megallm`' : null,
+  };
+}
+
+// OpenCode: `provider.megallm` through the OpenAI-compatible SDK; the
+// project opencode.json overrides the user one.
+async function openCodeTarget() {
+  const files = [getConfigPath('opencode', 'system'), path.resolve(getConfigPath('opencode', 'project'))];
+  const configs = await Promise.all(files.map(f => readConfig(f, readJsonFile)));
+  const at = configs.map(c => !!c?.provider?.megallm?.options?.baseURL).lastIndexOf(true);
+  if (at < 0) {
+    return configs.some(usesLegacyOpenCodeProvider)
+      ? { error: 'MegaLLM is still configured as provider.anthropic (old layout)', explanation: 'Run `megallm doctor fix` to move it to provider.megallm, then test again.' }
+      : { skip: 'no megallm provider — run `megallm link opencode`' };
+  }
+  const provider = configs[at].provider.megallm;
+
+  const ref = String(provider.options.apiKey ?? '');
+  const envName = ref.match(/^\{env:([A-Za-z0-9_]+)\}$/)?.[1];
+  const keyValue = envName ? envValue(envName) : ref || null;
+  const key = keyValue
+    ? { value: keyValue, source: envName ? `$${envName}` : `provider.megallm.options.apiKey in ${tildify(files[at])}`, auth: 'bearer' }
+    : null;
+
+  let model = null;
+  for (let i = configs.length - 1; i >= 0 && !model; i--) {
+    const value = configs[i]?.model;
+    if (typeof value === 'string' && value.startsWith('megallm/')) {
+      model = { value: value.slice('megallm/'.length), source: `model in ${tildify(files[i])}` };
+    }
+  }
+  const listed = Object.keys(provider.models || {})[0];
+  if (!model && listed) model = { value: listed, source: `first of provider.megallm.models in ${tildify(files[at])}` };
+
+  return { api: 'chat', url: `${trimSlash(provider.options.baseURL)}/chat/completions`, key, model };
+}
+
+const TARGETS = { claude: claudeTarget, codex: codexTarget, opencode: openCodeTarget };
+
+function requestFor(target) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (target.auth === 'x-api-key') headers['x-api-key'] = target.key;
+  else headers.Authorization = `Bearer ${target.key}`;
+  if (target.api === 'anthropic') {
+    headers['anthropic-version'] = ANTHROPIC_VERSION;
+    return { headers, body: { model: target.model, max_tokens: 16, messages: [{ role: 'user', content: PROMPT }] } };
+  }
+  if (target.api === 'responses') {
+    return { headers, body: { model: target.model, max_output_tokens: 16, input: PROMPT } };
+  }
+  return { headers, body: { model: target.model, max_tokens: 16, messages: [{ role: 'user', content: PROMPT }] } };
+}
+
+// What a failed status means for someone looking at their tool config.
+function explain(status, target, tool, retryAfter) {
+  if (status === 401) {
+    return `The key (${target.keySource}) was rejected: it is wrong, revoked or rotated. \`megallm doctor fix\` gives ${TOOLS[tool]} the profile's current key.`;
+  }
+  if (status === 403) {
+    return `The key is valid but may not use "${target.model}" here: check the key's services and its org's access, or whether a spend limit was reached (\`megallm keys list\`).`;
+  }
+  if (status === 404) {
+    return `Either ${target.url} is not an inference endpoint (check the base URL in the config) or "${target.model}" does not exist (see \`megallm models\`).`;
+  }
+  if (status === 429) {
+    return `Rate or spend limit reached${retryAfter ? ` (retry after ${retryAfter}s)` : ''}. See \`megallm usage\` and \`megallm keys limit\`.`;
+  }
+  if (status >= 500) return 'MegaLLM failed to serve the request; try again shortly.';
+  return null;
+}
+
+/**
+ * Send `target`'s request and time it.
+ *
+ * @returns {Promise<{ ok: boolean, status: number|null, latencyMs: number, servedModel: string|null, error?: string, explanation?: string|null }>}
+ */
+async function sendTestRequest(target, tool) {
+  const { headers, body } = requestFor(target);
+  const started = Date.now();
+  let res;
+  try {
+    res = await fetch(target.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+  } catch (err) {
+    const reason = err.name === 'TimeoutError' ? `no response within ${TIMEOUT_MS / 1000}s` : err.cause?.message || err.message;
+    return {
+      ok: false, status: null, latencyMs: Date.now() - started, servedModel: null,
+      error: `Could not reach ${new URL(target.url).host}: ${reason}`,
+      explanation: 'Check the base URL in the config and your network or proxy settings.',
+    };
+  }
+  const text = await res.text();
+  const latencyMs = Date.now() - started;
+  let json = null;
+  try { json = JSON.parse(text); } catch { /* not JSON; reported as text below */ }
+  if (res.ok) return { ok: true, status: res.status, latencyMs, servedModel: json?.model || null };
+
+  const message = json?.error?.message || json?.message || (typeof json?.error === 'string' ? json.error : null)
+    || text.trim().slice(0, 200) || res.statusText;
+  return {
+    ok: false, status: res.status, latencyMs, servedModel: null,
+    error: `HTTP ${res.status}${message ? `: ${message}` : ''}`,
+    explanation: explain(res.status, target, tool, res.headers.get('retry-after')),
+  };
+}
+
+/**
+ * Resolve what `tool` would send. A tool config with no model falls back
+ * to the one saved with the profile, then to the first catalog model the
+ * tool can call.
+ *
+ * @returns {Promise<TestTarget | { skip: string } | { error: string, explanation: string }>}
+ *   `skip` when the tool is not wired to MegaLLM.
+ */
+async function resolveTarget(tool, { profile, apiKey }) {
+  const found = await TARGETS[tool]();
+  if (found.skip || found.error) return found;
+  if (!found.key) {
+    return { error: 'No API key', explanation: `${TOOLS[tool]} has no key to send. \`megallm doctor fix\` writes the profile's key where it reads it.` };
+  }
+  let model = found.model;
+  if (!model) {
+    const saved = (await readToolModels(profile))[tool]?.model;
+    if (saved) model = { value: saved, source: 'saved with the profile (the config names none)' };
+  }
+  if (!model) {
+    const catalog = await getModelCatalog({ apiKey });
+    const first = catalog?.models.find(m => canToolUseModel(tool, m));
+    if (first) model = { value: first.id, source: 'MegaLLM catalog (the config names none)' };
+  }
+  if (!model) {
+    return { error: 'No model', explanation: `The config names no model; pick one with \`megallm link ${tool} --model <id>\`.` };
+  }
+  return {
+    api: found.api,
+    url: found.url,
+    key: found.key.value,
+    keySource: found.key.source,
+    auth: found.key.auth,
+    model: model.value,
+    modelSource: model.source,
+    note: found.note || null,
+  };
+}
+
+const API_LABELS = { anthropic: 'Anthropic Messages', chat: 'OpenAI Chat Completions', responses: 'OpenAI Responses' };
+
+/**
+ * Test every wired tool, or just `tool`. Returns 1 when a request failed
+ * (or a tool named on the command line is not wired), else 0.
+ */
+export async function runTest({ profile, tool } = {}) {
+  if (tool && !TOOLS[tool.toLowerCase()]) {
+    fail('usage', `Unknown tool "${tool}". Pick one of: ${Object.keys(TOOLS).join(', ')}`);
+  }
+  const tools = tool ? [tool.toLowerCase()] : Object.keys(TOOLS);
+  const name = resolveProfileName(profile);
+  const auth = await readAuth(name);
+
+  if (!isJsonMode()) console.log(chalk.bold.cyan('MegaLLM test\n'));
+  const results = [];
+  for (const key of tools) {
+    const target = await resolveTarget(key, { profile: name, apiKey: auth?.apiKey || null });
+    let result;
+    if (target.skip) {
+      result = { tool: key, status: tool ? 'fail' : 'skip', reason: target.skip };
+    } else if (target.error) {
+      result = { tool: key, status: 'fail', error: target.error, explanation: target.explanation };
+    } else {
+      const sent = await sendTestRequest(target, key);
+      result = {
+        tool: key,
+        status: sent.ok ? 'ok' : 'fail',
+        api: target.api,
+        url: target.url,
+        model: target.model,
+        model_source: target.modelSource,
+        key: secret(target.key),
+        key_source: target.keySource,
+        http_status: sent.status,
+        latency_ms: sent.latencyMs,
+        served_model: sent.servedModel,
+        ...(sent.ok ? {} : { error: sent.error, explanation: sent.explanation }),
+      };
+    }
+    results.push(result);
+    if (!isJsonMode()) printResult(result, target);
+  }
+
+  const failures = results.filter(r => r.status === 'fail').length;
+  const tested = results.filter(r => r.status !== 'skip').length;
+  if (isJsonMode()) {
+    printJson({ profile: name, ok: failures === 0 && tested > 0, failures, results });
+  } else if (!tested) {
+    console.log(chalk.yellow('No tool is wired to MegaLLM. Run `megallm setup` or `megallm link <tool>` first.'));
+  } else {
+    console.log(failures
+      ? chalk.red(`${failures} of ${tested} tool${tested === 1 ? '' : 's'} failed.`)
+      : chalk.green(`All ${tested} tool${tested === 1 ? '' : 's'} answered.`));
+  }
+  return failures || !tested ? 1 : 0;
+}
+
+function printResult(result, target) {
+  const label = TOOLS[result.tool];
+  if (result.status === 'skip' || (result.reason && result.status === 'fail')) {
+    const line = `${label}: ${result.reason}`;
+    console.log(result.status === 'skip' ? chalk.gray(`· ${line}`) : chalk.red(`✗ ${line}`));
+    console.log('');
+    return;
+  }
+  console.log(chalk.bold(label) + (target.note ? chalk.gray(` (${target.note})`) : ''));
+  if (result.url) {
+    console.log(chalk.gray(`  POST ${result.url}  (${API_LABELS[result.api]})`));
+    console.log(chalk.gray(`  Model ${chalk.white(result.model)}  from ${result.model_source}`));
+    console.log(chalk.gray(`  Key   ${chalk.white(result.key)}  from ${result.key_source}`));
+  }
+  if (result.status === 'ok') {
+    const served = result.served_model ? ` — served by ${result.served_model}` : '';
+    console.log(chalk.green(`  ✓ HTTP ${result.http_status} in ${result.latency_ms} ms${served}`));
+  } else {
+    const took = result.latency_ms != null ? chalk.gray(` (${result.latency_ms} ms)`) : '';
+    console.log(chalk.red(`  ✗ ${result.error}`) + took);
+    if (result.explanation) console.log(chalk.yellow(`    ${result.explanation}`));
+  }
+  console.log('');
+}
@@ -0,0 +1,110 @@
+// `megallm usage [--org id] [--key id] [--model m] [--since 7d] [--group-by day|model|key]`
+// — spend, tokens and remaining credit for an org, as a table with bars.
+import chalk from 'chalk';
+import { readAuth, resolveProfileName } from '../auth/store.js';
+import { getBalance } from '../auth/api.js';
+import { fail, isJsonMode, printJson } from '../utils/output.js';
+import { parsePastTime } from '../utils/duration.js';
+import { printTable } from '../utils/table.js';
+import { readUsage, formatUsd } from '../utils/usage.js';
+
+const GROUPS = ['day', 'model', 'key'];
+const BAR_WIDTH = 20;
+const EIGHTHS = ['', '▏', '▎', '▍', '▌', '▋', '▊', '▉'];
+
+/** Remaining credit, or null when the backend does not report one. */
+async function readBalance(apiKey, orgId) {
+  try {
+    const b = await getBalance(apiKey, orgId);
+    const amount = b?.balance_usd ?? b?.balance ?? b?.remaining_usd ?? b?.credit_usd;
+    if (amount == null || !Number.isFinite(Number(amount))) return null;
+    return { amount_usd: Number(amount), credit_limit_usd: b.credit_limit_usd ?? null };
+  } catch {
+    return null;
+  }
+}
+
+function bar(value, max) {
+  if (!max || value <= 0) return '';
+  const eighths = Math.max(1, Math.round((value / max) * BAR_WIDTH * 8));
+  return '█'.repeat(Math.floor(eighths / 8)) + EIGHTHS[eighths % 8];
+}
+
+const count = (n) => n.toLocaleString('en-US');
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.profile]
+ * @param {string} [opts.orgId]    Defaults to the profile's active org.
+ * @param {string} [opts.keyId]    Only this key.
+ * @param {string} [opts.model]    Only this model.
+ * @param {string} [opts.since]    Duration (`7d`) or date; default 30d.
+ * @param {string} [opts.groupBy]  `day` (default), `model` or `key`.
+ * @param {boolean} [opts.bars]    Draw a cost bar per row (default true).
+ */
+export async function runUsage({ profile, orgId, keyId, model, since = '30d', groupBy = 'day', bars = true } = {}) {
+  if (!GROUPS.includes(groupBy)) fail('usage', `--group-by expects one of ${GROUPS.join(', ')} (got "${groupBy}").`);
+  const from = parsePastTime(since);
+  if (!from) fail('usage', `--since expects a duration like 7d or 12h, or a date like 2026-10-01 (got "${since}").`);
+  if (from.getTime() > Date.now()) fail('usage', `--since ${since} is in the future.`);
+
+  const name = resolveProfileName(profile);
+  const auth = await readAuth(name);
+  if (!auth?.apiKey) {
+    fail('not_logged_in', `Not logged in (profile "${name}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
+  }
+  const target = orgId || auth.orgId;
+  if (!target) {
+    fail('no_org', 'No --org given and no active org saved. Run `megallm orgs` to find one.',
+      chalk.yellow('No --org given and no active org saved. Run `megallm orgs` to find one.'));
+  }
+
+  let usage;
+  try { usage = await readUsage(auth.apiKey, { orgId: target, keyId, model, since: from, groupBy }); }
+  catch (err) { fail('api_error', err.message); }
+  const balance = await readBalance(auth.apiKey, target);
+
+  if (isJsonMode()) {
+    printJson({
+      profile: name,
+      org_id: target,
+      since: from.toISOString(),
+      group_by: groupBy,
+      key_id: keyId || null,
+      model: model || null,
+      rows: usage.rows,
+      totals: usage.totals,
+      balance,
+    });
+    return;
+  }
+
+  const orgLabel = target === auth.orgId && auth.orgName ? auth.orgName : target;
+  const scope = [keyId && `key ${keyId}`, model && `model ${model}`].filter(Boolean).join(', ');
+  console.log(chalk.cyan(`\nUsage for ${orgLabel} since ${from.toLocaleDateString()}${scope ? ` (${scope})` : ''}\n`));
+
+  if (!usage.rows.length) {
+    console.log(chalk.gray('  No usage in this period.'));
+  } else {
+    const max = Math.max(...usage.rows.map(r => r.cost_usd));
+    const total = { ...usage.totals, group: 'Total', total: true };
+    printTable([
+      { title: groupBy.toUpperCase(), get: r => r.group, color: r => (r.total ? chalk.bold : undefined), always: true },
+      { title: 'REQUESTS', get: r => count(r.requests), align: 'right' },
+      { title: 'INPUT', get: r => count(r.input_tokens), align: 'right' },
+      { title: 'OUTPUT', get: r => count(r.output_tokens), align: 'right' },
+      { title: 'COST', get: r => formatUsd(r.cost_usd), align: 'right', color: r => (r.total ? chalk.bold : undefined), always: true },
+      ...(bars ? [{ title: '', get: r => (r.total ? '' : bar(r.cost_usd, max)), color: () => chalk.cyan }] : []),
+    ], [...usage.rows, total]);
+  }
+
+  console.log('');
+  if (balance) {
+    const limit = balance.credit_limit_usd != null ? ` of ${formatUsd(Number(balance.credit_limit_usd))}` : '';
+    const color = balance.amount_usd <= 0 ? chalk.red : chalk.green;
+    console.log(`  Balance: ${color(formatUsd(balance.amount_usd))}${limit} remaining`);
+  } else {
+    console.log(chalk.gray('  Balance: not available for this org'));
+  }
+}
@@ -1,25 +1,36 @@
 // `megallm whoami` — show the identity behind the saved key.
 import chalk from 'chalk';
-import { readAuth, resolveProfileName, maskApiKey } from '../auth/store.js';
+import { readAuth, resolveProfileName } from '../auth/store.js';
 import { fetchUserInfo } from '../auth/oauth.js';
+import { fail, isJsonMode, printJson, secret } from '../utils/output.js';
 
 export async function runWhoami({ profile } = {}) {
   const name = resolveProfileName(profile);
   const auth = await readAuth(name);
   if (!auth?.apiKey) {
-    console.log(chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
-    process.exit(1);
+    fail('not_logged_in', `Not logged in (profile "${name}"). Run \`megallm login\`.`,
+      chalk.yellow(`Not logged in (profile "${name}"). Run \`megallm login\`.`));
   }
   let user = auth.user;
+  let verified = false;
   try {
     const fresh = await fetchUserInfo(auth.apiKey);
-    if (fresh) user = fresh;
-    else {
-      console.log(chalk.red('✗ Saved key is no longer valid. Run `megallm login` again.'));
-      process.exit(1);
-    }
+    if (fresh) { user = fresh; verified = true; }
+    else fail('key_invalid', 'Saved key is no longer valid. Run `megallm login` again.');
   } catch { /* show cached on network failure */ }
 
+  if (isJsonMode()) {
+    printJson({
+      profile: name,
+      user: { name: user?.name || null, email: user?.email || null },
+      org: { id: auth.orgId || null, name: auth.orgName || null },
+      scopes: auth.scopes || [],
+      api_key: secret(auth.apiKey),
+      verified,
+    });
+    return;
+  }
+
   console.log(chalk.cyan('\nMegaLLM identity'));
   console.log(chalk.gray('─'.repeat(40)));
   console.log(`  Profile : ${chalk.white(name)}`);
@@ -27,6 +38,6 @@ export async function runWhoami({ profile } = {}) {
   console.log(`  Email   : ${chalk.white(user?.email || '(unknown)')}`);
   console.log(`  Org     : ${chalk.white(auth.orgName || auth.orgId || '(default)')}`);
   console.log(`  Scopes  : ${chalk.white((auth.scopes || []).join(' '))}`);
-  console.log(`  Key     : ${chalk.white(maskApiKey(auth.apiKey))}`);
+  console.log(`  Key     : ${chalk.white(secret(auth.apiKey))}`);
   console.log('');
 }
@@ -1,16 +1,60 @@
 // Claude Code Configuration Module
 import path from 'path';
+import { execSync } from 'child_process';
 import chalk from 'chalk';
 import { brailleOra as ora } from '../utils/spinner.js';
 import {
   readJsonFile,
-  writeJsonFile,
-  mergeJsonConfig,
+  editJsonFile,
   ensureDirectory
  } from '../utils/files.js';
-import { getLastNCharacters } from '../utils/shell.js';
+import { getLastNCharacters, resolveSelfCommand, toShellCommand } from '../utils/shell.js';
 import { MEGALLM_BASE_URL, CONFIG_PATHS } from '../constants.js';
 import { getConfigPath } from '../detectors/os.js';
+import { unknownModelWarning } from '../utils/model-catalog.js';
+
+// Claude Code runs `apiKeyHelper` through the shell and uses its stdout as the
+// key. Pointing it at `megallm credential` makes Claude read the active
+// profile/org key from ~/.megallm on demand, so switching orgs or rotating a
+// key needs no settings.json rewrite and no plaintext key lands in it.
+const CREDENTIAL_SUBCOMMAND = 'credential';
+
+/** True when an `apiKeyHelper` value is one this CLI wrote. */
+function isMegallmKeyHelper(command) {
+  return typeof command === 'string'
+    && /megallm(\.js)?"?\s+credential\b/.test(command);
+}
+
+/** The `apiKeyHelper` command line to write for this machine. */
+function buildKeyHelperCommand() {
+  return toShellCommand([...resolveSelfCommand(), CREDENTIAL_SUBCOMMAND]);
+}
+
+/**
+ * How a Claude settings file gets its MegaLLM key.
+ *
+ * @param {object|null} config Parsed settings.json
+ * @returns {'helper'|'inline'|null} null when the file holds no MegaLLM key.
+ */
+function getClaudeKeyMode(config) {
+  if (isMegallmKeyHelper(config?.apiKeyHelper)) return 'helper';
+  if (config?.env?.ANTHROPIC_API_KEY) return 'inline';
+  return null;
+}
+
+/**
+ * Run the configured `apiKeyHelper` the same way Claude Code would and
+ * return the key it prints, or null if it fails or prints nothing.
+ */
+function runClaudeKeyHelper(command) {
+  try {
+    const out = execSync(command, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'], timeout: 15000 });
+    const key = out.trim().split('\n').pop();
+    return key || null;
+  } catch {
+    return null;
+  }
+}
 
 async function checkExistingClaudeConfig() {
   const results = {
@@ -23,7 +67,8 @@ async function checkExistingClaudeConfig() {
   const systemPath = getConfigPath('claude', 'system');
   if (systemPath) {
     const systemConfig = await readJsonFile(systemPath);
-    if (systemConfig?.env?.ANTHROPIC_BASE_URL || systemConfig?.env?.ANTHROPIC_API_KEY) {
+    if (systemConfig?.env?.ANTHROPIC_BASE_URL || systemConfig?.env?.ANTHROPIC_API_KEY
+        || isMegallmKeyHelper(systemConfig?.apiKeyHelper)) {
       results.hasConfig = true;
       results.locations.push(`System: ${systemPath}`);
       results.configs.push({ path: systemPath, config: systemConfig });
@@ -34,7 +79,8 @@ async function checkExistingClaudeConfig() {
   const projectPath = getConfigPath('claude', 'project');
   if (projectPath) {
     const projectConfig = await readJsonFile(projectPath);
-    if (projectConfig?.env?.ANTHROPIC_BASE_URL || projectConfig?.env?.ANTHROPIC_API_KEY) {
+    if (projectConfig?.env?.ANTHROPIC_BASE_URL || projectConfig?.env?.ANTHROPIC_API_KEY
+        || isMegallmKeyHelper(projectConfig?.apiKeyHelper)) {
       results.hasConfig = true;
       results.locations.push(`Project: ${projectPath}`);
       results.configs.push({ path: projectPath, config: projectConfig });
@@ -53,7 +99,23 @@ async function checkExistingClaudeConfig() {
   return results;
 }
 
-async function configureClaude(apiKey, level = 'system') {
+/**
+ * Point Claude Code at MegaLLM.
+ *
+ * @param {string} apiKey
+ * @param {'system'|'project'} [level='system']
+ * @param {object} [opts]
+ * @param {'inline'|'helper'} [opts.keyMode] `inline` writes the key into
+ *   `env.ANTHROPIC_API_KEY`; `helper` sets `apiKeyHelper` to
+ *   `megallm credential` instead. Defaults to whatever the file already uses,
+ *   else `inline`.
+ * @param {string} [opts.model] Default model, written as `env.ANTHROPIC_MODEL`.
+ *   Left as it is when unset.
+ * @param {string} [opts.smallModel] Model for background tasks, written as
+ *   `env.ANTHROPIC_SMALL_FAST_MODEL`. Left as it is when unset.
+ * @returns {Promise<boolean>}
+ */
+async function configureClaude(apiKey, level = 'system', opts = {}) {
   const spinner = ora('Configuring Claude Code...').start();
 
   try {
@@ -71,53 +133,96 @@ async function configureClaude(apiKey, level = 'system') {
 
     // Read existing config or create new
     let existingConfig = await readJsonFile(configPath) || {};
-
-    // Prepare new configuration for settings.json
-    const newConfig = {
-      env: {
-        ...existingConfig.env,
-        ANTHROPIC_BASE_URL: MEGALLM_BASE_URL,
-        ANTHROPIC_API_KEY: apiKey
+    const keyMode = opts.keyMode || getClaudeKeyMode(existingConfig) || 'inline';
+    const modelEdits = [
+      ...(opts.model ? [{ path: ['env', 'ANTHROPIC_MODEL'], value: opts.model }] : []),
+      ...(opts.smallModel ? [{ path: ['env', 'ANTHROPIC_SMALL_FAST_MODEL'], value: opts.smallModel }] : []),
+    ];
+    const modelWarning = (opts.model ? await unknownModelWarning(apiKey, opts.model) : null)
+      || (opts.smallModel ? await unknownModelWarning(apiKey, opts.smallModel) : null);
+
+    if (keyMode === 'helper') {
+      const helperCommand = buildKeyHelperCommand();
+      const alreadyWired = existingConfig.env?.ANTHROPIC_BASE_URL === MEGALLM_BASE_URL
+        && existingConfig.apiKeyHelper === helperCommand
+        && !existingConfig.env?.ANTHROPIC_API_KEY
+        && (!opts.model || existingConfig.env?.ANTHROPIC_MODEL === opts.model)
+        && (!opts.smallModel || existingConfig.env?.ANTHROPIC_SMALL_FAST_MODEL === opts.smallModel);
+
+      if (alreadyWired) {
+        spinner.succeed(chalk.green('Claude Code already uses `megallm credential` — nothing to rewrite.'));
+        if (modelWarning) console.log(chalk.yellow(`  ⚠ ${modelWarning}`));
+        return true;
       }
-    };
 
-    // Merge configurations for settings.json
-    const finalConfig = await mergeJsonConfig(existingConfig, newConfig);
+      spinner.text = `Writing configuration to ${configPath}...`;
+      await editJsonFile(configPath, [
+        { path: ['env', 'ANTHROPIC_BASE_URL'], value: MEGALLM_BASE_URL },
+        // The helper replaces the inline key; an inline key left behind would
+        // keep Claude on a stale org.
+        { path: ['env', 'ANTHROPIC_API_KEY'], value: undefined },
+        { path: ['apiKeyHelper'], value: helperCommand },
+        ...modelEdits,
+      ], true);
+
+      spinner.succeed(chalk.green('Claude Code configured successfully!'));
+      if (modelWarning) console.log(chalk.yellow(`  ⚠ ${modelWarning}`));
+
+      console.log(chalk.cyan('\n📝 Configuration Details:'));
+      console.log(chalk.gray(`  Settings file: ${configPath}`));
+      console.log(chalk.gray(`  Base URL: ${MEGALLM_BASE_URL}`));
+      console.log(chalk.gray(`  API key helper: ${helperCommand}`));
+      if (opts.model) console.log(chalk.gray(`  Model: ${opts.model}`));
+      if (opts.smallModel) console.log(chalk.gray(`  Small/fast model: ${opts.smallModel}`));
+      console.log(chalk.gray('  The key is read from ~/.megallm on each request — `switch-org` and `profile use` apply without rewriting this file.'));
+
+      if (level === 'project' && configPath.includes('settings.local.json')) {
+        await addToGitignore('.claude/settings.local.json');
+      }
+      return true;
+    }
 
     spinner.text = `Writing configuration to ${configPath}...`;
 
-    // Write the settings.json configuration
-    await writeJsonFile(configPath, finalConfig, true);
+    // Edit only the MegaLLM keys of settings.json; everything else in the
+    // file stays as written.
+    await editJsonFile(configPath, [
+      { path: ['env', 'ANTHROPIC_BASE_URL'], value: MEGALLM_BASE_URL },
+      { path: ['env', 'ANTHROPIC_API_KEY'], value: apiKey },
+      // Switching back from helper mode: the helper would otherwise win.
+      ...(isMegallmKeyHelper(existingConfig.apiKeyHelper) ? [{ path: ['apiKeyHelper'], value: undefined }] : []),
+      ...modelEdits,
+    ], true);
 
     // Now handle the .claude.json file for customApiKeyResponses
     const claudeJsonPath = CONFIG_PATHS.claude.apiKeys;
     spinner.text = `Updating API key approval in ${claudeJsonPath}...`;
 
     // Read existing .claude.json or create new
-    let claudeJson = await readJsonFile(claudeJsonPath) || {};
+    const claudeJson = await readJsonFile(claudeJsonPath) || {};
 
     // Add API key approval for Claude Code
     const last20Chars = getLastNCharacters(apiKey, 20);
-
-    if (!claudeJson.customApiKeyResponses) {
-      claudeJson.customApiKeyResponses = {
-        approved: [],
-        rejected: []
-      };
+    const responses = claudeJson.customApiKeyResponses;
+
+    // Add to approved if not already there. .claude.json is Claude's own
+    // state file, so only this one entry is touched.
+    if (!responses) {
+      await editJsonFile(claudeJsonPath, [
+        { path: ['customApiKeyResponses'], value: { approved: [last20Chars], rejected: [] } }
+      ], true);
+    } else if (!responses.approved) {
+      await editJsonFile(claudeJsonPath, [
+        { path: ['customApiKeyResponses', 'approved'], value: [last20Chars] }
+      ], true);
+    } else if (!responses.approved.includes(last20Chars)) {
+      await editJsonFile(claudeJsonPath, [
+        { path: ['customApiKeyResponses', 'approved'], value: last20Chars, append: true }
+      ], true);
     }
 
-    // Add to approved if not already there
-    if (!claudeJson.customApiKeyResponses.approved) {
-      claudeJson.customApiKeyResponses.approved = [];
-    }
-    if (!claudeJson.customApiKeyResponses.approved.includes(last20Chars)) {
-      claudeJson.customApiKeyResponses.approved.push(last20Chars);
-    }
-
-    // Write the .claude.json file
-    await writeJsonFile(claudeJsonPath, claudeJson, true);
-
     spinner.succeed(chalk.green('Claude Code configured successfully!'));
+    if (modelWarning) console.log(chalk.yellow(`  ⚠ ${modelWarning}`));
 
     // Show additional instructions
     console.log(chalk.cyan('\n📝 Configuration Details:'));
@@ -125,6 +230,8 @@ async function configureClaude(apiKey, level = 'system') {
     console.log(chalk.gray(`  API keys file: ${claudeJsonPath}`));
     console.log(chalk.gray(`  Base URL: ${MEGALLM_BASE_URL}`));
     console.log(chalk.gray(`  API Key: ${apiKey.substring(0, 10)}...${apiKey.slice(-4)}`));
+    if (opts.model) console.log(chalk.gray(`  Model: ${opts.model}`));
+    if (opts.smallModel) console.log(chalk.gray(`  Small/fast model: ${opts.smallModel}`));
 
     // Special instructions for project-level config
     if (level === 'project') {
@@ -146,7 +253,7 @@ async function configureClaude(apiKey, level = 'system') {
 }
 
 async function addToGitignore(pattern) {
-  const { default: fs } = await import('fs-extra');
+  const { layerFs: fs } = await import('../utils/fs-layer.js');
   const gitignorePath = '.gitignore';
 
   try {
@@ -174,20 +281,37 @@ async function verifyClaudeConfig(configPath) {
     }
 
     const hasBaseUrl = config.env?.ANTHROPIC_BASE_URL === MEGALLM_BASE_URL;
-    const hasApiKey = config.env?.ANTHROPIC_API_KEY && config.env.ANTHROPIC_API_KEY.length > 0;
+    const hasApiKey = !!(config.env?.ANTHROPIC_API_KEY && config.env.ANTHROPIC_API_KEY.length > 0);
+    const keyMode = getClaudeKeyMode(config);
 
-    if (!hasBaseUrl || !hasApiKey) {
+    if (!hasBaseUrl || !keyMode) {
       return {
         valid: false,
         error: 'Configuration incomplete',
         details: {
           baseUrl: hasBaseUrl,
-          apiKey: hasApiKey
+          apiKey: hasApiKey,
+          apiKeyHelper: keyMode === 'helper'
+        }
+      };
+    }
+
+    // Helper mode is only as good as the command it runs — make sure it
+    // still resolves (e.g. an `npx` cache path that has since been purged).
+    if (keyMode === 'helper' && !runClaudeKeyHelper(config.apiKeyHelper)) {
+      return {
+        valid: false,
+        error: `apiKeyHelper \`${config.apiKeyHelper}\` did not print a key`,
+        keyMode,
+        details: {
+          baseUrl: hasBaseUrl,
+          apiKey: hasApiKey,
+          apiKeyHelper: false
         }
       };
     }
 
-    return { valid: true, config };
+    return { valid: true, keyMode, config };
   } catch (error) {
     return { valid: false, error: error.message };
   }
@@ -196,6 +320,9 @@ async function verifyClaudeConfig(configPath) {
 export { configureClaude };
 export { verifyClaudeConfig };
 export { checkExistingClaudeConfig };
+export { isMegallmKeyHelper };
+export { getClaudeKeyMode };
+export { runClaudeKeyHelper };
 
 /**
  * Surgically remove the MegaLLM-set keys from Claude's settings.json.
@@ -208,20 +335,34 @@ export async function unconfigureClaude(level = 'system') {
   if (!configPath) return { removed: false, configPath: null, reason: 'no config path' };
   const cfg = await readJsonFile(configPath);
   if (!cfg) return { removed: false, configPath, reason: 'no config file' };
-  if (!cfg.env) return { removed: false, configPath, reason: 'nothing to remove' };
+  if (!cfg.env && !isMegallmKeyHelper(cfg.apiKeyHelper)) {
+    return { removed: false, configPath, reason: 'nothing to remove' };
+  }
+  const env = cfg.env || {};
 
-  const baseUrlIsMegaLLM = cfg.env.ANTHROPIC_BASE_URL === MEGALLM_BASE_URL;
-  const apiKeyIsMegaLLM  = typeof cfg.env.ANTHROPIC_API_KEY === 'string'
-    && cfg.env.ANTHROPIC_API_KEY.startsWith('sk-mega-');
+  const baseUrlIsMegaLLM = env.ANTHROPIC_BASE_URL === MEGALLM_BASE_URL;
+  const apiKeyIsMegaLLM  = typeof env.ANTHROPIC_API_KEY === 'string'
+    && env.ANTHROPIC_API_KEY.startsWith('sk-mega-');
+  const helperIsMegaLLM  = isMegallmKeyHelper(cfg.apiKeyHelper);
 
-  if (!baseUrlIsMegaLLM && !apiKeyIsMegaLLM) {
+  if (!baseUrlIsMegaLLM && !apiKeyIsMegaLLM && !helperIsMegaLLM) {
     return { removed: false, configPath, reason: 'config is not MegaLLM' };
   }
 
-  if (baseUrlIsMegaLLM) delete cfg.env.ANTHROPIC_BASE_URL;
-  if (apiKeyIsMegaLLM)  delete cfg.env.ANTHROPIC_API_KEY;
-  if (Object.keys(cfg.env).length === 0) delete cfg.env;
-
-  await writeJsonFile(configPath, cfg, true);
+  // Models picked for MegaLLM (`--model` / `--small-model`) name its
+  // catalog, so they go with the base URL.
+  const models = baseUrlIsMegaLLM ? ['ANTHROPIC_MODEL', 'ANTHROPIC_SMALL_FAST_MODEL'].filter(k => k in env) : [];
+  const envLeft = Object.keys(env).filter((k) =>
+    !(k === 'ANTHROPIC_BASE_URL' && baseUrlIsMegaLLM) && !(k === 'ANTHROPIC_API_KEY' && apiKeyIsMegaLLM)
+    && !models.includes(k));
+
+  await editJsonFile(configPath, [
+    ...(envLeft.length === 0 && cfg.env ? [{ path: ['env'], value: undefined }] : [
+      ...(baseUrlIsMegaLLM ? [{ path: ['env', 'ANTHROPIC_BASE_URL'], value: undefined }] : []),
+      ...(apiKeyIsMegaLLM  ? [{ path: ['env', 'ANTHROPIC_API_KEY'],  value: undefined }] : []),
+      ...models.map(k => ({ path: ['env', k], value: undefined })),
+    ]),
+    ...(helperIsMegaLLM ? [{ path: ['apiKeyHelper'], value: undefined }] : []),
+  ], true);
   return { removed: true, configPath };
 }
\ No newline at end of file
@@ -4,11 +4,64 @@ import chalk from 'chalk';
 import { brailleOra as ora } from '../utils/spinner.js';
 import {
   readTomlFile,
-  writeTomlFile,
+  editTomlFile,
   ensureDirectory
  } from '../utils/files.js';
 import { MEGALLM_BASE_URL } from '../constants.js';
 import { getConfigPath } from '../detectors/os.js';
+import { tomlKeyComment } from '../utils/toml-edit.js';
+import { getModelCatalog, findCatalogModel, isAnthropicModel, unknownModelWarning } from '../utils/model-catalog.js';
+import { listProfiles, readAuth, readToolModels } from '../auth/store.js';
+import { setEnvironmentVariable } from '../utils/shell.js';
+import { removeEnvVars } from '../utils/envDetector.js';
+
+// Trailing comment on a `model` line this module added (see unconfigureCodex).
+const MODEL_MARKER = 'set by megallm';
+
+// `default` makes MegaLLM Codex's default provider; `profile` only adds
+// `[profiles.megallm]` (plus `[profiles.megallm-<name>]` per saved MegaLLM
+// profile), so plain `codex` keeps the user's own setup and
+// `codex --profile megallm` opts in.
+const CODEX_MODES = ['default', 'profile'];
+const WIRE_APIS = { chat: 'OpenAI using Chat Completions', responses: 'OpenAI using Responses' };
+
+/** The layout a config already uses, or null when MegaLLM is not in it. */
+function codexMode(config) {
+  if (config?.model_provider === 'megallm') return 'default';
+  if (config?.profiles?.megallm?.model_provider === 'megallm') return 'profile';
+  return null;
+}
+
+/** The Codex layout MegaLLM has in the system config: `default`, `profile` or null. */
+async function readCodexMode() {
+  const configPath = getConfigPath('codex', 'system');
+  return configPath ? codexMode(await readTomlFile(configPath)) : null;
+}
+
+/** The env var the provider for MegaLLM profile `name` reads its key from. */
+function profileEnvKey(name) {
+  return `MEGALLM_API_KEY_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+}
+
+/**
+ * The `MEGALLM_API_KEY_<NAME>` vars the `megallm-<name>` providers in `ids`
+ * read, so they are unset along with their provider.
+ */
+function providerEnvKeys(config, ids) {
+  return ids
+    .map(id => config?.model_providers?.[id]?.env_key ?? profileEnvKey(id.slice('megallm-'.length)))
+    .filter(name => typeof name === 'string' && name.startsWith('MEGALLM_API_KEY_'));
+}
+
+const DEFAULT_MODEL = 'gpt-5';
+
+/** gpt-5 while the catalog has it (or there is none), else its first OpenAI model. */
+async function defaultModel(apiKey) {
+  const catalog = await getModelCatalog({ apiKey });
+  if (!catalog || findCatalogModel(catalog, DEFAULT_MODEL)) return DEFAULT_MODEL;
+  const others = catalog.models.filter(m => !isAnthropicModel(m));
+  return (others.find(m => /openai/i.test(m.owner || '')) || others[0])?.id || DEFAULT_MODEL;
+}
 
 /**
  * Detect whether a system-level Codex configuration enables the MegaLLM provider.
@@ -48,9 +101,18 @@ async function checkExistingCodexConfig() {
  *
  * @param {string} apiKey - The MEGALLM API key used for display/masking in the output (not written to the environment).
  * @param {string} [level='system'] - Requested configuration level; this function always writes to the system (global) config path regardless of this value.
+ * @param {object} [opts]
+ * @param {string} [opts.model] - Model to set; without it a model the user already picked is kept, else
+ *   gpt-5 (or the catalog's first OpenAI model when gpt-5 is gone).
+ * @param {'default'|'profile'} [opts.mode] - `default` sets `model_provider = "megallm"`; `profile` leaves
+ *   the top level alone and writes `[profiles.megallm]`, plus a `[profiles.megallm-<name>]` per saved MegaLLM
+ *   profile when there are several (each reading `MEGALLM_API_KEY_<NAME>`, exported here). Defaults to the
+ *   layout the file already has, else `default`.
+ * @param {'chat'|'responses'} [opts.wireApi] - API Codex speaks to MegaLLM; defaults to the current
+ *   `wire_api`, else `chat`.
  * @returns {boolean} `true` if the configuration was written and reported successfully, `false` otherwise.
  */
-async function configureCodex(apiKey, level = 'system') {
+async function configureCodex(apiKey, level = 'system', opts = {}) {
   const spinner = ora('Configuring Codex...').start();
 
   try {
@@ -66,55 +128,95 @@ async function configureCodex(apiKey, level = 'system') {
     // Ensure directory exists
     await ensureDirectory(path.dirname(configPath));
 
-    // Read existing config or create new
-    let existingConfig = await readTomlFile(configPath) || {};
-
-    // Remove any existing model_provider if it exists
-    if (existingConfig.model_provider) {
-      delete existingConfig.model_provider;
-    }
-
-    // Prepare new configuration structure for Codex with MegaLLM model provider
-    const newConfig = {
-      ...existingConfig,
-      model_provider: 'megallm',
-      model: 'gpt-5',
-      model_providers: {
-        ...existingConfig.model_providers,
-        megallm: {
-          name: 'OpenAI using Chat Completions',
-          base_url: 'https://ai.megallm.io/v1',
-          env_key: 'MEGALLM_API_KEY',
-          query_params: {}
-        }
+    const existingConfig = await readTomlFile(configPath);
+    const mode = opts.mode || codexMode(existingConfig) || 'default';
+    if (!CODEX_MODES.includes(mode)) throw new Error(`Unknown Codex mode "${mode}" (expected ${CODEX_MODES.join(' or ')})`);
+    const wireApi = opts.wireApi || existingConfig?.model_providers?.megallm?.wire_api || 'chat';
+    if (!WIRE_APIS[wireApi]) throw new Error(`Unknown wire_api "${wireApi}" (expected ${Object.keys(WIRE_APIS).join(' or ')})`);
+
+    const current = mode === 'profile' ? existingConfig?.profiles?.megallm?.model : existingConfig?.model;
+    const model = opts.model || current || await defaultModel(apiKey);
+    const modelWarning = opts.model ? await unknownModelWarning(apiKey, opts.model) : null;
+    const provider = (id, envKey) => [
+      { table: ['model_providers', id], key: 'name', value: WIRE_APIS[wireApi] },
+      { table: ['model_providers', id], key: 'base_url', value: 'https://ai.megallm.io/v1' },
+      { table: ['model_providers', id], key: 'env_key', value: envKey },
+      { table: ['model_providers', id], key: 'wire_api', value: wireApi },
+      { table: ['model_providers', id], key: 'query_params', value: {} },
+    ];
+
+    // One provider and profile per saved MegaLLM profile, so `codex --profile
+    // megallm-work` uses that profile's key. Only worth it with several.
+    const perProfile = [];
+    if (mode === 'profile') {
+      const names = await listProfiles();
+      for (const name of names.length > 1 ? names : []) {
+        const auth = await readAuth(name);
+        if (!auth?.apiKey) continue;
+        perProfile.push({ id: `megallm-${name}`, envKey: profileEnvKey(name), apiKey: auth.apiKey,
+          model: (await readToolModels(name)).codex?.model || model });
       }
-    };
-
-    // Remove old api and auth sections if they exist (but keep model)
-    delete newConfig.api;
-    delete newConfig.auth;
-
-    // Add additional Codex-specific settings
-    if (!newConfig.tools) {
-      newConfig.tools = {};
     }
-
-    // Enable useful tools by default
-    newConfig.tools.web_search = true;
-    newConfig.tools.file_browser = true;
+    const staleProfiles = Object.keys(existingConfig?.profiles || {})
+      .filter(id => id.startsWith('megallm-') && !perProfile.some(p => p.id === id));
 
     spinner.text = `Writing configuration to ${configPath}...`;
 
-    // Write the TOML configuration
-    await writeTomlFile(configPath, newConfig, true);
+    // Edit only the keys MegaLLM owns; comments, key order and the user's
+    // own tables and [profiles.*] stay as written, so unconfigureCodex can
+    // take the file back to what it was.
+    const addedModel = existingConfig?.model
+      && tomlKeyComment(await readConfigText(configPath), [], 'model') === MODEL_MARKER;
+    await editTomlFile(configPath, [
+      ...(mode === 'default' ? [
+        { table: [], key: 'model_provider', value: 'megallm' },
+        // A model the user picked is theirs to keep; one we add is marked so
+        // unconfigure knows to drop it.
+        ...(opts.model ? [{ table: [], key: 'model', value: opts.model, comment: MODEL_MARKER }]
+          : existingConfig?.model ? [] : [{ table: [], key: 'model', value: model, comment: MODEL_MARKER }]),
+        ...(existingConfig?.profiles?.megallm ? [{ table: ['profiles', 'megallm'] }] : []),
+      ] : [
+        // Leaving default mode: hand the top level back to the user's provider.
+        ...(existingConfig?.model_provider === 'megallm' ? [{ table: [], key: 'model_provider' }] : []),
+        ...(addedModel ? [{ table: [], key: 'model' }] : []),
+        { table: ['profiles', 'megallm'], key: 'model_provider', value: 'megallm' },
+        { table: ['profiles', 'megallm'], key: 'model', value: model },
+      ]),
+      ...provider('megallm', 'MEGALLM_API_KEY'),
+      ...perProfile.flatMap(p => [
+        ...provider(p.id, p.envKey),
+        { table: ['profiles', p.id], key: 'model_provider', value: p.id },
+        { table: ['profiles', p.id], key: 'model', value: p.model },
+      ]),
+      ...staleProfiles.flatMap(id => [{ table: ['profiles', id] }, { table: ['model_providers', id] }]),
+      // Remove the api and auth sections older releases wrote
+      ...(existingConfig?.api?.base_url?.includes('megallm') ? [{ table: ['api'] }, { table: ['auth'] }] : []),
+      // Enable useful tools by default in a config we create
+      ...(existingConfig || mode === 'profile' ? [] : [
+        { table: ['tools'], key: 'web_search', value: true },
+        { table: ['tools'], key: 'file_browser', value: true },
+      ]),
+    ], true);
+    for (const p of perProfile) {
+      if (!setEnvironmentVariable(p.envKey, p.apiKey, true)) throw new Error(`Could not write ${p.envKey} to your shell rc`);
+    }
+    const staleEnvKeys = providerEnvKeys(existingConfig, staleProfiles)
+      .filter(name => !perProfile.some(p => p.envKey === name));
+    if (staleEnvKeys.length && !(await removeEnvVars(staleEnvKeys)).success) {
+      throw new Error(`Could not remove ${staleEnvKeys.join(', ')} from your shell rc`);
+    }
 
     spinner.succeed(chalk.green('Codex configured successfully!'));
 
     // Show additional instructions
     console.log(chalk.cyan('\n📝 Configuration Details:'));
     console.log(chalk.gray(`  Config file: ${configPath}`));
-    console.log(chalk.gray(`  Model Provider: megallm`));
-    console.log(chalk.gray(`  Model: gpt-5`));
+    console.log(chalk.gray(`  Model Provider: megallm (wire_api = "${wireApi}")`));
+    console.log(chalk.gray(`  Model: ${model}`));
+    if (mode === 'profile') {
+      console.log(chalk.gray(`  Profiles: ${['megallm', ...perProfile.map(p => p.id)].join(', ')} — run \`codex --profile megallm\`; your default provider is unchanged`));
+    }
+    if (modelWarning) console.log(chalk.yellow(`  ⚠ ${modelWarning}`));
     console.log(chalk.gray(`  Base URL: https://ai.megallm.io/v1`));
     console.log(chalk.gray(`  API Key (env): MEGALLM_API_KEY=${apiKey.substring(0, 10)}...${apiKey.slice(-4)}`));
     console.log(chalk.gray(`  Config Level: System (global)`));
@@ -133,6 +235,11 @@ async function configureCodex(apiKey, level = 'system') {
   }
 }
 
+async function readConfigText(configPath) {
+  const { layerFs: fs } = await import('../utils/fs-layer.js');
+  return fs.readFile(configPath, 'utf8');
+}
+
 async function isWindsurf() {
   const { default: fs } = await import('fs-extra');
 
@@ -147,7 +254,7 @@ async function isWindsurf() {
 }
 
 async function addToGitignore(pattern) {
-  const { default: fs } = await import('fs-extra');
+  const { layerFs: fs } = await import('../utils/fs-layer.js');
   const gitignorePath = '.gitignore';
 
   try {
@@ -174,8 +281,10 @@ async function verifyCodexConfig(configPath) {
       return { valid: false, error: 'Configuration file not found' };
     }
 
-    // Check for new model provider structure
-    const hasModelProvider = config.model_provider === 'megallm';
+    // Check for new model provider structure, as the default provider or
+    // behind `codex --profile megallm`
+    const mode = codexMode(config);
+    const hasModelProvider = mode !== null;
     const hasMegallmConfig = config.model_providers?.megallm?.base_url === 'https://ai.megallm.io/v1';
     const hasEnvKey = config.model_providers?.megallm?.env_key === 'MEGALLM_API_KEY';
 
@@ -209,7 +318,7 @@ async function verifyCodexConfig(configPath) {
       };
     }
 
-    return { valid: true, config };
+    return { valid: true, config, mode };
   } catch (error) {
     return { valid: false, error: error.message };
   }
@@ -219,10 +328,16 @@ export { configureCodex };
 export { verifyCodexConfig };
 export { isWindsurf };
 export { checkExistingCodexConfig };
+export { CODEX_MODES };
+export { WIRE_APIS };
+export { readCodexMode };
+export { codexMode };
 
 /**
- * Remove the megallm provider from Codex's TOML config.
- * Only acts when `model_provider === 'megallm'` to avoid clobbering other setups.
+ * Remove the megallm provider from Codex's TOML config, with the
+ * `[profiles.megallm*]` entries and `megallm-<name>` providers of profile mode
+ * and the `MEGALLM_API_KEY_<NAME>` exports those providers read.
+ * Only acts when MegaLLM is configured, to avoid clobbering other setups.
  *
  * @returns {Promise<{ removed: boolean, configPath: string | null, reason?: string }>}
  */
@@ -232,16 +347,19 @@ export async function unconfigureCodex() {
   const cfg = await readTomlFile(configPath);
   if (!cfg) return { removed: false, configPath, reason: 'no config file' };
 
-  const isMega = cfg.model_provider === 'megallm'
+  const isMega = codexMode(cfg) !== null
     || cfg.model_providers?.megallm?.base_url?.includes('megallm');
   if (!isMega) return { removed: false, configPath, reason: 'config is not MegaLLM' };
 
-  if (cfg.model_provider === 'megallm') delete cfg.model_provider;
-  if (cfg.model_providers?.megallm)     delete cfg.model_providers.megallm;
-  if (cfg.model_providers && Object.keys(cfg.model_providers).length === 0) {
-    delete cfg.model_providers;
-  }
-
-  await writeTomlFile(configPath, cfg, true);
+  const ours = (id) => id === 'megallm' || id.startsWith('megallm-');
+  const addedModel = tomlKeyComment(await readConfigText(configPath), [], 'model') === MODEL_MARKER;
+  await editTomlFile(configPath, [
+    ...(cfg.model_provider === 'megallm' ? [{ table: [], key: 'model_provider' }] : []),
+    ...(addedModel ? [{ table: [], key: 'model' }] : []),
+    ...Object.keys(cfg.profiles || {}).filter(ours).map(id => ({ table: ['profiles', id] })),
+    ...Object.keys(cfg.model_providers || {}).filter(ours).map(id => ({ table: ['model_providers', id] })),
+  ], true);
+  const envKeys = providerEnvKeys(cfg, Object.keys(cfg.model_providers || {}).filter(id => id.startsWith('megallm-')));
+  if (envKeys.length) await removeEnvVars(envKeys);
   return { removed: true, configPath };
 }
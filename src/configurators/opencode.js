@@ -4,72 +4,72 @@ import chalk from 'chalk';
 import { brailleOra as ora } from '../utils/spinner.js';
 import {
   readJsonFile,
-  writeJsonFile,
-  mergeJsonConfig,
+  editJsonFile,
   ensureDirectory
 } from '../utils/files.js';
 import { getConfigPath } from '../detectors/os.js';
+import { getModelCatalog, canToolUseModel, unknownModelWarning } from '../utils/model-catalog.js';
+
+// MegaLLM gets a provider of its own, spoken to through OpenCode's
+// OpenAI-compatible SDK, so `provider.anthropic` stays free for the user's
+// own Anthropic account. Older versions of this CLI pointed
+// `provider.anthropic` at MegaLLM instead; configureOpenCode() migrates that.
+const PROVIDER_ID = 'megallm';
+const PROVIDER_NPM = '@ai-sdk/openai-compatible';
+const BASE_URL = 'https://ai.megallm.io/v1';
+const API_KEY_REF = '{env:MEGALLM_API_KEY}';
+
+function pointsAtMegallm(provider) {
+  return typeof provider?.options?.baseURL === 'string' && provider.options.baseURL.includes('megallm');
+}
+
+/** True when `provider.anthropic` is a MegaLLM block written by an older CLI. */
+function usesLegacyProvider(config) {
+  return pointsAtMegallm(config?.provider?.anthropic);
+}
+
+function hasMegallmProvider(config) {
+  return pointsAtMegallm(config?.provider?.[PROVIDER_ID]) || usesLegacyProvider(config);
+}
 
 /**
- * Fetches available models from MegaLLM API
- * @param {string} apiKey - The MegaLLM API key
- * @returns {Promise<Object>} Models organized by provider
- * Retrieve non-Anthropic models available via the MegaLLM API.
+ * A catalog as the provider's `models` map, with each model's context and
+ * output limits when the catalog has both.
  *
- * @param {string} apiKey - MegaLLM API key used for Authorization.
- * @returns {Promise<Object>} An object mapping model IDs to `{ id, name }` for non-Anthropic models. If the API request fails, returns a predefined fallback set of non-Anthropic models.
+ * @returns {Object} Model id → `{ name, limit? }`.
  */
-async function fetchMegaLLMModels(apiKey) {
-  try {
-    const response = await fetch('https://ai.megallm.io/v1/models', {
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch models: ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    // Organize models: only add non-Anthropic models since Anthropic models are auto-added
-    const models = {};
-
-    data.data.forEach(model => {
-      // Skip Anthropic models as they will be auto-added by OpenCode
-      if (model.owned_by === 'Anthropic') {
-        return;
-      }
-
-      // Add non-Anthropic models with simplified structure
-      models[model.id] = {
-        id: model.id,
-        name: `${model.display_name} (Via MegaLLM)`
-      };
-    });
-
-    return models;
-  } catch (error) {
-    console.warn(chalk.yellow(`Warning: Could not fetch models from MegaLLM API: ${error.message}`));
-    console.log(chalk.gray('Falling back to default model configuration...'));
-
-    // Fallback to a basic set of non-Anthropic models
-    return {
-      'gpt-5': {
-        id: 'gpt-5',
-        name: 'GPT-5 (Via MegaLLM)'
-      },
-      'gpt-4o': {
-        id: 'gpt-4o',
-        name: 'GPT-4o (Via MegaLLM)'
-      },
-      'gpt-4o-mini': {
-        id: 'gpt-4o-mini',
-        name: 'GPT-4o Mini (Via MegaLLM)'
-      }
+function catalogModelEntries(catalog) {
+  const models = {};
+  for (const model of catalog.models) {
+    if (!canToolUseModel('opencode', model)) continue;
+    models[model.id] = {
+      name: model.name,
+      ...(model.context_window && model.max_output_tokens
+        ? { limit: { context: model.context_window, output: model.max_output_tokens } }
+        : {}),
     };
   }
+  return models;
+}
+
+/**
+ * The MegaLLM catalog as the provider's `models` map.
+ *
+ * @param {string} apiKey - MegaLLM API key used to refresh the catalog.
+ * @returns {Promise<Object|null>} See catalogModelEntries(); null when no catalog was ever fetched.
+ */
+async function fetchMegaLLMModels(apiKey) {
+  const catalog = await getModelCatalog({ apiKey });
+  if (!catalog) return null;
+  if (catalog.source === 'stale-cache') {
+    console.warn(chalk.yellow(`Warning: Could not refresh models from MegaLLM (${catalog.error}); using the catalog from ${new Date(catalog.fetchedAt).toLocaleString()}.`));
+  }
+  return catalogModelEntries(catalog);
+}
+
+/** `provider/model` for OpenCode's `model` keys; bare ids are MegaLLM's. */
+function qualifyModel(id) {
+  return id.includes('/') ? id : `${PROVIDER_ID}/${id}`;
 }
 
 /**
@@ -87,7 +87,7 @@ async function checkExistingOpenCodeConfig() {
   const systemPath = getConfigPath('opencode', 'system');
   if (systemPath) {
     const systemConfig = await readJsonFile(systemPath);
-    if (systemConfig?.provider?.anthropic?.options?.baseURL?.includes('megallm')) {
+    if (hasMegallmProvider(systemConfig)) {
       results.hasConfig = true;
       results.locations.push(`System: ${systemPath}`);
       results.configs.push({ path: systemPath, config: systemConfig });
@@ -98,7 +98,7 @@ async function checkExistingOpenCodeConfig() {
   const projectPath = getConfigPath('opencode', 'project');
   if (projectPath) {
     const projectConfig = await readJsonFile(projectPath);
-    if (projectConfig?.provider?.anthropic?.options?.baseURL?.includes('megallm')) {
+    if (hasMegallmProvider(projectConfig)) {
       results.hasConfig = true;
       results.locations.push(`Project: ${projectPath}`);
       results.configs.push({ path: projectPath, config: projectConfig });
@@ -109,12 +109,16 @@ async function checkExistingOpenCodeConfig() {
 }
 
 /**
- * Configure OpenCode to use MegaLLM-backed Anthropic models and write the resulting configuration at the given level.
+ * Configure OpenCode's `megallm` provider with the MegaLLM catalog and write it at the given level.
+ * A `provider.anthropic` block an older CLI pointed at MegaLLM is removed, and `model` /
+ * `small_model` values that named it are moved over to `megallm/…`.
  * @param {string} apiKey - MegaLLM API key used to fetch available models.
  * @param {'system'|'project'} [level='system'] - Target configuration scope: 'system' writes a global config, 'project' writes a repo-local config.
+ * @param {object} [opts]
+ * @param {string} [opts.model] - Default model for the top-level `model` key, as `provider/model` or a bare MegaLLM model id.
  * @returns {boolean} `true` if the configuration was written successfully, `false` otherwise.
  */
-async function configureOpenCode(apiKey, level = 'system') {
+async function configureOpenCode(apiKey, level = 'system', opts = {}) {
   const spinner = ora('Configuring OpenCode...').start();
 
   try {
@@ -125,59 +129,80 @@ async function configureOpenCode(apiKey, level = 'system') {
       throw new Error('Could not determine OpenCode configuration path');
     }
 
-    spinner.text = 'Fetching available models from MegaLLM...';
-
-    // Fetch models dynamically from MegaLLM API
-    const models = await fetchMegaLLMModels(apiKey);
-
     spinner.text = `Reading existing configuration from ${configPath}...`;
 
     // Ensure directory exists
     await ensureDirectory(path.dirname(configPath));
 
-    // Read existing config or create new
-    let existingConfig = await readJsonFile(configPath) || {};
+    // Read existing config; null when we are creating it
+    const existingConfig = await readJsonFile(configPath);
+    const legacy = usesLegacyProvider(existingConfig);
 
-    // Prepare new configuration for OpenCode
-    const newConfig = {
-      $schema: 'https://opencode.ai/config.json',
-      provider: {
-        ...existingConfig.provider,
-        anthropic: {
-          models: models,
-          options: {
-            apiKey: '{env:MEGALLM_API_KEY}',
-            baseURL: 'https://ai.megallm.io/v1'
-          }
-        }
-      },
-      autoupdate: existingConfig.autoupdate ?? true,
-      tools: {
-        ...existingConfig.tools,
-        bash: true,
-        edit: true,
-        write: true,
-        read: true
-      }
-    };
+    spinner.text = 'Fetching available models from MegaLLM...';
 
-    // Merge with existing config
-    const finalConfig = await mergeJsonConfig(existingConfig, newConfig);
+    // Without any catalog, keep the models already listed rather than
+    // leaving the provider empty.
+    const catalogModels = await fetchMegaLLMModels(apiKey);
+    const models = catalogModels
+      || existingConfig?.provider?.[PROVIDER_ID]?.models
+      || (legacy ? existingConfig.provider.anthropic.models : null)
+      || {};
+    const modelId = opts.model?.startsWith(`${PROVIDER_ID}/`) ? opts.model.slice(PROVIDER_ID.length + 1) : opts.model;
+    const modelWarning = modelId && !modelId.includes('/') ? await unknownModelWarning(apiKey, modelId) : null;
+
+    // `anthropic/<id>` in a migrated config meant MegaLLM; point it at the new provider.
+    const migratedModel = (key) => {
+      const value = existingConfig?.[key];
+      return legacy && typeof value === 'string' && value.startsWith('anthropic/')
+        ? [{ path: [key], value: `${PROVIDER_ID}/${value.slice('anthropic/'.length)}` }]
+        : [];
+    };
 
     spinner.text = `Writing configuration to ${configPath}...`;
 
-    // Write the OpenCode configuration
-    await writeJsonFile(configPath, finalConfig, true);
+    // Edit only the keys MegaLLM owns, so comments (opencode.jsonc) and the
+    // user's other providers and settings stay as written. Defaults for
+    // $schema, autoupdate and tools only go into a config we create.
+    await editJsonFile(configPath, [
+      ...(existingConfig ? [] : [{ path: ['$schema'], value: 'https://opencode.ai/config.json' }]),
+      ...(legacy ? [{ path: ['provider', 'anthropic'], value: undefined }] : []),
+      {
+        path: ['provider', PROVIDER_ID],
+        value: {
+          npm: PROVIDER_NPM,
+          name: 'MegaLLM',
+          options: {
+            baseURL: BASE_URL,
+            apiKey: API_KEY_REF
+          },
+          models
+        }
+      },
+      ...(opts.model ? [{ path: ['model'], value: qualifyModel(opts.model) }] : migratedModel('model')),
+      ...migratedModel('small_model'),
+      ...(existingConfig ? [] : [
+        { path: ['autoupdate'], value: true },
+        ...['bash', 'edit', 'write', 'read'].map(tool => ({ path: ['tools', tool], value: true }))
+      ])
+    ], true);
 
     spinner.succeed(chalk.green('OpenCode configured successfully!'));
+    if (!catalogModels) {
+      console.log(chalk.yellow('  ⚠ Could not fetch the MegaLLM model catalog and none is cached; run `megallm models --refresh`, then `megallm link opencode`.'));
+    }
+    if (modelWarning) console.log(chalk.yellow(`  ⚠ ${modelWarning}`));
+    if (legacy) {
+      console.log(chalk.gray('  Moved MegaLLM out of provider.anthropic — OpenCode\'s own Anthropic provider works again.'));
+    }
 
     // Show additional instructions
     console.log(chalk.cyan('\n📝 Configuration Details:'));
     console.log(chalk.gray(`  Config file: ${configPath}`));
-    console.log(chalk.gray(`  Base URL: https://ai.megallm.io/v1`));
+    console.log(chalk.gray(`  Base URL: ${BASE_URL}`));
     console.log(chalk.gray(`  API Key (env): MEGALLM_API_KEY=${apiKey.substring(0, 10)}...${apiKey.slice(-4)}`));
-    console.log(chalk.gray(`  Provider: anthropic`));
-    console.log(chalk.gray(`  Models configured: ${Object.keys(models).length} non-Anthropic models`));
+    console.log(chalk.gray(`  Provider: ${PROVIDER_ID} (${PROVIDER_NPM})`));
+    console.log(chalk.gray(`  Models configured: ${Object.keys(models).length}`));
+    if (opts.model) console.log(chalk.gray(`  Model: ${qualifyModel(opts.model)}`));
     console.log(chalk.gray(`  Config Level: ${level === 'system' ? 'System (global)' : 'Project (local)'}`));
 
     // Special instructions for project-level config
@@ -186,7 +211,7 @@ async function configureOpenCode(apiKey, level = 'system') {
       console.log(chalk.gray('  This will only apply to the current project.'));
 
       // Add to .gitignore
-      await addToGitignore('opencode.json');
+      await addToGitignore(path.basename(configPath));
     }
 
     return true;
@@ -206,7 +231,7 @@ async function configureOpenCode(apiKey, level = 'system') {
  * @param {string} pattern - The gitignore pattern to add (e.g., "opencode.json").
  */
 async function addToGitignore(pattern) {
-  const { default: fs } = await import('fs-extra');
+  const { layerFs: fs } = await import('../utils/fs-layer.js');
   const gitignorePath = '.gitignore';
 
   try {
@@ -226,13 +251,47 @@ async function addToGitignore(pattern) {
 }
 
 /**
- * Validate an OpenCode configuration file for use with MegaLLM's Anthropic provider.
+ * Compare `provider.megallm.models` with a catalog and, with `write`, add
+ * the new models and drop the retired ones. Other entries, and the rest of
+ * the file, are left as they are.
+ *
+ * @param {{ models: object[] }} catalog - From getModelCatalog().
+ * @param {'system'|'project'} [level='system']
+ * @param {{ write?: boolean }} [opts] - `write: false` only reports the difference.
+ * @returns {Promise<{ configPath: string, added: string[], removed: string[], legacy?: true } | null>}
+ *   null when the config at `level` has no MegaLLM provider. `legacy` configs
+ *   (MegaLLM in `provider.anthropic`) are reported but not edited.
+ */
+async function syncOpenCodeModels(catalog, level = 'system', { write = true } = {}) {
+  const configPath = getConfigPath('opencode', level);
+  const config = configPath ? await readJsonFile(configPath).catch(() => null) : null;
+  if (!hasMegallmProvider(config)) return null;
+
+  const legacy = usesLegacyProvider(config) && !pointsAtMegallm(config.provider[PROVIDER_ID]);
+  const listed = (legacy ? config.provider.anthropic : config.provider[PROVIDER_ID]).models || {};
+  const wanted = catalogModelEntries(catalog);
+  const added = Object.keys(wanted).filter(id => !(id in listed));
+  const removed = Object.keys(listed).filter(id => !(id in wanted));
+  if (legacy) return { configPath, added, removed, legacy: true };
+
+  if (write && (added.length || removed.length)) {
+    await editJsonFile(configPath, [
+      ...added.map(id => ({ path: ['provider', PROVIDER_ID, 'models', id], value: wanted[id] })),
+      ...removed.map(id => ({ path: ['provider', PROVIDER_ID, 'models', id], value: undefined })),
+    ], true);
+  }
+  return { configPath, added, removed };
+}
+
+/**
+ * Validate an OpenCode configuration file for use with MegaLLM's `megallm` provider.
  * @param {string} configPath - Filesystem path to the OpenCode JSON configuration.
- * @returns {{valid: true, config: Object} | {valid: false, error: string, details?: {baseUrl: boolean, apiKeyRef: boolean, apiKeySet: boolean}}}
+ * @returns {{valid: true, config: Object} | {valid: false, error: string, legacy?: true, details?: {baseUrl: boolean, apiKeyRef: boolean, apiKeySet: boolean}}}
  *   When valid: an object with `valid: true` and the parsed `config`.
- *   When invalid: an object with `valid: false` and an `error` message. For configuration-related failures the optional `details` object indicates:
- *     - `baseUrl`: `true` if `provider.anthropic.options.baseURL` equals "https://ai.megallm.io/v1".
- *     - `apiKeyRef`: `true` if `provider.anthropic.options.apiKey` equals "{env:MEGALLM_API_KEY}".
+ *   When invalid: an object with `valid: false` and an `error` message; `legacy` is set when MegaLLM still
+ *   sits in `provider.anthropic` (fixed by reconfiguring). For configuration-related failures the optional `details` object indicates:
+ *     - `baseUrl`: `true` if `provider.megallm.options.baseURL` equals "https://ai.megallm.io/v1".
+ *     - `apiKeyRef`: `true` if `provider.megallm.options.apiKey` equals "{env:MEGALLM_API_KEY}".
  *     - `apiKeySet`: `true` if the `MEGALLM_API_KEY` environment variable is present.
  */
 async function verifyOpenCodeConfig(configPath) {
@@ -243,8 +302,13 @@ async function verifyOpenCodeConfig(configPath) {
       return { valid: false, error: 'Configuration file not found' };
     }
 
-    const hasBaseUrl = config.provider?.anthropic?.options?.baseURL === 'https://ai.megallm.io/v1';
-    const hasApiKeyRef = config.provider?.anthropic?.options?.apiKey === '{env:MEGALLM_API_KEY}';
+    if (usesLegacyProvider(config)) {
+      return { valid: false, legacy: true, error: 'MegaLLM is configured as provider.anthropic (old layout) — `megallm doctor fix` moves it to provider.megallm' };
+    }
+
+    const provider = config.provider?.[PROVIDER_ID];
+    const hasBaseUrl = provider?.options?.baseURL === BASE_URL;
+    const hasApiKeyRef = provider?.options?.apiKey === API_KEY_REF;
 
     // Also check if MEGALLM_API_KEY is set in environment
     const { getEnvironmentVariable } = await import('../utils/shell.js');
@@ -283,10 +347,13 @@ async function verifyOpenCodeConfig(configPath) {
 export { configureOpenCode };
 export { verifyOpenCodeConfig };
 export { checkExistingOpenCodeConfig };
+export { syncOpenCodeModels };
+export { usesLegacyProvider as usesLegacyOpenCodeProvider };
 
 /**
- * Remove the MegaLLM-backed Anthropic provider from OpenCode's config.
- * Acts only when `provider.anthropic.options.baseURL` points at megallm.
+ * Remove the MegaLLM provider from OpenCode's config: `provider.megallm`,
+ * an old-style `provider.anthropic` that points at megallm, and `model` /
+ * `small_model` values that name `megallm/…`.
  *
  * @returns {Promise<{ removed: boolean, configPath: string | null, reason?: string }>}
  */
@@ -296,14 +363,17 @@ export async function unconfigureOpenCode(level = 'system') {
   const cfg = await readJsonFile(configPath);
   if (!cfg) return { removed: false, configPath, reason: 'no config file' };
 
-  const baseURL = cfg.provider?.anthropic?.options?.baseURL || '';
-  if (!baseURL.includes('megallm')) {
+  const ours = [PROVIDER_ID, 'anthropic'].filter(id => pointsAtMegallm(cfg.provider?.[id]));
+  if (!ours.length) {
     return { removed: false, configPath, reason: 'config is not MegaLLM' };
   }
 
-  if (cfg.provider?.anthropic) delete cfg.provider.anthropic;
-  if (cfg.provider && Object.keys(cfg.provider).length === 0) delete cfg.provider;
-
-  await writeJsonFile(configPath, cfg, true);
+  const onlyOurs = Object.keys(cfg.provider).every(id => ours.includes(id));
+  await editJsonFile(configPath, [
+    ...(onlyOurs ? [{ path: ['provider'], value: undefined }] : ours.map(id => ({ path: ['provider', id], value: undefined }))),
+    ...['model', 'small_model']
+      .filter(key => typeof cfg[key] === 'string' && cfg[key].startsWith(`${PROVIDER_ID}/`))
+      .map(key => ({ path: [key], value: undefined })),
+  ], true);
   return { removed: true, configPath };
 }
@@ -5,6 +5,7 @@ import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { isCapturing } from '../utils/fs-layer.js';
 
 const execAsync = promisify(exec);
 
@@ -18,6 +19,11 @@ export async function configureStatusline(install = false) {
     return true;
   }
 
+  if (isCapturing()) {
+    console.log(chalk.gray('  · Dry run: would run `npx @chongdashu/cc-statusline@latest init`'));
+    return true;
+  }
+
   console.log(chalk.cyan('\n🚀 Setting up Claude Code statusline...'));
 
   try {
@@ -5,6 +5,9 @@ import path from 'path';
 // API base URL the configured tools (Claude/Codex/OpenCode) talk to.
 export const MEGALLM_BASE_URL = 'https://ai.megallm.io';
 
+// OpenAI-compatible endpoint on the same host (Codex, OpenCode, OpenAI SDKs).
+export const MEGALLM_OPENAI_BASE_URL = `${MEGALLM_BASE_URL}/v1`;
+
 // Web app URL — hosts the OAuth provider, /activate page, and dashboard.
 // Override at runtime with MEGALLM_WEB_URL for local development.
 export const MEGALLM_WEB_URL = process.env.MEGALLM_WEB_URL || 'https://megallm.io';
@@ -30,6 +33,19 @@ export const MEGALLM_PROFILES_DIR = path.join(MEGALLM_HOME, 'profiles');
 export const MEGALLM_CONFIG_FILE = path.join(MEGALLM_HOME, 'config.json');
 export const DEFAULT_PROFILE = 'default';
 
+// Versioned copies of every config/rc file the CLI overwrites, per tool.
+export const MEGALLM_BACKUPS_DIR = path.join(MEGALLM_HOME, 'backups');
+
+// Data fetched from the API and kept between runs (model catalog).
+export const MEGALLM_CACHE_DIR = path.join(MEGALLM_HOME, 'cache');
+
+// Generated env files holding every variable MegaLLM persists on Unix. Shell
+// rc files only source these, from a `# >>> megallm >>>` block.
+export const MEGALLM_ENV_SH = path.join(MEGALLM_HOME, 'env.sh');
+export const MEGALLM_ENV_FISH = path.join(MEGALLM_HOME, 'env.fish');
+export const MEGALLM_ENV_XONSH = path.join(MEGALLM_HOME, 'env.xsh');
+export const MEGALLM_ENV_ELVISH = path.join(MEGALLM_HOME, 'env.elv');
+
 export const CONFIG_PATHS = {
   claude: {
     user: path.join(os.homedir(), '.claude', 'settings.json'),
@@ -51,6 +67,11 @@ export const SHELL_CONFIG_FILES = {
   bash: '.bashrc',
   zsh: '.zshrc',
   fish: '.config/fish/config.fish',
+  nu: process.platform === 'darwin'
+    ? 'Library/Application Support/nushell/env.nu'
+    : '.config/nushell/env.nu',
+  xonsh: '.xonshrc',
+  elvish: '.config/elvish/rc.elv',
   powershell: 'Microsoft.PowerShell_profile.ps1'
 };
 
@@ -50,6 +50,9 @@ function detectShell() {
   if (shell.includes('zsh')) return 'zsh';
   if (shell.includes('bash')) return 'bash';
   if (shell.includes('fish')) return 'fish';
+  if (shell.includes('xonsh')) return 'xonsh';
+  if (shell.includes('elvish')) return 'elvish';
+  if (path.basename(shell) === 'nu') return 'nu';
 
   return 'bash'; // Default fallback
 }
@@ -106,12 +109,21 @@ function getConfigPath(tool, level) {
   } else if (tool === 'codex') {
     return level === 'system' ? CONFIG_PATHS.codex.user : CONFIG_PATHS.codex.project;
   } else if (tool === 'opencode') {
-    return level === 'system' ? CONFIG_PATHS.opencode.user : CONFIG_PATHS.opencode.project;
+    return preferJsonc(level === 'system' ? CONFIG_PATHS.opencode.user : CONFIG_PATHS.opencode.project);
   }
 
   return null;
 }
 
+/**
+ * OpenCode reads `opencode.jsonc` as well as `opencode.json`; when only the
+ * `.jsonc` file exists, that is the one to edit.
+ */
+function preferJsonc(jsonPath) {
+  const jsoncPath = jsonPath.replace(/\.json$/, '.jsonc');
+  return !fs.existsSync(jsonPath) && fs.existsSync(jsoncPath) ? jsoncPath : jsonPath;
+}
+
 function getShellConfigFile() {
   const shell = detectShell();
   const homeDir = os.homedir();
@@ -123,6 +135,12 @@ function getShellConfigFile() {
       return path.join(homeDir, SHELL_CONFIG_FILES.bash);
     case 'fish':
       return path.join(homeDir, SHELL_CONFIG_FILES.fish);
+    case 'nu':
+      return path.join(homeDir, SHELL_CONFIG_FILES.nu);
+    case 'xonsh':
+      return path.join(homeDir, SHELL_CONFIG_FILES.xonsh);
+    case 'elvish':
+      return path.join(homeDir, SHELL_CONFIG_FILES.elvish);
     case 'powershell':
       const psProfile = execSync('echo $PROFILE', { shell: 'powershell', encoding: 'utf8' }).trim();
       return psProfile;
@@ -134,4 +152,5 @@ function getShellConfigFile() {
 export { detectOS };
 export { detectShell };
 export { getConfigPath };
+export { preferJsonc };
 export { getShellConfigFile };
\ No newline at end of file
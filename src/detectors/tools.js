@@ -3,6 +3,7 @@ import { execSync } from 'child_process';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
+import { preferJsonc } from './os.js';
 
 function isClaudeCodeInstalled() {
   // Check for Claude Code installation
@@ -136,8 +137,8 @@ function isCodexInstalled() {
  * An object describing the detected OpenCode state:
  * - `installed`: `true` if OpenCode was found (config directory or CLI), `false` otherwise.
  * - `path`: the filesystem path to the OpenCode config directory (`~/.config/opencode`) or `null` if not found.
- * - `configPath`: the expected path to the `opencode.json` config file or `null` if not found.
- * - `configured` (optional): `true` if `opencode.json` exists, `false` if the directory exists but the file does not.
+ * - `configPath`: the expected path to the `opencode.json` (or existing `opencode.jsonc`) config file or `null` if not found.
+ * - `configured` (optional): `true` if the config file exists, `false` if the directory exists but the file does not.
  * - `cliAvailable` (optional): `true` if the `opencode` CLI was found on PATH (used when the config directory is absent).
  */
 function isOpenCodeInstalled() {
@@ -146,7 +147,7 @@ function isOpenCodeInstalled() {
 
   // First check if the .config/opencode directory exists
   if (fs.existsSync(opencodeConfigDir)) {
-    const configPath = path.join(opencodeConfigDir, 'opencode.json');
+    const configPath = preferJsonc(path.join(opencodeConfigDir, 'opencode.json'));
     if (fs.existsSync(configPath)) {
       return {
         installed: true,
@@ -11,12 +11,14 @@ import {
 } from '../auth/store.js';
 import { fetchUserInfo } from '../auth/oauth.js';
 import { checkToolsStatus } from '../detectors/tools.js';
+import { readUsage, formatUsd } from '../utils/usage.js';
 
 function HubScreen({ profile, onPick }) {
   const { exit } = useApp();
   const [auth, setAuth] = useState(undefined);     // undefined = loading; null = signed out
   const [identity, setIdentity] = useState(undefined);
   const [tools, setTools] = useState(undefined);
+  const [spend, setSpend] = useState(null);       // this month's cost; null = unknown
   const [tipIdx, setTipIdx] = useState(0);
 
   // Rotating tip footer — cycles a fresh hint every 5s. setInterval is cheap
@@ -27,6 +29,7 @@ function HubScreen({ profile, onPick }) {
     'see what\u2019s wired with "megallm doctor".',
     'switch orgs anytime with "megallm switch-org".',
     'list and revoke keys with "megallm keys list".',
+    'see what your keys cost with "megallm usage".',
   ];
   useEffect(() => {
     const id = setInterval(() => setTipIdx(i => (i + 1) % TIPS.length), 5000);
@@ -48,6 +51,15 @@ function HubScreen({ profile, onPick }) {
         setIdentity(null);
       }
       try { setTools(checkToolsStatus()); } catch { setTools({}); }
+      if (a?.apiKey && a.orgId) {
+        // Best-effort: the panel simply omits the row when usage is unavailable.
+        const now = new Date();
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
+        try {
+          const { totals } = await readUsage(a.apiKey, { orgId: a.orgId, since: monthStart, groupBy: 'day' });
+          if (!cancelled) setSpend(totals.cost_usd);
+        } catch { /* leave unknown */ }
+      }
     })();
     return () => { cancelled = true; };
   }, [profile]);
@@ -67,6 +79,7 @@ function HubScreen({ profile, onPick }) {
         { label: 'Show status',                                   value: 'status' },
         { label: 'Run doctor (diagnose)',                         value: 'doctor' },
         { label: 'Repair tool configs (doctor fix)',              value: 'doctor-fix' },
+        { label: 'Test tools with a real request',                value: 'test' },
         { label: 'Sign out',                                      value: 'logout' },
         { label: 'Exit',                                          value: 'exit' },
       ];
@@ -95,6 +108,7 @@ function HubScreen({ profile, onPick }) {
                   <${Row} label="Profile"   value=${profile} />
                   <${Row} label="Org"       value=${auth.orgName || auth.orgId || '(default)'} />
                   <${Row} label="Key"       value=${maskApiKey(auth.apiKey)} />
+                  ${spend !== null ? html`<${Row} label="This month" value=${formatUsd(spend)} />` : null}
                 </>
               `
         )}
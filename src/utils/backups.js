@@ -0,0 +1,192 @@
+// Versioned backups of every config and rc file the CLI overwrites. Each
+// write first copies the current file to ~/.megallm/backups/<tool>/<id>.bak
+// next to a <id>.json record (source path, producing command, time). The
+// newest MEGALLM_BACKUP_KEEP (default 10) copies per source file are kept.
+// Backups hold API keys, so they and their directory are owner-only.
+import fs from 'fs';
+import path from 'path';
+import { MEGALLM_BACKUPS_DIR } from '../constants.js';
+import { isCapturing } from './fs-layer.js';
+
+const DEFAULT_KEEP = 10;
+
+export const BACKUP_TOOLS = ['claude', 'codex', 'opencode', 'shell'];
+
+function keepCount() {
+  const n = parseInt(process.env.MEGALLM_BACKUP_KEEP, 10);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_KEEP;
+}
+
+function currentCommand() {
+  return ['megallm', ...process.argv.slice(2)].join(' ');
+}
+
+function chmodPrivate(p) {
+  try { fs.chmodSync(p, 0o600); } catch { /* best effort (Windows) */ }
+}
+
+/** Permission bits of `file`, or undefined when it does not exist. */
+export function fileMode(file) {
+  try { return fs.statSync(file).mode & 0o777; } catch { return undefined; }
+}
+
+// Where a write to a path has to land: a symlinked rc or config file (say
+// ~/.bashrc -> dotfiles/bashrc) is written through to its target, so the
+// rename below does not replace the link with a plain file.
+function realTarget(file) {
+  try { return fs.realpathSync(file); } catch { return file; }
+}
+
+/**
+ * Replace `requested` (or the file it links to) with `content`: written
+ * next to it, then renamed over it, so readers never see half a file.
+ *
+ * @param {string} requested
+ * @param {string|Buffer} content
+ * @param {number} [mode]  Permission bits; the process default when omitted.
+ */
+export function writeAtomic(requested, content, mode) {
+  const file = realTarget(requested);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.megallm-${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, content, mode ? { mode } : undefined);
+    if (mode) fs.chmodSync(tmp, mode);
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Which tool a file belongs to, for grouping backups.
+ *
+ * @param {string} file
+ * @returns {'claude'|'codex'|'opencode'|'shell'}
+ */
+export function toolForPath(file) {
+  const parts = path.resolve(file).split(path.sep);
+  const base = parts[parts.length - 1];
+  if (parts.includes('.claude') || base === '.claude.json') return 'claude';
+  if (parts.includes('.codex')) return 'codex';
+  if (parts.includes('opencode') || /^opencode\.jsonc?$/.test(base)) return 'opencode';
+  return 'shell';
+}
+
+function readRecord(dir, name) {
+  try {
+    const rec = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    rec.path = path.join(dir, `${rec.id}.bak`);
+    return fs.existsSync(rec.path) ? rec : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {object} [filter]
+ * @param {string} [filter.tool]  Only this tool's backups.
+ * @param {string} [filter.file]  Only backups of this source file.
+ * @returns {Array<{id: string, tool: string, file: string, command: string, created_at: string, path: string}>}
+ *   Newest first.
+ */
+export function listBackups({ tool, file } = {}) {
+  const tools = tool ? [tool] : BACKUP_TOOLS;
+  const out = [];
+  for (const t of tools) {
+    const dir = path.join(MEGALLM_BACKUPS_DIR, t);
+    let names = [];
+    try { names = fs.readdirSync(dir); } catch { continue; }
+    for (const n of names) {
+      if (!n.endsWith('.json')) continue;
+      const rec = readRecord(dir, n);
+      if (rec && (!file || rec.file === path.resolve(file))) out.push(rec);
+    }
+  }
+  return out.sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id));
+}
+
+/**
+ * Look a backup up by id or unique id prefix.
+ *
+ * @param {string} id
+ * @returns {object} The backup record.
+ */
+export function findBackup(id) {
+  const all = listBackups();
+  const exact = all.find(b => b.id === id);
+  if (exact) return exact;
+  const matches = all.filter(b => b.id.startsWith(id));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new Error(`No backup "${id}". See \`megallm backups list\`.`);
+  throw new Error(`"${id}" matches ${matches.length} backups; use more of the id.`);
+}
+
+function pruneBackups(tool, file) {
+  const keep = keepCount();
+  const entries = listBackups({ tool, file });
+  entries.slice(keep).forEach(b => {
+    fs.rmSync(b.path, { force: true });
+    fs.rmSync(b.path.replace(/\.bak$/, '.json'), { force: true });
+  });
+  // Older releases created these with the default umask.
+  entries.slice(0, keep).forEach(b => chmodPrivate(b.path));
+}
+
+/**
+ * Copy `file` into the backup store before it gets overwritten. No-op when
+ * the file doesn't exist, is identical to its newest backup, or writes are
+ * only being staged.
+ *
+ * @param {string} file
+ * @param {object} [opts]
+ * @param {string} [opts.tool]     Defaults to toolForPath(file).
+ * @param {string} [opts.command]  Defaults to this process's command line.
+ * @returns {object|null} The backup record, or null if nothing was saved.
+ */
+export function backupFile(file, { tool = toolForPath(file), command = currentCommand() } = {}) {
+  // Staged writes are backed up when (and if) they are committed.
+  if (isCapturing()) return null;
+  const source = path.resolve(file);
+  if (!fs.existsSync(source)) return null;
+
+  // Earlier releases left a world-readable <file>.bak next to the config.
+  if (fs.existsSync(`${source}.bak`)) chmodPrivate(`${source}.bak`);
+
+  const content = fs.readFileSync(source);
+  const [latest] = listBackups({ tool, file: source });
+  if (latest && fs.readFileSync(latest.path).equals(content)) return latest;
+
+  const dir = path.join(MEGALLM_BACKUPS_DIR, tool);
+  fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+  const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+  const base = `${stamp}-${path.basename(source).replace(/^\./, '')}`;
+  let id = base;
+  for (let n = 2; fs.existsSync(path.join(dir, `${id}.json`)); n++) id = `${base}~${n}`;
+
+  const record = { id, tool, file: source, command, created_at: new Date().toISOString() };
+  const bak = path.join(dir, `${id}.bak`);
+  fs.writeFileSync(bak, content, { mode: 0o600 });
+  fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2), { mode: 0o600 });
+  pruneBackups(tool, source);
+  return { ...record, path: bak };
+}
+
+/**
+ * Put a backup back in place. The current file is backed up first, and the
+ * swap is a rename within the target directory so readers never see a
+ * half-written file. A symlinked file is restored through to its target,
+ * and the target keeps its permissions.
+ *
+ * @param {string} id  Backup id or unique prefix.
+ * @returns {{ restored: object, previous: object|null }}
+ */
+export function restoreBackup(id) {
+  const restored = findBackup(id);
+  const previous = backupFile(restored.file, { tool: restored.tool });
+  // A file that is gone comes back owner-only, like the backup it came from.
+  writeAtomic(restored.file, fs.readFileSync(restored.path), fileMode(restored.file) ?? 0o600);
+  chmodPrivate(restored.path);
+  return { restored, previous };
+}
@@ -1,27 +1,90 @@
 // Shared tool-picker + apply step used by `megallm login` and `megallm
 // switch-org`. Detects installed AI tools, asks the user which one(s) to
 // (re)configure with a given API key (with an "All" + "Skip" choice), runs
-// the configurators, and updates the relevant env vars.
+// the configurators, and updates the relevant env vars — all as one
+// transaction, so a failing tool leaves every config as it was.
 import chalk from 'chalk';
 import { select } from '@inquirer/prompts';
-import { configureClaude } from '../configurators/claude.js';
+import { configureClaude, getClaudeKeyMode } from '../configurators/claude.js';
 import { configureCodex } from '../configurators/codex.js';
 import { configureOpenCode } from '../configurators/opencode.js';
 import { checkToolsStatus } from '../detectors/tools.js';
+import { getConfigPath } from '../detectors/os.js';
 import { setEnvironmentVariable } from './shell.js';
+import { readJsonFile } from './files.js';
+import { removeEnvVars } from './envDetector.js';
+import { applyTransaction } from './transaction.js';
+import { resolveToolModels, saveToolModels } from './tool-models.js';
+import { resolveProfileName } from '../auth/store.js';
 import { MEGALLM_BASE_URL } from '../constants.js';
 
+/**
+ * Which Claude key mode the settings file at `level` currently uses.
+ * @returns {Promise<'helper'|'inline'|null>}
+ */
+export async function readClaudeKeyMode(level = 'system') {
+  const configPath = getConfigPath('claude', level);
+  if (!configPath) return null;
+  try { return getClaudeKeyMode(await readJsonFile(configPath)); } catch { return null; }
+}
+
+/**
+ * Shell env vars a tool depends on once wired to `apiKey`.
+ * A `value` of null means the var must be *removed*: with Claude's
+ * `apiKeyHelper` an exported ANTHROPIC_API_KEY would take precedence over
+ * the helper and pin Claude to whatever key was exported last.
+ *
+ * @param {'claude'|'codex'|'opencode'} tool
+ * @param {string} apiKey
+ * @param {{ claudeKeyMode?: 'helper'|'inline'|null }} [opts]
+ * @returns {Array<{ name: string, value: string|null }>}
+ */
+export function toolEnvVars(tool, apiKey, { claudeKeyMode } = {}) {
+  if (tool === 'claude') {
+    return [
+      { name: 'ANTHROPIC_BASE_URL', value: MEGALLM_BASE_URL },
+      { name: 'ANTHROPIC_API_KEY',  value: claudeKeyMode === 'helper' ? null : apiKey },
+    ];
+  }
+  return [{ name: 'MEGALLM_API_KEY', value: apiKey }];
+}
+
+/**
+ * Apply the output of `toolEnvVars` (possibly concatenated for several
+ * tools) to the shell rc. Later entries win for duplicate names.
+ *
+ * @returns {Promise<boolean>} False if any var could not be written or removed.
+ */
+export async function applyToolEnv(vars) {
+  const merged = new Map();
+  for (const v of vars) merged.set(v.name, v.value);
+  const removals = [];
+  let ok = true;
+  for (const [name, value] of merged) {
+    if (value == null) removals.push(name);
+    else ok = setEnvironmentVariable(name, value, true) && ok;
+  }
+  if (removals.length > 0) ok = (await removeEnvVars(removals)).success && ok;
+  return ok;
+}
+
 /**
  * @param {string} apiKey  The MegaLLM API key to write into tool configs.
  * @param {object} [opts]
  * @param {string} [opts.message]    Prompt text shown to the user.
  * @param {boolean} [opts.updateEnv] When true (default) refresh the
- *   ANTHROPIC_BASE_URL / ANTHROPIC_API_KEY / MEGALLM_API_KEY env vars after
- *   a successful configure.
+ *   ANTHROPIC_BASE_URL / ANTHROPIC_API_KEY / MEGALLM_API_KEY env vars in the
+ *   same transaction as the configs. ANTHROPIC_API_KEY is dropped instead
+ *   when Claude reads its key through `megallm credential`.
  * @param {string}  [opts.skipHint]  Override the message printed when the
  *   user picks "Skip".
+ * @param {string}  [opts.profile]   Profile whose saved per-tool models are
+ *   kept (see src/utils/tool-models.js); defaults to the active one.
+ * @param {{ shared: string|null, perTool: object }} [opts.models]  Parsed
+ *   --model / --small-model; flags for tools the user does not pick are ignored.
  * @returns {Promise<{ picked: string, results: Array<{ tool: string, ok: boolean, error?: string }> }>}
- *   `picked` is one of the installed tool keys / `'all'` / `'skip'`.
+ *   `picked` is one of the installed tool keys / `'all'` / `'skip'`. When
+ *   any tool fails, every result is `ok: false` and nothing was written.
  */
 export async function promptAndConfigureTools(apiKey, opts = {}) {
   const message = opts.message
@@ -30,9 +93,9 @@ export async function promptAndConfigureTools(apiKey, opts = {}) {
 
   const tools = checkToolsStatus();
   const installed = [];
-  if (tools.claude?.installed)   installed.push({ key: 'claude',   label: 'Claude Code', fn: () => configureClaude(apiKey, 'system') });
-  if (tools.codex?.installed)    installed.push({ key: 'codex',    label: 'Codex',       fn: () => configureCodex(apiKey, 'system') });
-  if (tools.opencode?.installed) installed.push({ key: 'opencode', label: 'OpenCode',    fn: () => configureOpenCode(apiKey, 'system') });
+  if (tools.claude?.installed)   installed.push({ key: 'claude',   label: 'Claude Code', fn: (m) => configureClaude(apiKey, 'system', m) });
+  if (tools.codex?.installed)    installed.push({ key: 'codex',    label: 'Codex',       fn: (m) => configureCodex(apiKey, 'system', m) });
+  if (tools.opencode?.installed) installed.push({ key: 'opencode', label: 'OpenCode',    fn: (m) => configureOpenCode(apiKey, 'system', m) });
 
   if (installed.length === 0) {
     console.log(chalk.gray('\nNo AI tools detected — nothing to configure.'));
@@ -63,27 +126,46 @@ export async function promptAndConfigureTools(apiKey, opts = {}) {
   }
 
   const targets = picked === 'all' ? installed : installed.filter((t) => t.key === picked);
-  console.log(chalk.cyan('\nUpdating tool configs…'));
-  const settled = await Promise.allSettled(targets.map((t) => t.fn()));
-  const results = settled.map((r, i) => {
-    const target = targets[i];
-    if (r.status === 'fulfilled' && r.value) {
-      console.log(chalk.green(`  ✓ ${target.label}`));
-      return { tool: target.key, ok: true };
-    }
-    if (r.status === 'fulfilled') {
-      console.log(chalk.gray(`  • ${target.label} skipped`));
-      return { tool: target.key, ok: false };
-    }
-    console.log(chalk.red(`  ✗ ${target.label}: ${r.reason?.message || 'failed'}`));
-    return { tool: target.key, ok: false, error: r.reason?.message || 'failed' };
-  });
+  const keys = targets.map((t) => t.key);
+  const flags = opts.models || { shared: null, perTool: {} };
+  let models;
+  try {
+    ({ models } = await resolveToolModels({
+      tools: keys,
+      flags: { shared: flags.shared, perTool: Object.fromEntries(Object.entries(flags.perTool).filter(([k]) => keys.includes(k))) },
+      profile: resolveProfileName(opts.profile),
+      apiKey,
+    }));
+  } catch (err) {
+    console.log(chalk.red(`  ✗ ${err.message}`));
+    return { picked, results: targets.map((t) => ({ tool: t.key, ok: false, error: err.message })) };
+  }
 
+  console.log(chalk.cyan('\nUpdating tool configs…'));
+  const steps = targets.map((t) => ({ name: t.label, run: () => t.fn(models[t.key]) }));
   if (updateEnv) {
-    setEnvironmentVariable('ANTHROPIC_BASE_URL', MEGALLM_BASE_URL, true);
-    setEnvironmentVariable('ANTHROPIC_API_KEY', apiKey, true);
-    setEnvironmentVariable('MEGALLM_API_KEY', apiKey, true);
+    steps.push({
+      name: 'shell environment',
+      run: async () => {
+        const claudeKeyMode = await readClaudeKeyMode('system');
+        return applyToolEnv([
+          ...toolEnvVars('claude', apiKey, { claudeKeyMode }),
+          ...toolEnvVars('codex', apiKey),
+        ]);
+      },
+    });
   }
 
-  return { picked, results };
+  const tx = await applyTransaction(steps);
+  if (!tx.ok) {
+    console.log(chalk.red(`  ✗ ${tx.step}: ${tx.error}`));
+    console.log(chalk.yellow('  Rolled back — no tool config or shell file was changed.'));
+    return {
+      picked,
+      results: targets.map((t) => ({ tool: t.key, ok: false, ...(t.label === tx.step ? { error: tx.error } : {}) })),
+    };
+  }
+  await saveToolModels(resolveProfileName(opts.profile), models);
+  for (const t of targets) console.log(chalk.green(`  ✓ ${t.label}`));
+  return { picked, results: targets.map((t) => ({ tool: t.key, ok: true })) };
 }
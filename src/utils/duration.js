@@ -0,0 +1,45 @@
+// Short durations on the command line: `30d`, `12h`, `2w`, `90m`, `1y`.
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a duration such as `30d` into milliseconds.
+ * @returns {number|null} null when `text` is not a positive duration.
+ */
+export function parseDuration(text) {
+  const m = /^(\d+(?:\.\d+)?)\s*([mhdwy])$/i.exec(String(text ?? '').trim());
+  if (!m) return null;
+  const ms = Number(m[1]) * UNIT_MS[m[2].toLowerCase()];
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * A point in time given as a duration from `now` (`30d`) or as a date
+ * (`2026-12-31`, any ISO 8601 timestamp).
+ *
+ * @returns {Date|null} null when `text` is neither.
+ */
+export function parseFutureTime(text, now = Date.now()) {
+  const ms = parseDuration(text);
+  if (ms !== null) return new Date(now + ms);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(String(text ?? ''))) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * A point in the past given as a duration before `now` (`7d`) or as a date.
+ *
+ * @returns {Date|null} null when `text` is neither.
+ */
+export function parsePastTime(text, now = Date.now()) {
+  const ms = parseDuration(text);
+  if (ms !== null) return new Date(now - ms);
+  return parseFutureTime(text, now);
+}
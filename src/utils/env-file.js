@@ -0,0 +1,388 @@
+// Managed shell environment for Unix. Every variable MegaLLM persists lives
+// in ~/.megallm/env.sh (mirrored to env.fish, env.xsh and env.elv for the
+// shells in use), and each rc file gets one guarded block that sources it:
+//
+//   # >>> megallm >>>
+//   …source line…
+//   # <<< megallm <<<
+//
+// Rewriting a value therefore never touches user lines, and removal is
+// deleting a block rather than pattern-matching exports. nushell can only
+// `source` files that exist at parse time, so its block in env.nu carries the
+// `$env.KEY = …` assignments themselves. Older releases
+// appended `export KEY=…` lines under `# MegaLLM Configuration`; those are
+// folded into the env file by migrateStrayExports().
+import os from 'os';
+import path from 'path';
+import {
+  MEGALLM_HOME,
+  MEGALLM_ENV_SH,
+  MEGALLM_ENV_FISH,
+  MEGALLM_ENV_XONSH,
+  MEGALLM_ENV_ELVISH,
+  SHELL_CONFIG_FILES,
+} from '../constants.js';
+import { detectShell } from '../detectors/os.js';
+import { formatEnv } from './env-format.js';
+import { backupFile } from './backups.js';
+import { layerFs as fs } from './fs-layer.js';
+
+export const BLOCK_START = '# >>> megallm >>>';
+export const BLOCK_END = '# <<< megallm <<<';
+const LEGACY_HEADER = '# MegaLLM Configuration';
+
+// Variables this CLI has ever written to rc files.
+export const MANAGED_VARS = [
+  'ANTHROPIC_BASE_URL',
+  'ANTHROPIC_API_KEY',
+  'MEGALLM_API_KEY',
+  'OPENAI_BASE_URL',
+  'OPENAI_API_KEY',
+];
+
+// Login-shell files older releases (or users following old docs) wrote to.
+// Scanned for stray exports, but never given a block of their own.
+const EXTRA_SH_FILES = ['.bash_profile', '.zprofile', '.zshenv', '.profile'];
+
+const FILE_HEADER =
+  '# Generated by megallm. Do not edit: use `megallm link`, `megallm unlink`\n' +
+  '# or `megallm doctor fix`. Sourced from the "# >>> megallm >>>" block in\n' +
+  '# your shell rc file.\n';
+
+const DIALECTS = {
+  sh: {
+    envFile: MEGALLM_ENV_SH,
+    format: 'sh',
+    rcFiles: [SHELL_CONFIG_FILES.bash, SHELL_CONFIG_FILES.zsh],
+    source: 'if [ -f "$HOME/.megallm/env.sh" ]; then . "$HOME/.megallm/env.sh"; fi',
+  },
+  fish: {
+    envFile: MEGALLM_ENV_FISH,
+    format: 'fish',
+    rcFiles: [SHELL_CONFIG_FILES.fish],
+    source: 'test -f "$HOME/.megallm/env.fish"; and source "$HOME/.megallm/env.fish"',
+  },
+  nu: {
+    envFile: null, // assignments live in the block itself
+    format: 'nu',
+    rcFiles: [SHELL_CONFIG_FILES.nu],
+  },
+  xonsh: {
+    envFile: MEGALLM_ENV_XONSH,
+    format: 'xonsh',
+    rcFiles: [SHELL_CONFIG_FILES.xonsh],
+    source: "if __import__('os').path.isfile($HOME + '/.megallm/env.xsh'):\n    source @($HOME + '/.megallm/env.xsh')",
+  },
+  elvish: {
+    envFile: MEGALLM_ENV_ELVISH,
+    format: 'elvish',
+    rcFiles: [SHELL_CONFIG_FILES.elvish],
+    source: 'use os\nif (os:is-regular ~/.megallm/env.elv) { eval (slurp < ~/.megallm/env.elv) }',
+  },
+};
+
+const SHELL_DIALECT = { bash: 'sh', zsh: 'sh', fish: 'fish', nu: 'nu', xonsh: 'xonsh', elvish: 'elvish' };
+
+// Assignment of a MANAGED_VARS entry in any supported dialect; the name
+// lands in one of groups 1/3/5/7/9 and the raw value in the group after it.
+const ASSIGN_RE = (() => {
+  const v = `(${MANAGED_VARS.join('|')})`;
+  return new RegExp('^\\s*(?:' + [
+    `export\\s+${v}=(.*)`,                   // sh
+    `set\\s+-[gxU]+\\s+${v}\\s+(.*)`,         // fish
+    `\\$env\\.${v}\\s*=\\s*(.*)`,             // nushell
+    `\\$${v}\\s*=\\s*(.*)`,                   // xonsh
+    `(?:set-env\\s+|set\\s+E:)${v}\\s+(?:=\\s+)?(.*)`, // elvish
+  ].join('|') + ')$');
+})();
+
+function matchAssign(line) {
+  const m = line.match(ASSIGN_RE);
+  if (!m) return null;
+  for (let i = 1; i < m.length; i += 2) {
+    if (m[i]) return { name: m[i], raw: m[i + 1] };
+  }
+  return null;
+}
+
+function home(rel) {
+  return path.join(os.homedir(), rel);
+}
+
+/**
+ * Exact text of the rc block for one dialect (newline-terminated).
+ *
+ * @param {string} dialect
+ * @param {Record<string, string>} [vars]  Only used by dialects without an
+ *   env file of their own (nushell).
+ */
+export function rcBlock(dialect, vars = {}) {
+  const d = DIALECTS[dialect];
+  const body = d.envFile ? `${d.source}\n` : formatEnv(vars, d.format);
+  return `${BLOCK_START}\n${body}${BLOCK_END}\n`;
+}
+
+function unquote(raw) {
+  const v = raw.trim();
+  if (v.startsWith("r#'") && v.endsWith("'#")) return v.slice(3, -2);
+  if (v.startsWith("'") && v.endsWith("'") && v.length >= 2) {
+    return v.slice(1, -1).replace(/'\\''/g, "'").replace(/\\(['\\])/g, '$1');
+  }
+  if (v.startsWith('"') && v.endsWith('"') && v.length >= 2) {
+    return v.slice(1, -1).replace(/\\(["\\$`])/g, '$1');
+  }
+  return v;
+}
+
+/**
+ * MANAGED_VARS assignments in rc file text, in any supported dialect, in
+ * file order (so the last one for a name is what the shell ends up with).
+ *
+ * @param {string} content
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function parseAssignments(content) {
+  const out = [];
+  for (const line of content.split('\n')) {
+    const m = matchAssign(line);
+    if (m) out.push({ name: m.name, value: unquote(m.raw) });
+  }
+  return out;
+}
+
+/**
+ * Variables currently in ~/.megallm/env.sh.
+ *
+ * @returns {Record<string, string>}
+ */
+export function readManagedEnv() {
+  const vars = {};
+  let content;
+  try {
+    content = fs.readFileSync(MEGALLM_ENV_SH, 'utf8');
+  } catch {
+    return vars;
+  }
+  for (const line of content.split('\n')) {
+    const m = line.match(/^export\s+([A-Za-z_][A-Za-z0-9_]*)=(.*)$/);
+    if (m) vars[m[1]] = unquote(m[2]);
+  }
+  return vars;
+}
+
+/** rc files that should carry a block, as [{ file, dialect }]. */
+function blockTargets() {
+  const targets = new Map();
+  for (const [dialect, d] of Object.entries(DIALECTS)) {
+    for (const rel of d.rcFiles) {
+      const file = home(rel);
+      if (fs.existsSync(file)) targets.set(file, dialect);
+    }
+  }
+  // The login shell's rc file gets one even if it doesn't exist yet.
+  const shell = detectShell();
+  if (SHELL_DIALECT[shell]) targets.set(home(SHELL_CONFIG_FILES[shell]), SHELL_DIALECT[shell]);
+  return [...targets].map(([file, dialect]) => ({ file, dialect }));
+}
+
+function findBlock(lines) {
+  const start = lines.findIndex(l => l.trim() === BLOCK_START);
+  if (start === -1) return null;
+  const end = lines.findIndex((l, i) => i > start && l.trim() === BLOCK_END);
+  return end === -1 ? null : { start, end };
+}
+
+function writeBlock(file, dialect, vars) {
+  const block = rcBlock(dialect, vars);
+  const content = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const lines = content.split('\n');
+  const found = findBlock(lines);
+  let next;
+  if (found) {
+    const current = lines.slice(found.start, found.end + 1).join('\n') + '\n';
+    if (current === block) return false;
+    lines.splice(found.start, found.end - found.start + 1, ...block.trimEnd().split('\n'));
+    next = lines.join('\n');
+  } else {
+    const sep = content === '' ? '' : content.endsWith('\n\n') ? '' : content.endsWith('\n') ? '\n' : '\n\n';
+    next = content + sep + block;
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  backupFile(file);
+  fs.writeFileSync(file, next);
+  return true;
+}
+
+function stripBlock(file) {
+  if (!fs.existsSync(file)) return false;
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const found = findBlock(lines);
+  if (!found) return false;
+  // Take the blank line we put in front of the block with it.
+  const from = found.start > 0 && lines[found.start - 1] === '' ? found.start - 1 : found.start;
+  lines.splice(from, found.end - from + 1);
+  backupFile(file);
+  fs.writeFileSync(file, lines.join('\n'));
+  return true;
+}
+
+/**
+ * Make sure every target rc file sources the env file through an up-to-date
+ * block.
+ *
+ * @param {Record<string, string>} [vars]  Defaults to the env file's contents.
+ * @returns {string[]} rc files that were changed.
+ */
+export function ensureRcBlocks(vars = readManagedEnv()) {
+  return blockTargets().filter(({ file, dialect }) => writeBlock(file, dialect, vars)).map(t => t.file);
+}
+
+function allRcFiles() {
+  const files = [];
+  for (const d of Object.values(DIALECTS)) files.push(...d.rcFiles.map(home));
+  files.push(...EXTRA_SH_FILES.map(home));
+  return files;
+}
+
+function looksLikeMegallm(name, value, underHeader) {
+  return underHeader ||
+    name === 'MEGALLM_API_KEY' ||
+    value.startsWith('sk-mega-') ||
+    value.includes('megallm');
+}
+
+/**
+ * Walk every rc file for MANAGED_VARS assignments outside the megallm block.
+ *
+ * @param {(hit: {name: string, value: string, megallm: boolean}) => boolean} match
+ *   Decides which assignments to report (and, when `remove` is set, delete).
+ * @param {boolean} remove
+ * @returns {Array<{file: string, line: number, name: string, value: string}>}
+ */
+function scanStrays(match, remove) {
+  const hits = [];
+  for (const file of allRcFiles()) {
+    let content;
+    try { content = fs.readFileSync(file, 'utf8'); } catch { continue; }
+    const lines = content.split('\n');
+    const block = findBlock(lines);
+    const drop = new Set();
+    let underHeader = false;
+    lines.forEach((line, i) => {
+      if (block && i >= block.start && i <= block.end) return;
+      if (line.trim() === LEGACY_HEADER) { underHeader = true; return; }
+      const m = matchAssign(line);
+      if (!m) { underHeader = false; return; }
+      const { name } = m;
+      const value = unquote(m.raw);
+      if (!match({ name, value, megallm: looksLikeMegallm(name, value, underHeader) })) return;
+      hits.push({ file, line: i + 1, name, value });
+      drop.add(i);
+    });
+    if (!remove || drop.size === 0) continue;
+    const kept = lines.filter((_, i) => !drop.has(i));
+    // A legacy header with nothing left under it is just noise now.
+    const cleaned = kept.filter((l, i) =>
+      l.trim() !== LEGACY_HEADER || (kept[i + 1] !== undefined && matchAssign(kept[i + 1])));
+    backupFile(file);
+    fs.writeFileSync(file, cleaned.join('\n'));
+  }
+  return hits;
+}
+
+/**
+ * Exports of MegaLLM values that still sit directly in rc files.
+ *
+ * @returns {Array<{file: string, line: number, name: string, value: string}>}
+ */
+export function findStrayExports() {
+  return scanStrays(h => h.megallm, false);
+}
+
+function writeEnvFiles(vars) {
+  fs.mkdirSync(MEGALLM_HOME, { recursive: true, mode: 0o700 });
+  // env.sh is the source of truth; the others only for shells in use.
+  const inUse = new Set(['sh', ...blockTargets().map(t => t.dialect)]);
+  for (const [name, d] of Object.entries(DIALECTS)) {
+    if (!d.envFile || !inUse.has(name)) continue;
+    const body = Object.keys(vars).length ? formatEnv(vars, d.format) : '';
+    fs.writeFileSync(d.envFile, FILE_HEADER + body, { mode: 0o600 });
+    try { fs.chmodSync(d.envFile, 0o600); } catch { /* ignore */ }
+  }
+}
+
+/**
+ * Move stray MegaLLM exports out of rc files and into the env file. Values
+ * already in the env file win, since they were written more recently.
+ *
+ * @returns {{ migrated: Array<{file: string, line: number, name: string}>, files: string[] }}
+ */
+export function migrateStrayExports() {
+  const hits = scanStrays(h => h.megallm, true);
+  if (hits.length === 0) return { migrated: [], files: [] };
+  const managed = readManagedEnv();
+  const vars = {};
+  for (const h of hits) vars[h.name] = h.value;
+  writeEnvFiles({ ...vars, ...managed });
+  const files = [...new Set(hits.map(h => h.file)), ...ensureRcBlocks()];
+  return { migrated: hits.map(({ file, line, name }) => ({ file, line, name })), files: [...new Set(files)] };
+}
+
+/**
+ * Apply updates to the managed env file (a `null` value removes the
+ * variable), folding in stray exports first. Once nothing is left, the env
+ * files and rc blocks are removed too.
+ *
+ * @param {Record<string, string|null>} updates
+ * @returns {Record<string, string>} The variables now persisted.
+ */
+export function setManagedEnvVars(updates) {
+  migrateStrayExports();
+  const vars = readManagedEnv();
+  for (const [k, v] of Object.entries(updates)) {
+    if (v == null) delete vars[k];
+    else vars[k] = String(v);
+  }
+  if (Object.keys(vars).length === 0) {
+    for (const d of Object.values(DIALECTS)) if (d.envFile) fs.rmSync(d.envFile, { force: true });
+    for (const file of allRcFiles()) stripBlock(file);
+    return vars;
+  }
+  writeEnvFiles(vars);
+  ensureRcBlocks(vars);
+  return vars;
+}
+
+/**
+ * Delete every assignment of `names` that sits outside the megallm block,
+ * whoever wrote it. Used when the user asked to clear conflicting vars.
+ *
+ * @param {string[]} names
+ * @returns {string[]} rc files that were changed.
+ */
+export function removeStrayExports(names) {
+  const hits = scanStrays(h => names.includes(h.name), true);
+  return [...new Set(hits.map(h => h.file))];
+}
+
+/**
+ * State of the managed setup, for `megallm doctor`.
+ *
+ * @returns {{
+ *   vars: Record<string, string>,
+ *   rcFiles: Array<{file: string, state: 'current'|'stale'|'missing'}>,
+ *   strays: Array<{file: string, line: number, name: string, value: string}>,
+ * }}
+ */
+export function inspectManagedEnv() {
+  const vars = readManagedEnv();
+  const rcFiles = blockTargets().map(({ file, dialect }) => {
+    let lines = [];
+    try { lines = fs.readFileSync(file, 'utf8').split('\n'); } catch { /* missing */ }
+    const found = findBlock(lines);
+    if (!found) return { file, state: 'missing' };
+    const current = lines.slice(found.start, found.end + 1).join('\n') + '\n';
+    return { file, state: current === rcBlock(dialect, vars) ? 'current' : 'stale' };
+  });
+  return { vars, rcFiles, strays: findStrayExports() };
+}
@@ -0,0 +1,34 @@
+// Render a set of env vars as source-able text for one shell dialect.
+// Used by `megallm env`, `megallm use` and the `shell-init` wrappers.
+
+export const ENV_FORMATS = ['sh', 'fish', 'pwsh', 'nu', 'xonsh', 'elvish', 'dotenv'];
+
+const quoteSh = (v) => `'${String(v).replace(/'/g, `'\\''`)}'`;
+const quoteFish = (v) => `'${String(v).replace(/[\\']/g, '\\$&')}'`;
+const quotePwsh = (v) => `'${String(v).replace(/'/g, "''")}'`;
+// nushell single quotes have no escapes; fall back to a raw string.
+const quoteNu = (v) => (String(v).includes("'") ? `r#'${v}'#` : `'${v}'`);
+const quotePy = (v) => `'${String(v).replace(/[\\']/g, '\\$&')}'`;
+const quoteElvish = (v) => `'${String(v).replace(/'/g, "''")}'`;
+const quoteDotenv = (v) => `"${String(v).replace(/[\\"$]/g, '\\$&').replace(/\n/g, '\\n')}"`;
+
+const LINE = {
+  sh:     (k, v) => `export ${k}=${quoteSh(v)}`,
+  fish:   (k, v) => `set -gx ${k} ${quoteFish(v)}`,
+  pwsh:   (k, v) => `$env:${k} = ${quotePwsh(v)}`,
+  nu:     (k, v) => `$env.${k} = ${quoteNu(v)}`,
+  xonsh:  (k, v) => `$${k} = ${quotePy(v)}`,
+  elvish: (k, v) => `set-env ${k} ${quoteElvish(v)}`,
+  dotenv: (k, v) => `${k}=${quoteDotenv(v)}`,
+};
+
+/**
+ * @param {Record<string, string>} vars
+ * @param {string} format  One of ENV_FORMATS.
+ * @returns {string} One assignment per line, newline-terminated.
+ */
+export function formatEnv(vars, format) {
+  const line = LINE[format];
+  if (!line) throw new Error(`Unknown format "${format}" (expected ${ENV_FORMATS.join(', ')})`);
+  return Object.entries(vars).map(([k, v]) => line(k, v)).join('\n') + '\n';
+}
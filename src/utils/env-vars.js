@@ -0,0 +1,18 @@
+// The env vars that point a process at MegaLLM. Shared by `megallm exec`
+// (injected into one child) and everything that persists them for a shell.
+import { MEGALLM_BASE_URL, MEGALLM_OPENAI_BASE_URL } from '../constants.js';
+
+/**
+ * @param {string} apiKey
+ * @returns {Record<string, string>} Anthropic-style vars for Claude Code and
+ *   the Anthropic SDKs, OpenAI-style vars for Codex/OpenCode/OpenAI SDKs.
+ */
+export function megallmEnv(apiKey) {
+  return {
+    ANTHROPIC_BASE_URL: MEGALLM_BASE_URL,
+    ANTHROPIC_API_KEY:  apiKey,
+    MEGALLM_API_KEY:    apiKey,
+    OPENAI_BASE_URL:    MEGALLM_OPENAI_BASE_URL,
+    OPENAI_API_KEY:     apiKey,
+  };
+}
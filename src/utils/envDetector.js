@@ -2,9 +2,13 @@
 import { execSync, exec } from 'child_process';
 import { promisify } from 'util';
 import os from 'os';
-import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { readManagedEnv, setManagedEnvVars, removeStrayExports } from './env-file.js';
+import { MEGALLM_ENV_SH, SHELL_CONFIG_FILES } from '../constants.js';
+import { tildify, editJsonFile, editTomlFile } from './files.js';
+import { backupFile } from './backups.js';
+import { layerFs as fs, isCapturing, recordEnvChange } from './fs-layer.js';
 
 const execAsync = promisify(exec);
 
@@ -215,11 +219,15 @@ async function detectUnixEnvVars(results) {
 
   // Shell configuration files to check
   const shellConfigs = [
+    { name: 'MegaLLM (env.sh)', path: MEGALLM_ENV_SH },
     { name: 'Bash (.bashrc)', path: path.join(homeDir, '.bashrc') },
     { name: 'Bash (.bash_profile)', path: path.join(homeDir, '.bash_profile') },
     { name: 'Zsh (.zshrc)', path: path.join(homeDir, '.zshrc') },
     { name: 'Zsh (.zprofile)', path: path.join(homeDir, '.zprofile') },
     { name: 'Fish', path: path.join(homeDir, '.config', 'fish', 'config.fish') },
+    { name: 'Nushell (env.nu)', path: path.join(homeDir, SHELL_CONFIG_FILES.nu) },
+    { name: 'Xonsh (.xonshrc)', path: path.join(homeDir, SHELL_CONFIG_FILES.xonsh) },
+    { name: 'Elvish (rc.elv)', path: path.join(homeDir, SHELL_CONFIG_FILES.elvish) },
     { name: 'System (/etc/environment)', path: '/etc/environment' },
     { name: 'Profile (.profile)', path: path.join(homeDir, '.profile') }
   ];
@@ -315,7 +323,9 @@ function checkFileForEnvVars(content, results, sourceName, filePath) {
     /export\s+ANTHROPIC_BASE_URL\s*=\s*["']?([^"'\n]+)["']?/g,
     /ANTHROPIC_BASE_URL\s*=\s*["']?([^"'\n]+)["']?/g,
     /\$env:ANTHROPIC_BASE_URL\s*=\s*["']?([^"'\n]+)["']?/g,
-    /set\s+ANTHROPIC_BASE_URL\s*=\s*["']?([^"'\n]+)["']?/g
+    /set\s+ANTHROPIC_BASE_URL\s*=\s*["']?([^"'\n]+)["']?/g,
+    /set\s+-[gxU]+\s+ANTHROPIC_BASE_URL\s+["']?([^"'\n]+)["']?/g, // fish
+    /set-env\s+ANTHROPIC_BASE_URL\s+["']?([^"'\n]+)["']?/g // elvish
   ];
 
   for (const pattern of baseUrlPatterns) {
@@ -340,7 +350,9 @@ function checkFileForEnvVars(content, results, sourceName, filePath) {
     /export\s+ANTHROPIC_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g,
     /ANTHROPIC_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g,
     /\$env:ANTHROPIC_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g,
-    /set\s+ANTHROPIC_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g
+    /set\s+ANTHROPIC_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g,
+    /set\s+-[gxU]+\s+ANTHROPIC_API_KEY\s+["']?([^"'\n]+)["']?/g, // fish
+    /set-env\s+ANTHROPIC_API_KEY\s+["']?([^"'\n]+)["']?/g // elvish
   ];
 
   for (const pattern of apiKeyPatterns) {
@@ -366,7 +378,9 @@ function checkFileForEnvVars(content, results, sourceName, filePath) {
     /export\s+MEGALLM_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g,
     /MEGALLM_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g,
     /\$env:MEGALLM_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g,
-    /set\s+MEGALLM_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g
+    /set\s+MEGALLM_API_KEY\s*=\s*["']?([^"'\n]+)["']?/g,
+    /set\s+-[gxU]+\s+MEGALLM_API_KEY\s+["']?([^"'\n]+)["']?/g, // fish
+    /set-env\s+MEGALLM_API_KEY\s+["']?([^"'\n]+)["']?/g // elvish
   ];
 
   for (const pattern of megallmKeyPatterns) {
@@ -403,6 +417,11 @@ export async function removeEnvVars(variables = ['ANTHROPIC_BASE_URL', 'ANTHROPI
   };
 
   try {
+    const managed = readManagedEnv();
+    for (const varName of variables) {
+      if (process.env[varName] != null || varName in managed) recordEnvChange(varName, null);
+    }
+
     // Remove from current process
     for (const varName of variables) {
       if (process.env[varName]) {
@@ -412,7 +431,8 @@ export async function removeEnvVars(variables = ['ANTHROPIC_BASE_URL', 'ANTHROPI
     }
 
     if (platform === 'win32') {
-      await removeWindowsEnvVars(variables, results);
+      // Registry edits can't be staged; in a plan they are only listed.
+      if (!isCapturing()) await removeWindowsEnvVars(variables, results);
     } else {
       await removeUnixEnvVars(variables, results);
     }
@@ -428,7 +448,6 @@ export async function removeEnvVars(variables = ['ANTHROPIC_BASE_URL', 'ANTHROPI
  * Remove MegaLLM configuration files
  */
 export async function removeConfigurationFiles() {
-  const fs = (await import('fs-extra')).default;
   const results = {
     removed: [],
     errors: []
@@ -436,38 +455,45 @@ export async function removeConfigurationFiles() {
 
   try {
     // Import configuration checkers
-    const { checkExistingClaudeConfig } = await import('../configurators/claude.js');
+    const { checkExistingClaudeConfig, isMegallmKeyHelper } = await import('../configurators/claude.js');
     const { checkExistingCodexConfig } = await import('../configurators/codex.js');
 
     // Check Claude configurations
     const claudeConfig = await checkExistingClaudeConfig();
     for (const configItem of claudeConfig.configs) {
       try {
-        // Read the existing config
         const config = configItem.config;
 
-        // Remove MegaLLM specific configuration
+        // Remove MegaLLM specific configuration, key by key so the rest of
+        // the file (comments included) is left as written
+        const edits = [];
         if (config?.env) {
-          delete config.env.ANTHROPIC_BASE_URL;
-          delete config.env.ANTHROPIC_API_KEY;
-
-          // If env is now empty, remove it
-          if (Object.keys(config.env).length === 0) {
-            delete config.env;
+          const envLeft = Object.keys(config.env)
+            .filter(k => k !== 'ANTHROPIC_BASE_URL' && k !== 'ANTHROPIC_API_KEY');
+          // If env would be empty, remove it
+          if (envLeft.length === 0) {
+            edits.push({ path: ['env'], value: undefined });
+          } else {
+            edits.push({ path: ['env', 'ANTHROPIC_BASE_URL'], value: undefined });
+            edits.push({ path: ['env', 'ANTHROPIC_API_KEY'], value: undefined });
           }
         }
 
+        if (isMegallmKeyHelper(config?.apiKeyHelper)) {
+          edits.push({ path: ['apiKeyHelper'], value: undefined });
+        }
+
         // For API keys file, clear approved keys
         if (config?.customApiKeyResponses?.approved) {
-          config.customApiKeyResponses.approved = [];
+          edits.push({ path: ['customApiKeyResponses', 'approved'], value: [] });
         }
 
         // Write back the cleaned config or remove if empty
-        if (Object.keys(config).length === 0) {
+        const cleaned = await editJsonFile(configItem.path, edits, true);
+        if (/^\s*\{\s*\}\s*$/.test(cleaned)) {
           await fs.remove(configItem.path);
           results.removed.push({ file: configItem.path, action: 'deleted' });
         } else {
-          await fs.writeJson(configItem.path, config, { spaces: 2 });
           results.removed.push({ file: configItem.path, action: 'cleaned' });
         }
       } catch (error) {
@@ -482,18 +508,10 @@ export async function removeConfigurationFiles() {
         const config = configItem.config;
 
         // Remove MegaLLM provider
-        if (config?.model_provider === 'megallm') {
-          delete config.model_provider;
-        }
-
-        if (config?.model_providers?.megallm) {
-          delete config.model_providers.megallm;
-        }
-
-        // Write back the cleaned config
-        const toml = (await import('@iarna/toml')).default;
-        const tomlStr = toml.stringify(config);
-        await fs.writeFile(configItem.path, tomlStr);
+        await editTomlFile(configItem.path, [
+          ...(config?.model_provider === 'megallm' ? [{ table: [], key: 'model_provider' }] : []),
+          { table: ['model_providers', 'megallm'] },
+        ], true);
         results.removed.push({ file: configItem.path, action: 'cleaned' });
       } catch (error) {
         results.errors.push(`Failed to clean ${configItem.path}: ${error.message}`);
@@ -592,6 +610,7 @@ async function removeWindowsEnvVars(variables, results) {
         content = content.replace(/\n{3,}/g, '\n\n'); // Remove excessive newlines
 
         if (modified) {
+          backupFile(profilePath);
           fs.writeFileSync(profilePath, content, 'utf8');
           results.removed.push({ variable: 'ANTHROPIC_*', location: `PowerShell Profile (${path.basename(profilePath)})` });
         }
@@ -620,48 +639,21 @@ async function removeWindowsEnvVars(variables, results) {
 }
 
 /**
- * Remove environment variables on Unix-like systems
+ * Remove environment variables on Unix-like systems: assignments outside the
+ * megallm rc block, then the managed env file itself.
  */
 async function removeUnixEnvVars(variables, results) {
-  const homeDir = os.homedir();
-  const configFiles = [
-    path.join(homeDir, '.bashrc'),
-    path.join(homeDir, '.bash_profile'),
-    path.join(homeDir, '.zshrc'),
-    path.join(homeDir, '.zprofile'),
-    path.join(homeDir, '.zshenv'),
-    path.join(homeDir, '.profile'),
-    path.join(homeDir, '.config', 'fish', 'config.fish')
-  ];
-
-  for (const filePath of configFiles) {
-    if (fs.existsSync(filePath)) {
-      let content = fs.readFileSync(filePath, 'utf8');
-      let modified = false;
-
-      for (const varName of variables) {
-        const patterns = [
-          new RegExp(`export\\s+${varName}\\s*=.*\n?`, 'g'),
-          new RegExp(`${varName}\\s*=.*\n?export\\s+${varName}\n?`, 'g'),
-          new RegExp(`set\\s+-x\\s+${varName}.*\n?`, 'g'), // Fish shell
-          new RegExp(`# MegaLLM Configuration\n?export\\s+${varName}.*\n?`, 'g')
-        ];
-
-        for (const pattern of patterns) {
-          if (pattern.test(content)) {
-            content = content.replace(pattern, '');
-            modified = true;
-          }
-        }
-      }
-
-      // Clean up empty MegaLLM comment blocks
-      content = content.replace(/# MegaLLM Configuration\n(?=\n|$)/g, '');
+  // Strays go first so setManagedEnvVars has nothing left to fold back in.
+  for (const file of removeStrayExports(variables)) {
+    results.removed.push({ variable: 'ANTHROPIC_*', location: path.basename(file) });
+  }
 
-      if (modified) {
-        fs.writeFileSync(filePath, content);
-        results.removed.push({ variable: 'ANTHROPIC_*', location: path.basename(filePath) });
-      }
+  const managed = readManagedEnv();
+  const owned = variables.filter(v => v in managed);
+  if (owned.length > 0) {
+    setManagedEnvVars(Object.fromEntries(owned.map(v => [v, null])));
+    for (const variable of owned) {
+      results.removed.push({ variable, location: tildify(MEGALLM_ENV_SH) });
     }
   }
 
@@ -680,6 +672,7 @@ async function removeUnixEnvVars(variables, results) {
       }
 
       if (modified) {
+        backupFile('/etc/environment');
         fs.writeFileSync('/etc/environment', content);
         results.removed.push({ variable: 'ANTHROPIC_*', location: '/etc/environment' });
       }
@@ -1,11 +1,26 @@
 // File Operations Utilities
-import fs from 'fs-extra';
+import { layerFs as fs } from './fs-layer.js';
+import os from 'os';
 import path from 'path';
+import { parse as parseJsonc, parseTree, findNodeAtLocation, printParseErrorCode, modify, applyEdits } from 'jsonc-parser';
+import { backupFile as saveBackup } from './backups.js';
+import { setTomlValue, removeTomlKey, removeTomlTable } from './toml-edit.js';
+
+// Tool configs may be JSONC (comments, trailing commas): OpenCode reads
+// opencode.jsonc, and Claude tolerates comments in settings.json.
+function parseJsonText(content, filePath) {
+  const errors = [];
+  const data = parseJsonc(content, errors, { allowTrailingComma: true });
+  if (errors.length > 0) {
+    throw new SyntaxError(`${filePath}: ${printParseErrorCode(errors[0].error)} at offset ${errors[0].offset}`);
+  }
+  return data;
+}
 
 async function readJsonFile(filePath) {
   try {
     const content = await fs.readFile(filePath, 'utf8');
-    return JSON.parse(content);
+    return parseJsonText(content, filePath);
   } catch (error) {
     if (error.code === 'ENOENT') {
       return null; // File doesn't exist
@@ -14,23 +29,84 @@ async function readJsonFile(filePath) {
   }
 }
 
-async function writeJsonFile(filePath, data, backup = true) {
-  try {
-    // Create directory if it doesn't exist
-    await fs.ensureDir(path.dirname(filePath));
+/** Indentation and line ending the file already uses, for new lines. */
+function detectJsonFormatting(content) {
+  const indent = content.match(/^[ \t]+(?=\S)/m)?.[0] || '  ';
+  return {
+    insertSpaces: !indent.startsWith('\t'),
+    tabSize: indent.startsWith('\t') ? 1 : indent.length,
+    eol: content.includes('\r\n') ? '\r\n' : '\n',
+  };
+}
 
-    // Backup existing file if requested
-    if (backup && await fs.pathExists(filePath)) {
-      const backupPath = `${filePath}.bak`;
-      await fs.copy(filePath, backupPath);
-    }
+/**
+ * Remove the property at `keyPath` when it sits on lines of its own, taking
+ * only those lines (and, when it was the last property, the comma before
+ * it). jsonc-parser's own removal cuts back to the previous value, so a
+ * comment at the end of the line above would go with it.
+ *
+ * @returns {string|null} The new text, or null when the layout is not
+ *   line-based (the caller falls back to jsonc-parser).
+ */
+function removeJsonLines(text, keyPath) {
+  const tree = parseTree(text, [], { allowTrailingComma: true });
+  const prop = tree && findNodeAtLocation(tree, keyPath)?.parent;
+  if (prop?.type !== 'property') return null;
+  const start = text.lastIndexOf('\n', prop.offset - 1) + 1;
+  if (text.slice(start, prop.offset).trim()) return null;
+  const end = prop.offset + prop.length;
+  const rest = text.slice(end).match(/^[ \t]*(,)?[ \t]*\r?\n/);
+  if (!rest) return null;
 
-    // Write the file with proper formatting
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2));
-    return true;
+  let before = text.slice(0, start);
+  const siblings = prop.parent.children;
+  const i = siblings.indexOf(prop);
+  if (!rest[1] && i > 0 && i === siblings.length - 1) {
+    const prev = siblings[i - 1];
+    const prevEnd = prev.offset + prev.length;
+    const comma = text.slice(prevEnd, start).match(/^\s*,/);
+    if (comma) before = text.slice(0, prevEnd + comma[0].length - 1) + text.slice(prevEnd + comma[0].length, start);
+  }
+  return before + text.slice(end + rest[0].length);
+}
+
+/**
+ * Edit individual keys of a JSON / JSONC file in place. Comments, key
+ * order and formatting outside the edited keys are kept byte-for-byte.
+ *
+ * @param {string} filePath
+ * @param {Array<{ path: Array<string|number>, value: any, append?: boolean }>} edits
+ *   `value: undefined` removes the key. `append: true` pushes `value` onto
+ *   the array at `path`.
+ * @param {boolean} [backup=true]
+ * @returns {Promise<string>} The new file content.
+ */
+async function editJsonFile(filePath, edits, backup = true) {
+  let content = '';
+  try {
+    content = await fs.readFile(filePath, 'utf8');
   } catch (error) {
-    throw error;
+    if (error.code !== 'ENOENT') throw error;
   }
+  parseJsonText(content || '{}', filePath);
+
+  const formattingOptions = detectJsonFormatting(content);
+  let next = content.trim() ? content : '{}';
+  for (const edit of edits) {
+    const removed = edit.value === undefined && !edit.append ? removeJsonLines(next, edit.path) : null;
+    if (removed !== null) { next = removed; continue; }
+    const target = edit.append ? [...edit.path, -1] : edit.path;
+    next = applyEdits(next, modify(next, target, edit.value, {
+      formattingOptions,
+      isArrayInsertion: !!edit.append,
+    }));
+  }
+  if (next === content) return content;
+
+  await fs.ensureDir(path.dirname(filePath));
+  if (backup) saveBackup(filePath);
+  await fs.writeFile(filePath, next);
+  return next;
 }
 
 async function readTomlFile(filePath) {
@@ -46,42 +122,67 @@ async function readTomlFile(filePath) {
   }
 }
 
-async function writeTomlFile(filePath, data, backup = true) {
+/**
+ * Edit individual keys of a TOML file in place (see toml-edit.js).
+ * Comments, key order and tables outside the edited keys are kept as
+ * they are.
+ *
+ * @param {string} filePath
+ * @param {Array<{ table: string[], key?: string, value?: any, comment?: string }>} edits
+ *   With `key`, sets `table.key = value`, or removes it when `value` is
+ *   undefined; `comment` is written after a newly added key. Without
+ *   `key`, removes the whole table and its sub-tables.
+ * @param {boolean} [backup=true]
+ * @returns {Promise<string>} The new file content.
+ */
+async function editTomlFile(filePath, edits, backup = true) {
+  let content = '';
   try {
-    const TOML = await import('@iarna/toml');
-
-    // Create directory if it doesn't exist
-    await fs.ensureDir(path.dirname(filePath));
-
-    // Backup existing file if requested
-    if (backup && await fs.pathExists(filePath)) {
-      const backupPath = `${filePath}.bak`;
-      await fs.copy(filePath, backupPath);
-    }
-
-    // Convert to TOML and write
-    const tomlContent = TOML.stringify(data);
-    await fs.writeFile(filePath, tomlContent);
-    return true;
+    content = await fs.readFile(filePath, 'utf8');
   } catch (error) {
-    throw error;
+    if (error.code !== 'ENOENT') throw error;
   }
-}
 
-async function mergeJsonConfig(existingData, newData) {
-  // Deep merge configuration objects
-  const merged = { ...existingData };
+  const { default: TOML } = await import('@iarna/toml');
+  const expected = TOML.parse(content);
+  let next = content;
+  for (const { table, key, value, comment } of edits) {
+    const removing = value === undefined;
+    const parent = table.slice(0, key === undefined ? -1 : undefined)
+      .reduce((obj, part) => (removing ? obj?.[part] : (obj[part] ??= {})), expected);
+    if (key === undefined) delete parent?.[table[table.length - 1]];
+    else if (removing) delete parent?.[key];
+    else parent[key] = value;
 
-  for (const key in newData) {
-    if (typeof newData[key] === 'object' && !Array.isArray(newData[key]) && newData[key] !== null) {
-      merged[key] = merged[key] || {};
-      merged[key] = { ...merged[key], ...newData[key] };
-    } else {
-      merged[key] = newData[key];
-    }
+    if (key === undefined) next = removeTomlTable(next, table);
+    else if (value === undefined) next = removeTomlKey(next, table, key);
+    else next = setTomlValue(next, table, key, value, { comment });
   }
+  if (next === content) return content;
 
-  return merged;
+  // A layout the line editor does not understand (e.g. a table defined
+  // inline in its parent) would need the whole file rewritten, losing the
+  // user's comments and layout, so the file is left alone instead.
+  let parsed = null;
+  try { parsed = TOML.parse(next); } catch { /* reported below */ }
+  if (!parsed || canonicalJson(parsed) !== canonicalJson(expected)) {
+    throw new Error(`Could not edit ${filePath} without rewriting the whole file (a table the CLI manages is probably written inline). The file was left unchanged; move that table into its own [section] and try again.`);
+  }
+
+  await fs.ensureDir(path.dirname(filePath));
+  if (backup) saveBackup(filePath);
+  await fs.writeFile(filePath, next);
+  return next;
+}
+
+// Sorted keys, empty tables dropped: `[a.b]` alone implies an `a` table
+// that removing `b` leaves behind in the parsed object but not in the text.
+function canonicalJson(value) {
+  return JSON.stringify(value, (k, v) => {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return v;
+    const keys = Object.keys(v).sort();
+    return keys.length || k === '' ? Object.fromEntries(keys.map(key => [key, v[key]])) : undefined;
+  });
 }
 
 async function ensureDirectory(dirPath) {
@@ -89,18 +190,19 @@ async function ensureDirectory(dirPath) {
 }
 
 async function backupFile(filePath) {
-  if (await fs.pathExists(filePath)) {
-    const backupPath = `${filePath}.bak`;
-    await fs.copy(filePath, backupPath);
-    return backupPath;
-  }
-  return null;
+  return saveBackup(filePath)?.path || null;
+}
+
+/** Shorten a path under the home directory to `~/…` for display. */
+function tildify(p) {
+  const home = os.homedir();
+  return p.startsWith(home) ? '~' + p.slice(home.length) : p;
 }
 
 export { readJsonFile };
-export { writeJsonFile };
 export { readTomlFile };
-export { writeTomlFile };
-export { mergeJsonConfig };
+export { editJsonFile };
+export { editTomlFile };
 export { ensureDirectory };
-export { backupFile };
\ No newline at end of file
+export { backupFile };
+export { tildify };
\ No newline at end of file
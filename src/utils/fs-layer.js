@@ -0,0 +1,149 @@
+// Write layer over the real filesystem. Outside captureWrites() every call
+// goes straight to disk. Inside it, writes and deletes are staged in memory
+// and reads see the staged state, so a command runs unchanged while the
+// caller decides what happens to the result: print it as a plan
+// (`--dry-run`) or commit it. Code that writes user files (configs, rc
+// files, ~/.megallm) goes through `layerFs` instead of fs / fs-extra.
+import fs from 'fs';
+import path from 'path';
+
+// Map<absolute path, { content: string|null, mode?: number }>; null = deleted.
+let staged = null;
+// Map<env var name, string|null>; null = removed.
+let envChanges = null;
+// Depth of captures whose result is only shown, never committed.
+let planDepth = 0;
+
+function keyOf(p) {
+  return path.resolve(String(p));
+}
+
+function enoent(p) {
+  const err = new Error(`ENOENT: no such file or directory, open '${p}'`);
+  err.code = 'ENOENT';
+  return err;
+}
+
+function readDisk(p) {
+  try { return fs.readFileSync(p, 'utf8'); } catch { return null; }
+}
+
+function existsSync(p) {
+  const s = staged?.get(keyOf(p));
+  return s ? s.content !== null : fs.existsSync(p);
+}
+
+function readFileSync(p, encoding) {
+  const s = staged?.get(keyOf(p));
+  if (!s) return fs.readFileSync(p, encoding);
+  if (s.content === null) throw enoent(p);
+  return encoding ? s.content : Buffer.from(s.content);
+}
+
+function writeFileSync(p, data, opts) {
+  if (!staged) return fs.writeFileSync(p, data, opts);
+  const mode = (typeof opts === 'object' && opts?.mode) || staged.get(keyOf(p))?.mode;
+  staged.set(keyOf(p), { content: String(data), mode });
+}
+
+function rmSync(p, opts) {
+  if (!staged) return fs.rmSync(p, opts);
+  if (!existsSync(p)) {
+    if (opts?.force) return;
+    throw enoent(p);
+  }
+  staged.set(keyOf(p), { content: null });
+}
+
+function mkdirSync(p, opts) {
+  // Directories are created when staged files are committed.
+  if (!staged) return fs.mkdirSync(p, opts);
+}
+
+function chmodSync(p, mode) {
+  if (!staged) return fs.chmodSync(p, mode);
+  const s = staged.get(keyOf(p));
+  if (s) s.mode = mode;
+}
+
+/** The subset of fs / fs-extra the CLI uses for user files, layer-aware. */
+export const layerFs = {
+  existsSync,
+  readFileSync,
+  writeFileSync,
+  rmSync,
+  mkdirSync,
+  chmodSync,
+  readJsonSync: (p) => JSON.parse(readFileSync(p, 'utf8')),
+  pathExists: async (p) => existsSync(p),
+  readFile: async (p, encoding) => readFileSync(p, encoding),
+  writeFile: async (p, data, opts) => writeFileSync(p, data, opts),
+  remove: async (p) => rmSync(p, { recursive: true, force: true }),
+  ensureDir: async (p) => mkdirSync(p, { recursive: true }),
+  chmod: async (p, mode) => chmodSync(p, mode),
+  readJson: async (p) => JSON.parse(readFileSync(p, 'utf8')),
+  writeJson: async (p, data, opts = {}) =>
+    writeFileSync(p, JSON.stringify(data, null, opts.spaces) + '\n'),
+  readdir: (p) => fs.promises.readdir(p),
+};
+
+/** True while captureWrites() is staging writes. */
+export function isCapturing() {
+  return staged !== null;
+}
+
+/**
+ * True while a plan (`--dry-run`, `apply --check`) is being staged, as
+ * opposed to a transaction that commits its writes: server-side effects
+ * such as minting a key must only be skipped in a plan.
+ */
+export function isPlanning() {
+  return planDepth > 0;
+}
+
+/**
+ * Record a change to a persisted env var (set, or removed when `value` is
+ * null). Only kept while capturing, for the plan's "Environment" section.
+ */
+export function recordEnvChange(name, value) {
+  envChanges?.set(name, value);
+}
+
+/**
+ * Run `fn` with writes staged in memory. Calls may nest (a transaction
+ * inside `--dry-run`): the inner stage starts from the outer one, its
+ * `before` contents are the outer staged state, and nothing it stages
+ * reaches the outer stage unless the caller writes it back.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @param {object} [opts]
+ * @param {boolean} [opts.plan]  The writes will only be shown (see isPlanning()).
+ * @returns {Promise<{
+ *   result: T,
+ *   files: Array<{ file: string, before: string|null, after: string|null, mode?: number }>,
+ *   env: Array<{ name: string, value: string|null }>,
+ * }>} `files` lists every path whose content would change.
+ */
+export async function captureWrites(fn, { plan = false } = {}) {
+  const outer = staged;
+  const outerEnv = envChanges;
+  staged = new Map([...(outer || [])].map(([k, v]) => [k, { ...v }]));
+  envChanges = new Map();
+  if (plan) planDepth++;
+  try {
+    const result = await fn();
+    const files = [];
+    for (const [file, s] of staged) {
+      const o = outer?.get(file);
+      const before = o ? o.content : readDisk(file);
+      if (before !== s.content) files.push({ file, before, after: s.content, mode: s.mode });
+    }
+    const env = [...envChanges].map(([name, value]) => ({ name, value }));
+    return { result, files, env };
+  } finally {
+    staged = outer;
+    envChanges = outerEnv;
+    if (plan) planDepth--;
+  }
+}
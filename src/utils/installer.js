@@ -3,8 +3,17 @@ import { execSync } from 'child_process';
 import chalk from 'chalk';
 import { brailleOra as ora } from './spinner.js';
 import { confirm } from '@inquirer/prompts';
+import { isCapturing } from './fs-layer.js';
+
+// A dry run must not install anything; say what would have run instead.
+function skipInPlan(command) {
+  console.log(chalk.gray(`  · Dry run: would run \`${command}\``));
+  return false;
+}
 
 async function installClaudeCode() {
+  if (isCapturing()) return skipInPlan('npm install -g @anthropic-ai/claude-code');
+
   const spinner = ora('Installing Claude Code...').start();
 
   try {
@@ -35,6 +44,8 @@ async function installClaudeCode() {
  * @returns {Promise<boolean>} `true` if installation succeeded, `false` otherwise.
  */
 async function installCodex() {
+  if (isCapturing()) return skipInPlan('npm install -g @openai/codex');
+
   const spinner = ora('Installing Codex...').start();
 
   try {
@@ -65,6 +76,8 @@ async function installCodex() {
  * @returns {boolean} `true` if installation succeeded, `false` otherwise.
  */
 async function installOpenCode() {
+  if (isCapturing()) return skipInPlan('npm install -g opencode-ai');
+
   const spinner = ora('Installing Open Code...').start();
 
   try {
@@ -0,0 +1,171 @@
+// Where an API key is used on this machine: saved profiles (active key and
+// per-org cache), tool configs that embed it, and persisted shell exports
+// the tools read it from. `keys rotate` rewrites these places; `doctor`
+// uses readToolApiKey() to check what each tool would send.
+import { readAuth, listProfiles } from '../auth/store.js';
+import { getClaudeKeyMode, runClaudeKeyHelper } from '../configurators/claude.js';
+import { getConfigPath } from '../detectors/os.js';
+import { readJsonFile, readTomlFile, tildify } from './files.js';
+import { getEnvironmentVariable, readPersistedEnvVar } from './shell.js';
+
+// Pull the API key each tool would actually send to the backend at runtime.
+// Returns null when the tool has no resolvable key (config missing, env unset,
+// or the config doesn't reference a MegaLLM key).
+export async function readToolApiKey(tool, configPath) {
+  try {
+    if (tool === 'claude') {
+      if (!configPath) return null;
+      const cfg = await readJsonFile(configPath);
+      // apiKeyHelper mode: the key is whatever `megallm credential` prints.
+      if (getClaudeKeyMode(cfg) === 'helper') return runClaudeKeyHelper(cfg.apiKeyHelper);
+      const k = cfg?.env?.ANTHROPIC_API_KEY;
+      return k && typeof k === 'string' ? k : null;
+    }
+    if (tool === 'codex') {
+      if (!configPath) return null;
+      const envKey = await toolEnvKeyName(tool, configPath);
+      // Prefer the live shell value; fall back to the rc file so a tool
+      // configured in a previous shell still gets validated.
+      return getEnvironmentVariable(envKey) || readPersistedEnvVar(envKey);
+    }
+    if (tool === 'opencode') {
+      if (!configPath) return null;
+      const envName = await toolEnvKeyName(tool, configPath);
+      return getEnvironmentVariable(envName) || readPersistedEnvVar(envName);
+    }
+  } catch {
+    return null;
+  }
+  return null;
+}
+
+/** The env var a Codex / OpenCode config reads its MegaLLM key from. */
+async function toolEnvKeyName(tool, configPath) {
+  if (tool === 'codex') {
+    const cfg = await readTomlFile(configPath);
+    return cfg?.model_providers?.megallm?.env_key || 'MEGALLM_API_KEY';
+  }
+  const cfg = await readJsonFile(configPath);
+  // provider.anthropic: configs written before MegaLLM had its own provider.
+  const ref = cfg?.provider?.megallm?.options?.apiKey ?? cfg?.provider?.anthropic?.options?.apiKey;
+  const m = typeof ref === 'string' ? ref.match(/^\{env:([A-Z0-9_]+)\}$/) : null;
+  return m ? m[1] : 'MEGALLM_API_KEY';
+}
+
+/**
+ * Predicate for one key, by whatever is known about it: the full key, its
+ * backend id, or (for keys this machine never saw in full) its prefix.
+ *
+ * @param {{ apiKey?: string|null, apiKeyId?: string|null, keyPrefix?: string|null }} key
+ * @returns {(key: string|null, id?: string|null) => boolean}
+ */
+export function keyMatcher({ apiKey, apiKeyId, keyPrefix }) {
+  return (key, id) => {
+    if (apiKey && key === apiKey) return true;
+    if (apiKeyId && id && id === apiKeyId) return true;
+    if (!apiKey && keyPrefix && typeof key === 'string' && key.startsWith(keyPrefix)) return true;
+    return false;
+  };
+}
+
+/**
+ * @typedef {object} KeyUsage
+ * @property {'profile'|'org-cache'|'tool'|'env'} kind
+ *   `profile`: a profile's active key; `org-cache`: a `keysByOrg` entry;
+ *   `tool`: embedded in a tool config (Claude inline key); `env`: a
+ *   persisted shell export.
+ * @property {string} label   Human-readable place, e.g. `profile "work"`.
+ * @property {string} [profile]
+ * @property {string} [orgId]
+ * @property {string} [tool]
+ * @property {'system'|'project'} [level]
+ * @property {string} [file]
+ * @property {string} [envName]
+ * @property {string[]} [readBy]  Tools that read an `env` export.
+ */
+
+/**
+ * Every key held on this machine, next to the place that holds it. Read
+ * once and hand to findKeyUsages() when matching many keys (`keys list`,
+ * `keys prune`), so the profiles and configs are not re-read per key.
+ *
+ * @returns {Promise<Array<{ key: string, id: string|null, usage: KeyUsage }>>}
+ */
+export async function collectKeyHolders() {
+  const holders = [];
+
+  for (const profile of await listProfiles()) {
+    const auth = await readAuth(profile);
+    if (!auth) continue;
+    if (auth.apiKey) {
+      holders.push({
+        key: auth.apiKey,
+        id: auth.apiKeyId || null,
+        usage: { kind: 'profile', profile, orgId: auth.orgId || null, label: `profile "${profile}" (active key)` },
+      });
+    }
+    for (const [orgId, entry] of Object.entries(auth.keysByOrg || {})) {
+      // The active org's cache entry mirrors the active key; one usage is enough.
+      if (!entry?.api_key || (entry.api_key === auth.apiKey && orgId === auth.orgId)) continue;
+      holders.push({
+        key: entry.api_key,
+        id: entry.api_key_id || null,
+        usage: { kind: 'org-cache', profile, orgId, label: `profile "${profile}" (saved key for org ${entry.org_name || orgId})` },
+      });
+    }
+  }
+
+  for (const level of ['system', 'project']) {
+    const file = getConfigPath('claude', level);
+    const cfg = file ? await readJsonFile(file).catch(() => null) : null;
+    const key = cfg?.env?.ANTHROPIC_API_KEY;
+    if (typeof key === 'string') {
+      holders.push({ key, id: null, usage: { kind: 'tool', tool: 'claude', level, file, label: `Claude Code (${tildify(file)})` } });
+    }
+  }
+
+  // Codex and OpenCode read their key from an env var; name them next to it.
+  const readers = {};
+  for (const tool of ['codex', 'opencode']) {
+    const file = getConfigPath(tool, 'system');
+    const cfg = file ? await (tool === 'codex' ? readTomlFile(file) : readJsonFile(file)).catch(() => null) : null;
+    if (!cfg) continue;
+    const name = await toolEnvKeyName(tool, file).catch(() => null);
+    if (name) (readers[name] ||= []).push(tool === 'codex' ? 'Codex' : 'OpenCode');
+    // Codex profile mode: one `megallm-<profile>` provider per MegaLLM profile.
+    if (tool !== 'codex') continue;
+    for (const [id, provider] of Object.entries(cfg.model_providers || {})) {
+      if (!id.startsWith('megallm-') || typeof provider?.env_key !== 'string') continue;
+      (readers[provider.env_key] ||= []).push(`Codex (--profile ${id})`);
+    }
+  }
+  for (const envName of new Set(['ANTHROPIC_API_KEY', 'MEGALLM_API_KEY', ...Object.keys(readers)])) {
+    const value = readPersistedEnvVar(envName);
+    if (!value) continue;
+    const readBy = envName === 'ANTHROPIC_API_KEY' ? ['Claude Code', ...(readers[envName] || [])] : (readers[envName] || []);
+    holders.push({
+      key: value,
+      id: null,
+      usage: {
+        kind: 'env',
+        envName,
+        readBy,
+        label: `shell export ${envName}${readBy.length ? ` (read by ${readBy.join(', ')})` : ''}`,
+      },
+    });
+  }
+  return holders;
+}
+
+/**
+ * Every local place that holds a key `matches` accepts.
+ *
+ * @param {(key: string|null, id?: string|null) => boolean} matches  See keyMatcher().
+ * @param {Awaited<ReturnType<typeof collectKeyHolders>>} [holders]  Already
+ *   collected holders; read from disk when omitted.
+ * @returns {Promise<KeyUsage[]>}
+ */
+export async function findKeyUsages(matches, holders) {
+  holders ??= await collectKeyHolders();
+  return holders.filter(h => matches(h.key, h.id)).map(h => h.usage);
+}
@@ -0,0 +1,134 @@
+// Team manifest for `megallm apply` (README: "Team manifest"). A YAML file
+// declares the profiles a machine should have, which tools are wired to
+// MegaLLM and how, and what happens to the shell env vars. loadManifest()
+// parses and validates it into a normalized object; apply.js converges the
+// machine to that object.
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+
+export const MANIFEST_FILE = 'megallm.yaml';
+
+const TOOL_KEYS = ['claude', 'codex', 'opencode'];
+const LEVELS = ['system', 'project'];
+const KEY_MODES = ['helper', 'inline'];
+const ENV_POLICIES = ['export', 'unset', 'ignore'];
+const PROFILE_NAME_RE = /^[A-Za-z0-9._-]+$/;
+
+/** A manifest that cannot be read or does not validate; `problems` lists each error. */
+export class ManifestError extends Error {
+  constructor(file, problems) {
+    super(`${file}:${problems.length === 1 ? ` ${problems[0]}` : `\n  - ${problems.join('\n  - ')}`}`);
+    this.problems = problems;
+  }
+}
+
+/**
+ * @typedef {object} Manifest
+ * @property {string} file
+ * @property {Array<{ name: string, org: string|null }>} profiles  Empty when
+ *   the manifest names none; the active profile is used then.
+ * @property {string|null} defaultProfile  Profile whose key the tools get.
+ * @property {Record<'claude'|'codex'|'opencode',
+ *   false | { level: 'system'|'project', keyMode: 'helper'|'inline'|null, model: string|null }>} tools
+ *   Only the tools the manifest mentions; `false` means unlinked.
+ * @property {'export'|'unset'|'ignore'} env
+ */
+
+/**
+ * Read and validate a manifest.
+ *
+ * @param {string} [file]  Defaults to ./megallm.yaml.
+ * @returns {Manifest}
+ * @throws {ManifestError}
+ */
+export function loadManifest(file = MANIFEST_FILE) {
+  const shown = path.relative(process.cwd(), path.resolve(file)) || file;
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new ManifestError(shown, [err.code === 'ENOENT' ? 'file not found' : err.message]);
+  }
+
+  const doc = YAML.parseDocument(text, { prettyErrors: true });
+  if (doc.errors.length) {
+    throw new ManifestError(shown, doc.errors.map(e => e.message.split('\n')[0].replace(/:$/, '')));
+  }
+  return validateManifest(doc.toJS() ?? {}, shown);
+}
+
+function validateManifest(raw, file) {
+  const problems = [];
+  const isMap = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const optionalString = (v, where) => {
+    if (v == null) return null;
+    if (typeof v !== 'string' || !v.trim()) {
+      problems.push(`${where} must be a non-empty string`);
+      return null;
+    }
+    return v.trim();
+  };
+  const oneOf = (v, allowed, where, fallback) => {
+    if (v == null) return fallback;
+    if (!allowed.includes(v)) {
+      problems.push(`${where} must be one of ${allowed.join(', ')} (got ${JSON.stringify(v)})`);
+      return fallback;
+    }
+    return v;
+  };
+
+  if (!isMap(raw)) throw new ManifestError(file, ['expected a mapping at the top level']);
+  if (raw.version != null && raw.version !== 1) {
+    problems.push(`version ${JSON.stringify(raw.version)} is not supported (this CLI reads version 1)`);
+  }
+  for (const key of Object.keys(raw)) {
+    if (!['version', 'profiles', 'tools', 'env'].includes(key)) problems.push(`unknown key "${key}"`);
+  }
+
+  const profiles = [];
+  let defaultProfile = null;
+  if (raw.profiles != null && !Array.isArray(raw.profiles)) {
+    problems.push('profiles must be a list');
+  }
+  for (const [i, p] of (Array.isArray(raw.profiles) ? raw.profiles : []).entries()) {
+    const where = `profiles[${i}]`;
+    if (!isMap(p)) { problems.push(`${where} must be a mapping with a name`); continue; }
+    const name = optionalString(p.name, `${where}.name`);
+    if (!name) { if (p.name == null) problems.push(`${where}.name is required`); continue; }
+    if (!PROFILE_NAME_RE.test(name)) problems.push(`${where}.name "${name}" may only use letters, digits, ".", "_" and "-"`);
+    if (profiles.some(q => q.name === name)) problems.push(`profile "${name}" is listed twice`);
+    if (p.default != null && typeof p.default !== 'boolean') problems.push(`${where}.default must be true or false`);
+    if (p.default === true) {
+      if (defaultProfile) problems.push(`only one profile can be the default ("${defaultProfile}" and "${name}")`);
+      else defaultProfile = name;
+    }
+    profiles.push({ name, org: optionalString(p.org, `${where}.org`) });
+  }
+  if (!defaultProfile && profiles.length) defaultProfile = profiles[0].name;
+
+  const tools = {};
+  if (raw.tools != null && !isMap(raw.tools)) problems.push('tools must be a mapping of tool name to settings');
+  for (const [tool, t] of Object.entries(isMap(raw.tools) ? raw.tools : {})) {
+    const where = `tools.${tool}`;
+    if (!TOOL_KEYS.includes(tool)) { problems.push(`unknown tool "${tool}" (expected ${TOOL_KEYS.join(', ')})`); continue; }
+    if (t === false) { tools[tool] = false; continue; }
+    if (t !== true && t != null && !isMap(t)) { problems.push(`${where} must be a mapping, true or false`); continue; }
+    const settings = isMap(t) ? t : {};
+    for (const key of Object.keys(settings)) {
+      if (!['level', 'key_mode', 'model'].includes(key)) problems.push(`${where}: unknown key "${key}"`);
+    }
+    if (settings.key_mode != null && tool !== 'claude') problems.push(`${where}.key_mode only applies to claude`);
+    if (settings.level === 'project' && tool === 'codex') problems.push(`${where}.level: Codex only has a system-level config`);
+    tools[tool] = {
+      level: oneOf(settings.level, LEVELS, `${where}.level`, 'system'),
+      keyMode: oneOf(settings.key_mode, KEY_MODES, `${where}.key_mode`, null),
+      model: optionalString(settings.model, `${where}.model`),
+    };
+  }
+
+  const env = oneOf(raw.env, ENV_POLICIES, 'env', 'export');
+
+  if (problems.length) throw new ManifestError(file, problems);
+  return { file, profiles, defaultProfile, tools, env };
+}
@@ -0,0 +1,191 @@
+// The MegaLLM model catalog (`/v1/models`), cached in
+// ~/.megallm/cache/models.json. Every consumer — `megallm models`, the
+// OpenCode model list, the Codex default, model checks in setup — reads it
+// through getModelCatalog(), so an offline machine works from the last
+// catalog it fetched. The cache is plain data, not configuration: it is
+// written straight to disk (never under --dry-run) and not backed up.
+import fs from 'fs';
+import path from 'path';
+import { MEGALLM_OPENAI_BASE_URL, MEGALLM_CACHE_DIR } from '../constants.js';
+import { isCapturing } from './fs-layer.js';
+
+export const MODELS_CACHE_FILE = path.join(MEGALLM_CACHE_DIR, 'models.json');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+function ttl() {
+  const hours = Number(process.env.MEGALLM_MODELS_TTL_HOURS);
+  return Number.isFinite(hours) && hours >= 0 ? hours * 60 * 60 * 1000 : DEFAULT_TTL_MS;
+}
+
+/**
+ * @typedef {object} CatalogModel
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} owner
+ * @property {number|null} context_window   Tokens.
+ * @property {number|null} max_output_tokens
+ * @property {{ input_per_mtok: number|null, output_per_mtok: number|null }|null} pricing  USD per million tokens.
+ * @property {string[]} capabilities
+ * @property {Array<'anthropic'|'openai'>} protocols  APIs that serve it, as reported; empty when
+ *   the backend does not say (see modelProtocols()).
+ */
+
+const numberOrNull = (...values) => {
+  for (const v of values) if (v != null && v !== '' && Number.isFinite(Number(v))) return Number(v);
+  return null;
+};
+
+function normalizePricing(p) {
+  if (!p || typeof p !== 'object') return null;
+  // Per-million fields win; bare `input` / `prompt` prices are per token.
+  const perToken = (v) => (numberOrNull(v) === null ? null : Number((numberOrNull(v) * 1e6).toPrecision(6)));
+  const pricing = {
+    input_per_mtok: numberOrNull(p.input_per_mtok, p.input_per_million) ?? perToken(p.input ?? p.prompt),
+    output_per_mtok: numberOrNull(p.output_per_mtok, p.output_per_million) ?? perToken(p.output ?? p.completion),
+  };
+  return pricing.input_per_mtok === null && pricing.output_per_mtok === null ? null : pricing;
+}
+
+function normalizeCapabilities(c) {
+  if (Array.isArray(c)) return c.map(String);
+  if (c && typeof c === 'object') return Object.keys(c).filter(k => c[k]);
+  return [];
+}
+
+// Endpoint names the backend has used, by the API they speak.
+function normalizeProtocols(p) {
+  const list = Array.isArray(p) ? p : typeof p === 'string' ? [p] : [];
+  const out = new Set();
+  for (const item of list.map(v => String(v).toLowerCase())) {
+    if (/anthropic|messages/.test(item)) out.add('anthropic');
+    else if (/openai|chat|completions|responses/.test(item)) out.add('openai');
+  }
+  return [...out];
+}
+
+/** @returns {CatalogModel} */
+function normalizeModel(m) {
+  return {
+    id: m.id,
+    name: m.display_name || m.name || m.id,
+    owner: m.owned_by || m.owner || null,
+    context_window: numberOrNull(m.context_window, m.context_length, m.max_context_tokens, m.max_input_tokens),
+    max_output_tokens: numberOrNull(m.max_output_tokens, m.max_tokens),
+    pricing: normalizePricing(m.pricing),
+    capabilities: normalizeCapabilities(m.capabilities),
+    protocols: normalizeProtocols(m.protocols ?? m.supported_endpoints ?? m.endpoints),
+  };
+}
+
+async function fetchCatalog(apiKey) {
+  const res = await fetch(`${MEGALLM_OPENAI_BASE_URL}/models`, {
+    headers: { Authorization: `Bearer ${apiKey}` },
+    signal: AbortSignal.timeout(10000),
+  });
+  if (!res.ok) throw new Error(`Failed to fetch models: HTTP ${res.status}`);
+  const json = await res.json();
+  const list = Array.isArray(json?.data) ? json.data : Array.isArray(json) ? json : null;
+  if (!list) throw new Error('Failed to fetch models: unexpected response');
+  return list.filter(m => m?.id).map(normalizeModel);
+}
+
+/** The cached catalog, or null when there is none (or it is unreadable). */
+export function readModelCache() {
+  try {
+    const cache = JSON.parse(fs.readFileSync(MODELS_CACHE_FILE, 'utf8'));
+    if (!Array.isArray(cache?.models) || !cache.fetched_at) return null;
+    return cache;
+  } catch {
+    return null;
+  }
+}
+
+function writeModelCache(models) {
+  const cache = { fetched_at: new Date().toISOString(), models };
+  if (isCapturing()) return cache;
+  try {
+    fs.mkdirSync(MEGALLM_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(MODELS_CACHE_FILE, JSON.stringify(cache, null, 2) + '\n');
+  } catch { /* a missing cache only costs a refetch */ }
+  return cache;
+}
+
+/**
+ * The model catalog: from the cache while it is younger than the TTL
+ * (24h, or MEGALLM_MODELS_TTL_HOURS), else fetched and cached. When the
+ * fetch fails, an older cache is returned with `error` set.
+ *
+ * @param {object} [opts]
+ * @param {string|null} [opts.apiKey]  Needed to fetch; without one only the cache is used.
+ * @param {boolean} [opts.refresh]     Ignore the TTL and fetch.
+ * @returns {Promise<{ models: CatalogModel[], fetchedAt: string, source: 'cache'|'network'|'stale-cache', error?: string } | null>}
+ *   null when there is neither a cache nor a successful fetch.
+ */
+export async function getModelCatalog({ apiKey = null, refresh = false } = {}) {
+  const cache = readModelCache();
+  const age = cache ? Date.now() - new Date(cache.fetched_at).getTime() : Infinity;
+  if (cache && !refresh && age < ttl()) {
+    return { models: cache.models, fetchedAt: cache.fetched_at, source: 'cache' };
+  }
+
+  let error = 'not signed in';
+  if (apiKey) {
+    try {
+      const fresh = writeModelCache(await fetchCatalog(apiKey));
+      return { models: fresh.models, fetchedAt: fresh.fetched_at, source: 'network' };
+    } catch (err) {
+      error = err.message;
+    }
+  }
+  if (cache) return { models: cache.models, fetchedAt: cache.fetched_at, source: 'stale-cache', error };
+  return null;
+}
+
+/** True when `owner` names Anthropic (the backend has used several spellings). */
+export function isAnthropicModel(model) {
+  return /anthropic/i.test(model.owner || '') || /^claude/i.test(model.id);
+}
+
+/**
+ * The APIs a model can be called through. When the catalog does not say,
+ * Anthropic models are served on both the Messages and the Chat
+ * Completions endpoint and everything else on Chat Completions only.
+ *
+ * @returns {Array<'anthropic'|'openai'>}
+ */
+export function modelProtocols(model) {
+  if (model.protocols?.length) return model.protocols;
+  return isAnthropicModel(model) ? ['anthropic', 'openai'] : ['openai'];
+}
+
+// The API each tool speaks to MegaLLM. OpenCode's `megallm` provider uses
+// the OpenAI-compatible SDK.
+const TOOL_PROTOCOLS = {
+  claude: ['anthropic'],
+  codex: ['openai'],
+  opencode: ['openai'],
+};
+
+/** True when `tool` can call `model` through the API it is configured for. */
+export function canToolUseModel(tool, model) {
+  return modelProtocols(model).some(p => TOOL_PROTOCOLS[tool].includes(p));
+}
+
+/**
+ * Find a model by id in a catalog; null when the catalog is unknown, false
+ * when the id is not in it.
+ */
+export function findCatalogModel(catalog, id) {
+  if (!catalog) return null;
+  return catalog.models.find(m => m.id === id) || false;
+}
+
+/**
+ * Warning text for a model id missing from the catalog, or null when it
+ * is listed (or there is no catalog to check against).
+ */
+export async function unknownModelWarning(apiKey, id) {
+  const found = findCatalogModel(await getModelCatalog({ apiKey }), id);
+  return found === false ? `Model "${id}" is not in the MegaLLM catalog — see \`megallm models\`.` : null;
+}
@@ -0,0 +1,54 @@
+// Machine-readable output for the global `--json` flag. Read commands build
+// one plain object and hand it to printJson() instead of printing text;
+// errors become `{"error":{"code","message"}}` on stderr with exit code 1.
+// The shapes are documented in the README ("JSON output") — treat them as
+// a public API and only ever add fields.
+import chalk from 'chalk';
+import { maskApiKey } from '../auth/store.js';
+
+let json = false;
+let showSecrets = false;
+
+/** Called once by bin/megallm.js from the global flags. */
+export function setOutputMode(opts = {}) {
+  json = !!opts.json;
+  showSecrets = !!opts.showSecrets;
+}
+
+/** True when `--json` was passed. */
+export function isJsonMode() {
+  return json;
+}
+
+/**
+ * An API key as it may appear in output: masked unless `--show-secrets`.
+ * @returns {string|null}
+ */
+export function secret(key) {
+  if (!key) return null;
+  return showSecrets ? key : maskApiKey(key);
+}
+
+/** Print the command's result object on stdout. */
+export function printJson(value) {
+  process.stdout.write(JSON.stringify(value, null, 2) + '\n');
+}
+
+/** Print an error object on stderr (JSON mode only). */
+export function printJsonError(code, message) {
+  process.stderr.write(JSON.stringify({ error: { code, message } }) + '\n');
+}
+
+/**
+ * Report an error and exit 1: a JSON error object on stderr with `--json`,
+ * otherwise `text` (or a red `✗ message`) the way the command always did.
+ *
+ * @param {string} code     Stable, snake_case error code.
+ * @param {string} message
+ * @param {string} [text]   Text-mode line, if it differs from the default.
+ */
+export function fail(code, message, text) {
+  if (json) printJsonError(code, message);
+  else console.log(text ?? chalk.red(`✗ ${message}`));
+  process.exit(1);
+}
@@ -0,0 +1,111 @@
+// `--dry-run`: run a command against the staged write layer and print what
+// it would change — a unified diff per file plus persisted env var changes —
+// with API keys masked. Nothing is written.
+import chalk from 'chalk';
+import { createTwoFilesPatch } from 'diff';
+import { captureWrites } from './fs-layer.js';
+import { tildify } from './files.js';
+import { redactSecrets } from './redact.js';
+
+/** Colour a unified diff for the terminal. */
+export function colorizeDiff(patch) {
+  return patch.split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    return line;
+  }).join('\n');
+}
+
+// Claude Code records the last 20 characters of an approved key in
+// ~/.claude.json; mask those too, not just full `sk-` keys.
+const KEY_RE = /\bsk-[A-Za-z0-9][A-Za-z0-9_-]{11,}/g;
+const SUFFIX_LEN = 20;
+
+function redactWithSuffixes(text, keys) {
+  let out = redactSecrets(text);
+  for (const key of keys) {
+    if (key.length <= SUFFIX_LEN) continue;
+    const suffix = key.slice(-SUFFIX_LEN);
+    out = out.split(suffix).join(`…${suffix.slice(-4)}`);
+  }
+  return out;
+}
+
+/**
+ * Unified diff for one staged file change, keys masked.
+ *
+ * @param {{ file: string, before: string|null, after: string|null, mode?: number }} change
+ * @param {Iterable<string>} [keys] Full keys whose 20-char suffixes to mask.
+ * @returns {string}
+ */
+export function fileDiff({ file, before, after, mode }, keys = []) {
+  const name = tildify(file);
+  const note = before === null
+    ? ` (new file${mode ? `, mode ${mode.toString(8).padStart(4, '0')}` : ''})`
+    : after === null ? ' (deleted)' : '';
+  const patch = createTwoFilesPatch(
+    before === null ? '/dev/null' : name,
+    after === null ? '/dev/null' : name + note,
+    before ?? '',
+    after ?? '',
+    undefined, undefined, { context: 3 },
+  );
+  // Drop the "Index:"/"====" preamble; the ---/+++ lines already name the file.
+  return redactWithSuffixes(patch.replace(/^(?:Index:.*\n)?=+\n/, '').trimEnd(), keys);
+}
+
+/**
+ * Print a captured plan.
+ *
+ * @param {{ files: Array<object>, env: Array<{ name: string, value: string|null }> }} plan
+ * @param {object} [opts]  Wording, for callers other than `--dry-run`.
+ * @param {string} [opts.note]  Shown next to the heading.
+ * @param {string} [opts.hint]  Last line, after the counts.
+ */
+export function printPlan({ files, env }, {
+  note = 'dry run — nothing was written',
+  hint = 'Re-run without --dry-run to apply.',
+} = {}) {
+  console.log('');
+  console.log(chalk.bold.cyan('Plan') + chalk.gray(`  (${note})`));
+  console.log(chalk.gray('────'));
+  if (files.length === 0 && env.length === 0) {
+    console.log(chalk.gray('Nothing would change.'));
+    return;
+  }
+  const keys = new Set();
+  for (const { before, after } of files) {
+    for (const m of `${before ?? ''}\n${after ?? ''}`.matchAll(KEY_RE)) keys.add(m[0]);
+  }
+  for (const change of files) {
+    console.log('');
+    console.log(colorizeDiff(fileDiff(change, keys)));
+  }
+  if (env.length > 0) {
+    console.log('');
+    console.log(chalk.bold('Environment'));
+    for (const { name, value } of env) {
+      if (value == null) console.log(chalk.red(`  unset ${name}`));
+      else console.log(chalk.green(`  set   ${name}=${redactSecrets(value)}`));
+    }
+  }
+  console.log('');
+  console.log(chalk.gray(`${files.length} file(s), ${env.length} env var(s). ${hint}`));
+}
+
+/**
+ * Run `fn` with every write staged, then print the plan instead of
+ * applying it.
+ *
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>} Whatever `fn` returned.
+ */
+export async function runPlan(fn) {
+  console.log(chalk.yellow('Dry run: changes are staged in memory and printed at the end.\n'));
+  const { result, files, env } = await captureWrites(fn, { plan: true });
+  printPlan({ files, env });
+  return result;
+}
@@ -1,5 +1,5 @@
 // User Interaction Prompts
-import { select, input, confirm, password } from '@inquirer/prompts';
+import { select, input, confirm, password, checkbox } from '@inquirer/prompts';
 import chalk from 'chalk';
 import { TOOLS, SETUP_LEVELS } from '../constants.js';
 import { maskApiKey } from '../auth/store.js';
@@ -149,6 +149,15 @@ export async function confirmConfiguration(config) {
   if (config.apiKey) {
     console.log(chalk.white(`  API Key: ${config.apiKey.substring(0, 10)}...${config.apiKey.slice(-4)}`));
   }
+  if (config.claudeKeyMode) {
+    console.log(chalk.white(`  Claude key: ${config.claudeKeyMode === 'helper' ? 'apiKeyHelper (megallm credential)' : 'written to settings.json'}`));
+  }
+  if (config.codexMode) {
+    console.log(chalk.white(`  Codex: ${config.codexMode === 'profile' ? 'codex --profile megallm' : 'default provider'}`));
+  }
+  if (config.models) {
+    console.log(chalk.white(`  Models: ${config.models}`));
+  }
 
   console.log(chalk.white('═'.repeat(40)));
 
@@ -330,4 +339,120 @@ export function printIdentityBanner({ user, orgName, apiKey }) {
   const where = orgName ? chalk.gray(` · org: ${orgName}`) : '';
   const key = apiKey ? chalk.gray(` · key: ${maskApiKey(apiKey)}`) : '';
   console.log(chalk.green(`\n✓ Signed in as ${chalk.bold(who)}${where}${key}`));
-}
\ No newline at end of file
+}
+/**
+ * Ask how Claude Code should get its key: written into settings.json, or
+ * read on demand through `apiKeyHelper` → `megallm credential`.
+ *
+ * @returns {Promise<'helper'|'inline'>}
+ */
+export async function promptClaudeKeyMode() {
+  return select({
+    message: 'How should Claude Code get its API key?',
+    choices: [
+      {
+        name: 'Via `megallm credential` (apiKeyHelper, recommended)',
+        value: 'helper',
+        description: 'No key in settings.json; switch-org / profile use apply instantly'
+      },
+      {
+        name: 'Write the key into ~/.claude/settings.json',
+        value: 'inline',
+        description: 'Classic setup; re-run setup after switching orgs'
+      },
+    ],
+    default: 'helper',
+  });
+}
+
+/**
+ * Ask how Codex should reach MegaLLM: as its default provider, or only
+ * behind `codex --profile megallm`.
+ *
+ * @param {'default'|'profile'} [current]  Layout the config already has.
+ * @returns {Promise<'default'|'profile'>}
+ */
+export async function promptCodexMode(current) {
+  return select({
+    message: 'How should Codex use MegaLLM?',
+    choices: [
+      {
+        name: 'As the default provider',
+        value: 'default',
+        description: 'Plain `codex` runs on MegaLLM'
+      },
+      {
+        name: 'Only with `codex --profile megallm`',
+        value: 'profile',
+        description: 'Your default provider (e.g. OpenAI) stays as it is'
+      },
+    ],
+    default: current || 'default',
+  });
+}
+
+/**
+ * Pick a model from the catalog. The first choice keeps `current` (or the
+ * tool's own default when there is none).
+ *
+ * @param {string} message
+ * @param {Array<{ id: string, owner: string|null, context_window: number|null }>} models
+ * @param {string} [current]
+ * @returns {Promise<string|undefined>} The model id; undefined for the tool default.
+ */
+export async function promptModel(message, models, current) {
+  const choices = [
+    { name: current ? `Keep ${current}` : 'Tool default', value: current || '' },
+    ...models
+      .filter(m => m.id !== current)
+      .map(m => ({
+        name: m.id,
+        value: m.id,
+        description: [m.owner, m.context_window && `${m.context_window.toLocaleString('en-US')} token context`].filter(Boolean).join(' · ') || undefined,
+      })),
+  ];
+  const picked = await select({ message, choices, default: choices[0].value, pageSize: 12 });
+  return picked || undefined;
+}
+
+/**
+ * Ask what to do about revoking a key that this machine still uses.
+ *
+ * @returns {Promise<'rotate'|'revoke'|'cancel'>}
+ */
+export async function promptRevokeInUse() {
+  return select({
+    message: 'This key is still in use here. What would you like to do?',
+    choices: [
+      {
+        name: 'Rotate instead (recommended)',
+        value: 'rotate',
+        description: 'Mint a replacement, switch everything above to it, then revoke this key'
+      },
+      {
+        name: 'Revoke and remove it from everything above',
+        value: 'revoke',
+        description: 'Tools using it stop working until you sign in or link again'
+      },
+      {
+        name: 'Cancel',
+        value: 'cancel'
+      },
+    ],
+    default: 'rotate',
+  });
+}
+
+/**
+ * Pick which unused CLI-minted keys `keys prune` should revoke.
+ *
+ * @param {Array<{ id: string, label: string, checked: boolean }>} keys
+ * @returns {Promise<string[]>} The chosen key ids.
+ */
+export async function promptPruneSelection(keys) {
+  return checkbox({
+    message: 'Revoke which keys? (space to toggle, enter to confirm)',
+    choices: keys.map(k => ({ name: k.label, value: k.id, checked: k.checked })),
+    pageSize: 15,
+  });
+}
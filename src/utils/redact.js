@@ -0,0 +1,12 @@
+// Mask API keys inside free-form text (diffs, plans) before it is printed.
+import { maskApiKey } from '../auth/store.js';
+
+const KEY_RE = /\bsk-[A-Za-z0-9][A-Za-z0-9_-]{11,}/g;
+
+/**
+ * @param {string} text
+ * @returns {string} `text` with every `sk-…` key masked like maskApiKey().
+ */
+export function redactSecrets(text) {
+  return String(text).replace(KEY_RE, (key) => maskApiKey(key));
+}
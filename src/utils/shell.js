@@ -1,9 +1,12 @@
 // Shell Command Utilities
 import { execSync } from 'child_process';
 import os from 'os';
-import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import { getShellConfigFile } from '../detectors/os.js';
+import { readManagedEnv, setManagedEnvVars, parseAssignments } from './env-file.js';
+import { layerFs as fs, isCapturing, recordEnvChange } from './fs-layer.js';
 
 function reloadShell() {
   const platform = os.platform();
@@ -32,6 +35,16 @@ function reloadShell() {
       case 'fish':
         console.log(chalk.white(`   source ~/.config/fish/config.fish`));
         break;
+      case 'nu':
+        // env.nu is read once at startup; there's no in-place reload.
+        console.log(chalk.white(`   exec nu`));
+        break;
+      case 'xonsh':
+        console.log(chalk.white(`   source ~/.xonshrc`));
+        break;
+      case 'elvish':
+        console.log(chalk.white(`   eval (slurp < ~/.config/elvish/rc.elv)`));
+        break;
       default:
         console.log(chalk.white(`   source ~/.bashrc`));
     }
@@ -57,10 +70,13 @@ function setEnvironmentVariable(key, value, persistent = true) {
 
   if (!persistent) return true;
 
+  recordEnvChange(key, value);
   const platform = os.platform();
 
   try {
     if (platform === 'win32') {
+      if (isCapturing()) return true; // setx can't be staged; the plan lists it
+
       // Windows - set for both current session and future sessions
       // Set for future sessions using setx
       execSync(`setx ${key} "${value}"`, { stdio: 'ignore' });
@@ -79,43 +95,8 @@ function setEnvironmentVariable(key, value, persistent = true) {
       }
       return true;
     } else {
-      // Unix-like systems - append to shell config
-      const shellConfigFile = getShellConfigFile();
-
-      const exportLine = `export ${key}="${value}"`;
-
-      // Check if already exists and update or append
-      if (fs.existsSync(shellConfigFile)) {
-        let content = fs.readFileSync(shellConfigFile, 'utf8');
-        const regex = new RegExp(`export ${key}=.*`, 'g');
-
-        if (regex.test(content)) {
-          // Update existing
-          content = content.replace(regex, exportLine);
-        } else {
-          // Append new - only add comment if it doesn't exist
-          const megallmCommentExists = content.includes('# MegaLLM Configuration');
-          if (!megallmCommentExists) {
-            content += `\n# MegaLLM Configuration\n${exportLine}\n`;
-          } else {
-            // Find the MegaLLM Configuration section and append there
-            const megallmSectionRegex = /(# MegaLLM Configuration\n(?:export [A-Z_]+=.*\n)*)/;
-            if (megallmSectionRegex.test(content)) {
-              content = content.replace(megallmSectionRegex, `$1${exportLine}\n`);
-            } else {
-              // Fallback: just append at the end
-              content += `${exportLine}\n`;
-            }
-          }
-        }
-
-        fs.writeFileSync(shellConfigFile, content);
-      } else {
-        // Create new file
-        const exportBlock = `# MegaLLM Configuration\n${exportLine}\n`;
-        fs.writeFileSync(shellConfigFile, exportBlock);
-      }
-
+      // Unix-like systems - one managed env file, sourced from the rc block
+      setManagedEnvVars({ [key]: value });
       return true;
     }
   } catch (error) {
@@ -129,8 +110,10 @@ function getEnvironmentVariable(key) {
 }
 
 /**
- * Read the persisted value of an env var from the user's shell rc file.
- * Looks for bash/zsh `export NAME=VALUE` and fish `set -gx NAME VALUE`.
+ * Read the persisted value of an env var: the managed ~/.megallm/env.sh
+ * first, then (for setups that predate it) a native assignment in the
+ * shell's rc file — `export`, fish `set -gx`, nushell `$env.X =`, xonsh
+ * `$X =` or elvish `set-env`.
  * Returns the unquoted value, or null when the var isn't persisted.
  *
  * @param {string} key
@@ -138,27 +121,14 @@ function getEnvironmentVariable(key) {
  */
 function readPersistedEnvVar(key) {
   if (os.platform() === 'win32') return null;
+  const managed = readManagedEnv();
+  if (key in managed) return managed[key];
   try {
     const file = getShellConfigFile();
     if (!fs.existsSync(file)) return null;
-    const content = fs.readFileSync(file, 'utf8');
-    const escaped = key.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&');
-    // Last match wins — matches setEnvironmentVariable's "replace in place"
-    // behaviour and tolerates duplicates.
-    const bashRe = new RegExp(`^\\s*export\\s+${escaped}=(.+?)\\s*$`, 'gm');
-    const fishRe = new RegExp(`^\\s*set\\s+-gx\\s+${escaped}\\s+(.+?)\\s*$`, 'gm');
-    let last = null;
-    for (const re of [bashRe, fishRe]) {
-      let m;
-      while ((m = re.exec(content)) !== null) last = m[1];
-    }
-    if (last == null) return null;
-    let v = last.trim();
-    if ((v.startsWith('"') && v.endsWith('"')) ||
-        (v.startsWith("'") && v.endsWith("'"))) {
-      v = v.slice(1, -1);
-    }
-    return v;
+    // Last match wins, like the shell itself; tolerates duplicates.
+    const hits = parseAssignments(fs.readFileSync(file, 'utf8')).filter(a => a.name === key);
+    return hits.length ? hits[hits.length - 1].value : null;
   } catch {
     return null;
   }
@@ -187,9 +157,37 @@ function getLastNCharacters(str, n = 20) {
   return str.slice(-n);
 }
 
+/**
+ * Command line that re-invokes this CLI from another process (Claude Code's
+ * `apiKeyHelper`, shell wrappers). Prefers a `megallm` on PATH so the entry
+ * survives upgrades; falls back to this exact node + bin script, which is
+ * what a one-off `npx megallm` run has to work with.
+ *
+ * @returns {string[]} argv prefix, e.g. ['megallm'] or [node, '/…/bin/megallm.js']
+ */
+function resolveSelfCommand() {
+  try {
+    const command = process.platform === 'win32' ? 'where megallm' : 'which megallm';
+    execSync(command, { stdio: 'ignore' });
+    return ['megallm'];
+  } catch {
+    const bin = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'bin', 'megallm.js');
+    return [process.execPath, bin];
+  }
+}
+
+/** Join an argv array into a string safe to hand to `sh -c`. */
+function toShellCommand(argv) {
+  return argv
+    .map(a => (/^[A-Za-z0-9_\-./:=@]+$/.test(a) ? a : `"${a.replace(/(["\\$`])/g, '\\$1')}"`))
+    .join(' ');
+}
+
 export { reloadShell };
 export { setEnvironmentVariable };
 export { getEnvironmentVariable };
 export { readPersistedEnvVar };
 export { validateApiKey };
-export { getLastNCharacters };
\ No newline at end of file
+export { getLastNCharacters };
+export { resolveSelfCommand };
+export { toShellCommand };
\ No newline at end of file
@@ -0,0 +1,38 @@
+// Aligned plain-text tables for list commands (`keys list`, `usage`).
+import chalk from 'chalk';
+
+/**
+ * @typedef {object} Column
+ * @property {string} title
+ * @property {(row: any) => any} get          Cell text; null/undefined is empty.
+ * @property {(row: any) => ((s: string) => string)|undefined} [color]
+ * @property {'left'|'right'} [align]
+ * @property {boolean} [always]  Show even when every cell is empty.
+ */
+
+/**
+ * Print `rows` as an aligned table, indented two spaces. Columns whose
+ * cells are all empty are dropped, so fields the backend does not return
+ * never show up.
+ *
+ * @param {Column[]} columns
+ * @param {any[]} rows
+ */
+export function printTable(columns, rows) {
+  const cells = rows.map(r => columns.map(c => String(c.get(r) ?? '')));
+  const shown = columns.map((c, i) => c.always || cells.some(row => row[i]));
+  const widths = columns.map((c, i) => Math.max(c.title.length, ...cells.map(row => row[i].length)));
+  const last = shown.lastIndexOf(true);
+  const pad = (v, i) => {
+    if (columns[i].align === 'right') return v.padStart(widths[i]);
+    return i === last ? v : v.padEnd(widths[i]);
+  };
+  const line = (values, colorFor) => values
+    .map((v, i) => (shown[i] ? (colorFor(i) || (s => s))(pad(v, i)) : null))
+    .filter(v => v !== null)
+    .join('  ');
+  console.log('  ' + line(columns.map(c => c.title), () => chalk.gray));
+  for (const [r, row] of cells.entries()) {
+    console.log('  ' + line(row, i => columns[i].color?.(rows[r])));
+  }
+}
@@ -0,0 +1,278 @@
+// Line-based TOML editing. Parsing and re-stringifying config.toml loses
+// comments, key order and hand-written layout, so these helpers locate the
+// lines of one key or table and rewrite only those. They handle the TOML
+// that tool configs actually contain (tables, array tables, multi-line
+// strings and arrays, inline tables); editTomlFile() in files.js checks the
+// result parses to what was asked for, and throws with the file left
+// unchanged when it does not.
+
+const BARE_KEY_RE = /^[A-Za-z0-9_-]+$/;
+
+function formatKey(key) {
+  return BARE_KEY_RE.test(key) ? key : JSON.stringify(key);
+}
+
+/** Serialize a JS value as a TOML value (strings, numbers, booleans, arrays, inline tables). */
+export function formatTomlValue(value) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  if (Array.isArray(value)) return `[${value.map(formatTomlValue).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([k, v]) => `${formatKey(k)} = ${formatTomlValue(v)}`);
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  throw new TypeError(`Cannot write ${value} to TOML`);
+}
+
+/** Split a (possibly quoted, dotted) key into its parts. */
+function parseKeyParts(str) {
+  const parts = [];
+  let i = 0;
+  while (i < str.length) {
+    while (str[i] === ' ' || str[i] === '\t') i++;
+    if (str[i] === '"') {
+      let j = i + 1;
+      while (j < str.length && str[j] !== '"') j += str[j] === '\\' ? 2 : 1;
+      parts.push(JSON.parse(str.slice(i, j + 1)));
+      i = j + 1;
+    } else if (str[i] === "'") {
+      const j = str.indexOf("'", i + 1);
+      parts.push(str.slice(i + 1, j));
+      i = j + 1;
+    } else {
+      let j = i;
+      while (j < str.length && str[j] !== '.') j++;
+      parts.push(str.slice(i, j).trim());
+      i = j;
+    }
+    while (str[i] === ' ' || str[i] === '\t') i++;
+    if (str[i] === '.') i++;
+  }
+  return parts;
+}
+
+/**
+ * Advance over one line of a value. `state` carries an open multi-line
+ * string and the bracket depth across lines. Returns the index where a
+ * trailing comment starts, or -1.
+ */
+function scanValue(line, state) {
+  let i = 0;
+  while (i < line.length) {
+    if (state.ml) {
+      if (state.ml === '"""' && line[i] === '\\') { i += 2; continue; }
+      if (line.startsWith(state.ml, i)) { state.ml = null; i += 3; continue; }
+      i++;
+      continue;
+    }
+    const c = line[i];
+    if (c === '#') return i;
+    if (line.startsWith('"""', i) || line.startsWith("'''", i)) {
+      state.ml = line.slice(i, i + 3);
+      i += 3;
+    } else if (c === '"') {
+      i++;
+      while (i < line.length && line[i] !== '"') i += line[i] === '\\' ? 2 : 1;
+      i++;
+    } else if (c === "'") {
+      const j = line.indexOf("'", i + 1);
+      i = j === -1 ? line.length : j + 1;
+    } else {
+      if (c === '[' || c === '{') state.depth++;
+      if (c === ']' || c === '}') state.depth--;
+      i++;
+    }
+  }
+  return -1;
+}
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+function isComment(line) {
+  return line.trim().startsWith('#');
+}
+
+/**
+ * Index the sections (root + each [table] / [[array]]) and their keys.
+ * @returns {Array<{ path: string[], array: boolean, header: number, end: number,
+ *   keys: Array<{ parts: string[], start: number, end: number, comment: number }> }>}
+ *   `end` is the last line of the section (exclusive of the next header).
+ */
+function scan(lines) {
+  const sections = [{ path: [], array: false, header: -1, end: lines.length - 1, keys: [] }];
+  let current = sections[0];
+  for (let n = 0; n < lines.length; n++) {
+    const line = lines[n];
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) continue;
+
+    const header = trimmed.match(/^(\[\[?)\s*(.+?)\s*\]\]?\s*(?:#.*)?$/);
+    if (header) {
+      current.end = n - 1;
+      current = { path: parseKeyParts(header[2]), array: header[1] === '[[', header: n, end: lines.length - 1, keys: [] };
+      sections.push(current);
+      continue;
+    }
+
+    const eq = findEquals(line);
+    if (eq === -1) continue;
+    const state = { ml: null, depth: 0 };
+    let comment = scanValue(line.slice(eq + 1), state);
+    if (comment !== -1) comment += eq + 1;
+    const start = n;
+    while ((state.ml || state.depth > 0) && n + 1 < lines.length) {
+      n++;
+      scanValue(lines[n], state);
+      comment = -1;
+    }
+    current.keys.push({ parts: parseKeyParts(line.slice(0, eq)), start, end: n, comment });
+  }
+  return sections;
+}
+
+/** Index of the `=` separating key from value, skipping quoted keys. */
+function findEquals(line) {
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (c === '"') { i++; while (i < line.length && line[i] !== '"') i += line[i] === '\\' ? 2 : 1; continue; }
+    if (c === "'") { i = line.indexOf("'", i + 1); if (i === -1) return -1; continue; }
+    if (c === '=') return i;
+    if (c === '#') return -1;
+  }
+  return -1;
+}
+
+function samePath(a, b) {
+  return a.length === b.length && a.every((p, i) => p === b[i]);
+}
+
+function toLines(text) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  return { lines: text.split(/\r?\n/), eol };
+}
+
+function findSection(sections, table) {
+  return sections.find(s => !s.array && samePath(s.path, table));
+}
+
+/**
+ * Set `table.key = value`, replacing the existing key in place or adding
+ * it after the table's last key. A missing table is appended at the end.
+ *
+ * @param {string} text
+ * @param {string[]} table  [] for the root table.
+ * @param {string} key
+ * @param {any} value
+ * @param {object} [opts]
+ * @param {string} [opts.comment]  Trailing comment for a newly added key
+ *   (an existing key keeps its own comment).
+ * @returns {string}
+ */
+export function setTomlValue(text, table, key, value, { comment: note } = {}) {
+  const { lines, eol } = toLines(text);
+  const sections = scan(lines);
+  const assignment = `${formatKey(key)} = ${formatTomlValue(value)}`;
+  const rendered = note ? `${assignment} # ${note}` : assignment;
+  const section = findSection(sections, table);
+
+  if (!section) {
+    let out = text;
+    if (out && !out.endsWith(eol)) out += eol;
+    if (out.trim() && !out.endsWith(eol + eol)) out += eol;
+    return `${out}[${table.map(formatKey).join('.')}]${eol}${rendered}${eol}`;
+  }
+
+  const entry = section.keys.find(k => samePath(k.parts, [key]));
+  if (entry) {
+    const first = lines[entry.start];
+    const indent = first.match(/^\s*/)[0];
+    const comment = entry.comment !== -1 ? first.slice(first.slice(0, entry.comment).trimEnd().length) : '';
+    lines.splice(entry.start, entry.end - entry.start + 1, indent + assignment + comment);
+    return lines.join(eol);
+  }
+
+  const last = section.keys[section.keys.length - 1];
+  if (last) {
+    const indent = lines[last.start].match(/^\s*/)[0];
+    lines.splice(last.end + 1, 0, indent + rendered);
+  } else if (section.header !== -1) {
+    lines.splice(section.header + 1, 0, rendered);
+  } else if (!sections[1]) {
+    let out = text.trim() ? text : '';
+    if (out && !out.endsWith(eol)) out += eol;
+    return out + rendered + eol;
+  } else {
+    // Root table with no keys yet: add above the first table and the
+    // comments attached to it.
+    let at = sections[1].header;
+    while (at > 0 && isComment(lines[at - 1])) at--;
+    const insert = [rendered];
+    if (at < lines.length && !isBlank(lines[at])) insert.push('');
+    lines.splice(at, 0, ...insert);
+  }
+  return lines.join(eol);
+}
+
+/**
+ * The trailing comment on a single-line `table.key`, without the `#`.
+ * @returns {string|null} null when the key is absent or has no comment.
+ */
+export function tomlKeyComment(text, table, key) {
+  const { lines } = toLines(text);
+  const entry = findSection(scan(lines), table)?.keys.find(k => samePath(k.parts, [key]));
+  if (!entry || entry.comment === -1) return null;
+  return lines[entry.start].slice(entry.comment + 1).trim();
+}
+
+/**
+ * Remove `table.key` (all its lines, for multi-line values).
+ * @returns {string} `text` unchanged when the key is absent.
+ */
+export function removeTomlKey(text, table, key) {
+  const { lines, eol } = toLines(text);
+  const sections = scan(lines);
+  const section = findSection(sections, table);
+  const entry = section?.keys.find(k => samePath(k.parts, [key]));
+  if (!entry) return text;
+
+  lines.splice(entry.start, entry.end - entry.start + 1);
+  // Undo the separator setTomlValue adds when it creates the first root key.
+  if (section.header === -1 && section.keys.length === 1 && entry.start < lines.length
+      && isBlank(lines[entry.start]) && (entry.start === 0 || isBlank(lines[entry.start - 1]))) {
+    lines.splice(entry.start, 1);
+  }
+  return lines.join(eol);
+}
+
+/**
+ * Remove a table, its sub-tables and array tables below it, or the inline
+ * table of that name in its parent.
+ * @returns {string} `text` unchanged when the table is absent.
+ */
+export function removeTomlTable(text, table) {
+  const { lines, eol } = toLines(text);
+  const sections = scan(lines);
+  const doomed = sections.filter(s => s.header !== -1
+    && s.path.length >= table.length && samePath(s.path.slice(0, table.length), table));
+
+  for (const s of doomed.reverse()) {
+    const isLast = s.end >= lines.length - 1;
+    let start = s.header;
+    let end = Math.min(s.end, lines.length - 1);
+    if (isLast) {
+      // Last table in the file: keep the final newline, and drop the blank
+      // lines that separated the table from what precedes it.
+      while (end > s.header && isBlank(lines[end])) end--;
+      while (start > 0 && isBlank(lines[start - 1])) start--;
+    } else {
+      // Comments right above the next header belong to it.
+      while (end > s.header && isComment(lines[end])) end--;
+    }
+    lines.splice(start, end - start + 1);
+  }
+
+  const out = lines.join(eol);
+  return removeTomlKey(out, table.slice(0, -1), table[table.length - 1]);
+}
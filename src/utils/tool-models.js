@@ -0,0 +1,205 @@
+// The default model each tool is configured with. `setup`, `link` and
+// `switch-org` take it from --model / --small-model, the wizard's picker or
+// the choice saved with the profile (~/.megallm/profiles/<name>/models.json),
+// and save it back so `doctor fix` rewrites the configs with the same model.
+import chalk from 'chalk';
+import path from 'path';
+import { readToolModels, writeToolModels } from '../auth/store.js';
+import { getModelCatalog, findCatalogModel, canToolUseModel } from './model-catalog.js';
+import { promptModel } from './prompts.js';
+import { getConfigPath } from '../detectors/os.js';
+import { readJsonFile, readTomlFile } from './files.js';
+
+const TOOLS = ['claude', 'codex', 'opencode'];
+const LABELS = { claude: 'Claude Code', codex: 'Codex', opencode: 'OpenCode' };
+
+/**
+ * Parse `--model` and `--small-model`. `--model` is either one model id for
+ * every tool or `tool=id` pairs joined by commas (`claude=claude-sonnet-4,codex=gpt-5`);
+ * `--small-model` is Claude Code's background model.
+ *
+ * @returns {{ shared: string|null, perTool: Object<string, { model?: string, smallModel?: string }> }}
+ * @throws {Error} On a malformed value or an unknown tool name.
+ */
+export function parseModelFlags({ model, smallModel } = {}) {
+  const perTool = {};
+  let shared = null;
+  if (model !== undefined) {
+    const value = String(model).trim();
+    if (!value) throw new Error('--model expects a model id, or tool=model pairs.');
+    if (value.includes('=')) {
+      for (const pair of value.split(',').map(p => p.trim()).filter(Boolean)) {
+        const [tool, id] = pair.split('=').map(s => s.trim());
+        if (!TOOLS.includes(tool) || !id) {
+          throw new Error(`--model expects tool=model pairs for claude, codex or opencode (got "${pair}").`);
+        }
+        perTool[tool] = { model: id };
+      }
+    } else {
+      shared = value;
+    }
+  }
+  if (smallModel !== undefined) {
+    const value = String(smallModel).trim();
+    if (!value || value.includes('=')) throw new Error('--small-model expects a model id.');
+    perTool.claude = { ...perTool.claude, smallModel: value };
+  }
+  return { shared, perTool };
+}
+
+/**
+ * The models to configure `tools` with: flag values first, then what the
+ * profile saved. A shared `--model` goes to every tool that can call it.
+ *
+ * @param {object} args
+ * @param {string[]} args.tools
+ * @param {ReturnType<typeof parseModelFlags>} args.flags
+ * @param {string} args.profile
+ * @param {string|null} [args.apiKey]  For fetching the catalog.
+ * @returns {Promise<{ models: Object<string, { model?: string, smallModel?: string }>, fromFlags: Set<string> }>}
+ *   `fromFlags`: tools whose model came from a flag.
+ * @throws {Error} When a flag names a model the catalog says the tool cannot call.
+ */
+export async function resolveToolModels({ tools, flags, profile, apiKey = null }) {
+  const saved = await readToolModels(profile);
+  const flagged = flags.shared || Object.keys(flags.perTool).length;
+  const catalog = flagged ? await getModelCatalog({ apiKey }) : null;
+  const callable = (tool, id) => {
+    const found = findCatalogModel(catalog, id);
+    return !found || canToolUseModel(tool, found);
+  };
+
+  const models = {};
+  const fromFlags = new Set();
+  for (const tool of tools) models[tool] = { ...saved[tool] };
+
+  if (flags.shared) {
+    const takers = tools.filter(tool => callable(tool, flags.shared));
+    if (!takers.length) {
+      const who = tools.length === 1 ? LABELS[tools[0]] : 'None of the selected tools';
+      throw new Error(`${who} cannot call "${flags.shared}" — see \`megallm models\`.`);
+    }
+    for (const tool of takers) {
+      models[tool].model = flags.shared;
+      fromFlags.add(tool);
+    }
+  }
+  for (const [tool, chosen] of Object.entries(flags.perTool)) {
+    if (!tools.includes(tool)) {
+      throw new Error(`${chosen.model ? '--model' : '--small-model'} names ${LABELS[tool]}, which is not being configured.`);
+    }
+    for (const id of [chosen.model, chosen.smallModel].filter(Boolean)) {
+      if (!callable(tool, id)) throw new Error(`${LABELS[tool]} cannot call "${id}" — see \`megallm models\`.`);
+    }
+    Object.assign(models[tool], chosen);
+    fromFlags.add(tool);
+  }
+  return { models, fromFlags };
+}
+
+/**
+ * Ask for the model of each tool in `tools`, offering only the catalog
+ * models that tool can call. Without a catalog the current choice stays.
+ *
+ * @param {object} args
+ * @param {string[]} args.tools
+ * @param {Object<string, { model?: string, smallModel?: string }>} args.models  Current choices; updated in place.
+ * @param {string|null} [args.apiKey]
+ */
+export async function pickToolModels({ tools, models, apiKey = null }) {
+  if (!tools.length) return models;
+  const catalog = await getModelCatalog({ apiKey });
+  if (!catalog) {
+    console.log(chalk.gray('\nCould not load the MegaLLM model catalog — keeping each tool\'s current model.'));
+    return models;
+  }
+  for (const tool of tools) {
+    const options = catalog.models.filter(m => canToolUseModel(tool, m));
+    if (!options.length) continue;
+    models[tool].model = await promptModel(`Default model for ${LABELS[tool]}`, options, models[tool].model);
+    if (tool === 'claude') {
+      models[tool].smallModel = await promptModel('Small/fast model for Claude Code background tasks', options, models[tool].smallModel);
+    }
+  }
+  return models;
+}
+
+/** Merge the chosen models into the profile's saved ones. */
+export async function saveToolModels(profile, models) {
+  const saved = await readToolModels(profile);
+  let changed = false;
+  for (const [tool, chosen] of Object.entries(models)) {
+    for (const [field, id] of Object.entries(chosen)) {
+      if (!id || saved[tool]?.[field] === id) continue;
+      saved[tool] = { ...saved[tool], [field]: id };
+      changed = true;
+    }
+  }
+  if (changed) await writeToolModels(saved, profile);
+}
+
+/**
+ * @typedef {object} ModelReference
+ * @property {'claude'|'codex'|'opencode'} tool
+ * @property {string} label   e.g. `Claude Code`.
+ * @property {string} file
+ * @property {string} key     Where in the file, e.g. `env.ANTHROPIC_MODEL`.
+ * @property {string} model   The MegaLLM model id (without `megallm/`).
+ * @property {string|null} fix  The command that picks another model, when
+ *   there is one (OpenCode's `small_model` is edited by hand).
+ */
+
+/**
+ * The MegaLLM models the tool configs on this machine name: Claude's
+ * `ANTHROPIC_MODEL` / `ANTHROPIC_SMALL_FAST_MODEL`, Codex's `model` (top
+ * level and `[profiles.megallm*]`) and OpenCode's `megallm/…` models.
+ * Configs that do not point at MegaLLM are skipped.
+ *
+ * @returns {Promise<ModelReference[]>}
+ */
+export async function findModelReferences() {
+  const refs = [];
+  const seen = new Set(); // a project run from $HOME resolves to the system file
+  const read = async (tool, level) => {
+    const file = getConfigPath(tool, level) && path.resolve(getConfigPath(tool, level));
+    if (!file || seen.has(file)) return {};
+    seen.add(file);
+    const config = await (tool === 'codex' ? readTomlFile(file) : readJsonFile(file)).catch(() => null);
+    return { file, config };
+  };
+
+  for (const level of ['system', 'project']) {
+    const { file, config } = await read('claude', level);
+    if (!config?.env?.ANTHROPIC_BASE_URL?.includes('megallm')) continue;
+    for (const name of ['ANTHROPIC_MODEL', 'ANTHROPIC_SMALL_FAST_MODEL']) {
+      const model = config.env[name];
+      if (typeof model !== 'string' || !model) continue;
+      const flag = name === 'ANTHROPIC_MODEL' ? '--model' : '--small-model';
+      refs.push({ tool: 'claude', label: LABELS.claude, file, key: `env.${name}`, model, fix: `megallm link claude ${flag} <id>` });
+    }
+  }
+
+  const codex = await read('codex', 'system');
+  if (codex.config) {
+    const { config, file } = codex;
+    if (config.model_provider === 'megallm' && typeof config.model === 'string') {
+      refs.push({ tool: 'codex', label: LABELS.codex, file, key: 'model', model: config.model, fix: 'megallm link codex --model <id>' });
+    }
+    for (const [id, profile] of Object.entries(config.profiles || {})) {
+      if (!String(profile?.model_provider).startsWith('megallm') || typeof profile.model !== 'string') continue;
+      refs.push({ tool: 'codex', label: LABELS.codex, file, key: `profiles.${id}.model`, model: profile.model, fix: 'megallm link codex --model <id>' });
+    }
+  }
+
+  for (const level of ['system', 'project']) {
+    const { file, config } = await read('opencode', level);
+    for (const key of ['model', 'small_model']) {
+      const value = config?.[key];
+      if (typeof value === 'string' && value.startsWith('megallm/')) {
+        const fix = key === 'model' ? 'megallm link opencode --model <id>' : null;
+        refs.push({ tool: 'opencode', label: LABELS.opencode, file, key, model: value.slice('megallm/'.length), fix });
+      }
+    }
+  }
+  return refs;
+}
@@ -0,0 +1,110 @@
+// All-or-nothing apply for multi-tool configuration. Every step runs with
+// its file and rc writes staged (see fs-layer.js); only when all of them
+// succeed are the staged files written to disk, each one backed up first
+// and replaced atomically. If a step fails nothing is written, and if a
+// write fails half-way the files already replaced are put back.
+import fs from 'fs';
+import os from 'os';
+import { captureWrites, isCapturing, layerFs, recordEnvChange } from './fs-layer.js';
+import { backupFile, fileMode, writeAtomic } from './backups.js';
+
+/**
+ * Run `steps` in order with writes staged, then commit them together.
+ *
+ * A step fails when it throws or resolves to `false`; later steps are not
+ * run. Under `--dry-run` the commit goes into the plan instead of to disk.
+ *
+ * @param {Array<{ name: string, run: () => Promise<boolean|void> }>} steps
+ * @param {object} [opts]
+ * @param {string} [opts.command]  Recorded with the backups; defaults to
+ *   this process's command line.
+ * @returns {Promise<
+ *   | { ok: true, files: string[] }
+ *   | { ok: false, step: string, error: string, files: string[] }
+ * >} `files` are the paths written (ok) or that would have been (failed).
+ */
+export async function applyTransaction(steps, { command } = {}) {
+  let failure = null;
+  const { files, env } = await captureWrites(async () => {
+    for (const step of steps) {
+      try {
+        if (await step.run() === false) failure = { step: step.name, error: 'step reported a failure' };
+      } catch (err) {
+        failure = { step: step.name, error: err.message || String(err) };
+      }
+      if (failure) return;
+    }
+  });
+  const paths = files.map(f => f.file);
+  if (failure) return { ok: false, ...failure, files: paths };
+
+  if (isCapturing()) {
+    stageIntoPlan(files, env);
+    return { ok: true, files: paths };
+  }
+
+  try {
+    commitFiles(files, { command });
+  } catch (err) {
+    return { ok: false, step: 'writing files', error: err.message, files: paths };
+  }
+  if (os.platform() === 'win32') {
+    try {
+      await applyWindowsEnv(env);
+    } catch (err) {
+      // setx has no staging; files are restored so tools and the shell
+      // agree, but registry values already set stay set.
+      restoreFiles(files);
+      return { ok: false, step: 'setting environment variables', error: err.message, files: paths };
+    }
+  }
+  return { ok: true, files: paths };
+}
+
+function stageIntoPlan(files, env) {
+  for (const f of files) {
+    if (f.after === null) layerFs.rmSync(f.file, { force: true });
+    else layerFs.writeFileSync(f.file, f.after, f.mode ? { mode: f.mode } : undefined);
+  }
+  for (const { name, value } of env) recordEnvChange(name, value);
+}
+
+function commitFiles(files, { command }) {
+  const done = [];
+  try {
+    for (const f of files) {
+      f.previousMode = fileMode(f.file);
+      if (f.before !== null) backupFile(f.file, { ...(command ? { command } : {}) });
+      if (f.after === null) fs.rmSync(f.file, { force: true });
+      else writeAtomic(f.file, f.after, f.mode ?? f.previousMode);
+      done.push(f);
+    }
+  } catch (err) {
+    restoreFiles(done);
+    throw new Error(`${err.message} (${done.length} file(s) already written were restored)`);
+  }
+}
+
+function restoreFiles(files) {
+  for (const f of [...files].reverse()) {
+    try {
+      if (f.before === null) fs.rmSync(f.file, { force: true });
+      else writeAtomic(f.file, f.before, f.previousMode);
+    } catch {
+      // Best effort: the backup taken in commitFiles still has it.
+    }
+  }
+}
+
+async function applyWindowsEnv(env) {
+  const { setEnvironmentVariable } = await import('./shell.js');
+  const { removeEnvVars } = await import('./envDetector.js');
+  for (const { name, value } of env) {
+    if (value == null) {
+      const res = await removeEnvVars([name]);
+      if (res.errors.length) throw new Error(res.errors[0]);
+    } else if (!setEnvironmentVariable(name, value, true)) {
+      throw new Error(`could not set ${name}`);
+    }
+  }
+}
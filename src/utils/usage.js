@@ -0,0 +1,79 @@
+// Spend read from the usage API (auth/api.js getUsage), normalized for
+// `megallm usage`, the hub's usage panel and doctor's spend-limit check.
+import { getUsage } from '../auth/api.js';
+
+const num = (...values) => {
+  for (const v of values) if (v != null && Number.isFinite(Number(v))) return Number(v);
+  return 0;
+};
+
+function normalizeRow(r, groupBy) {
+  let group = r.group ?? r[groupBy] ?? null;
+  if (groupBy === 'day') group = group ?? r.date;
+  if (groupBy === 'key') {
+    group = group ?? r.api_key_id ?? r.key_id;
+    const label = r.api_key_name || r.key_name;
+    if (label) group = `${label} (${r.key_prefix || group})`;
+  }
+  return {
+    group: group == null ? '(unknown)' : String(group),
+    requests: num(r.requests, r.request_count, r.count),
+    input_tokens: num(r.input_tokens, r.prompt_tokens),
+    output_tokens: num(r.output_tokens, r.completion_tokens),
+    cost_usd: num(r.cost_usd, r.cost, r.spend_usd, r.spend),
+  };
+}
+
+/**
+ * Usage for one org, normalized: rows sorted by day (oldest first) or by
+ * cost (highest first), and totals summed from the rows unless the backend
+ * sends its own.
+ *
+ * @returns {Promise<{ rows: object[], totals: { requests: number, input_tokens: number, output_tokens: number, cost_usd: number } }>}
+ */
+export async function readUsage(apiKey, { orgId, keyId, model, since, groupBy = 'day' }) {
+  const payload = await getUsage(apiKey, { orgId, keyId, model, since: since.toISOString(), groupBy });
+  const raw = Array.isArray(payload) ? payload : payload?.rows || payload?.usage || payload?.buckets || [];
+  const rows = raw.map(r => normalizeRow(r, groupBy));
+  rows.sort(groupBy === 'day' ? (a, b) => a.group.localeCompare(b.group) : (a, b) => b.cost_usd - a.cost_usd);
+
+  const sum = (field) => rows.reduce((n, r) => n + r[field], 0);
+  const t = payload?.totals || payload?.total || {};
+  const totals = {
+    requests: num(t.requests, t.request_count, sum('requests')),
+    input_tokens: num(t.input_tokens, t.prompt_tokens, sum('input_tokens')),
+    output_tokens: num(t.output_tokens, t.completion_tokens, sum('output_tokens')),
+    cost_usd: num(t.cost_usd, t.cost, t.spend_usd, sum('cost_usd')),
+  };
+  return { rows, totals };
+}
+
+/**
+ * How much of each spend limit a key has used: `monthly` since the first of
+ * the month, `daily` since midnight (local time). Rate limits are not
+ * measurable from usage and are left out.
+ *
+ * @param {object} limits  The key's `limits` record.
+ * @returns {Promise<Array<{ period: 'monthly'|'daily', limit: number, spent: number }>>}
+ */
+export async function readLimitUsage(apiKey, { orgId, keyId, limits }) {
+  const now = new Date();
+  const starts = {
+    monthly: new Date(now.getFullYear(), now.getMonth(), 1),
+    daily: new Date(now.getFullYear(), now.getMonth(), now.getDate()),
+  };
+  const out = [];
+  for (const [period, since] of Object.entries(starts)) {
+    const limit = Number(limits?.[period]);
+    if (!limits?.[period] || !Number.isFinite(limit)) continue;
+    const { totals } = await readUsage(apiKey, { orgId, keyId, since, groupBy: 'day' });
+    out.push({ period, limit, spent: totals.cost_usd });
+  }
+  return out;
+}
+
+/** A dollar amount as shown in tables: two decimals, `<$0.01` for dust. */
+export function formatUsd(amount) {
+  if (amount > 0 && amount < 0.01) return '<$0.01';
+  return `$${amount.toFixed(2)}`;
+}
@@ -0,0 +1,117 @@
+import { test, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+const { HOME, resetHome, writeHomeFile, readHomeFile } = await import('./helpers/temp-home.js');
+const { seedModelCache } = await import('./helpers/catalog.js');
+const { startStub } = await import('./helpers/stub-server.js');
+// The web URL is read when src/constants.js loads, so the stub must be up first.
+const stub = await startStub();
+process.env.MEGALLM_WEB_URL = stub.url;
+const { runApply } = await import('../src/commands/apply.js');
+
+const API_KEY = 'sk-mega-test0000000000000000000000000000';
+const PROJECT = path.join(HOME, 'project');
+
+/** Run `megallm apply` on `manifest` from the project dir; returns its exit code and console.log output. */
+async function apply(manifest, opts = {}) {
+  const file = path.join(PROJECT, 'megallm.yaml');
+  fs.mkdirSync(PROJECT, { recursive: true });
+  fs.writeFileSync(file, manifest);
+  const out = [];
+  const log = console.log;
+  console.log = (...args) => out.push(args.join(' '));
+  process.chdir(PROJECT);
+  try {
+    const code = await runApply({ file, ...opts });
+    return { code, output: out.join('\n') };
+  } finally {
+    process.chdir(HOME);
+    console.log = log;
+  }
+}
+
+after(() => stub.close());
+
+beforeEach(() => {
+  resetHome();
+  seedModelCache();
+  stub.requests.length = 0;
+});
+
+test('tools.<tool>: false unwires the project-level configs too, and --check reports them', async () => {
+  const claude = writeHomeFile('project/.claude/settings.json', JSON.stringify({
+    env: { ANTHROPIC_BASE_URL: 'https://ai.megallm.io', ANTHROPIC_API_KEY: API_KEY },
+  }, null, 2) + '\n');
+  const opencode = writeHomeFile('project/opencode.json', JSON.stringify({
+    provider: { megallm: { options: { baseURL: 'https://ai.megallm.io/v1' } } },
+  }, null, 2) + '\n');
+  const manifest = 'tools:\n  claude: false\n  opencode: false\nenv: ignore\n';
+
+  const check = await apply(manifest, { check: true });
+  assert.equal(check.code, 1);
+  assert.ok(check.output.includes('.claude/settings.json') && check.output.includes('opencode.json'), check.output);
+  assert.match(readHomeFile('project/.claude/settings.json'), /megallm/);
+
+  assert.equal((await apply(manifest)).code, 0);
+  assert.deepEqual(JSON.parse(fs.readFileSync(claude, 'utf8')), {});
+  assert.deepEqual(JSON.parse(fs.readFileSync(opencode, 'utf8')), {});
+  assert.equal((await apply(manifest, { check: true })).code, 0);
+});
+
+test('--check prints only the drift report, not the configurators\' output', async () => {
+  writeHomeFile('.megallm/profiles/default/auth.json', JSON.stringify({ apiKey: API_KEY }));
+  const manifest = 'tools:\n  codex: {}\nenv: ignore\n';
+
+  const { code, output } = await apply(manifest, { check: true });
+  assert.equal(code, 1);
+  assert.match(output, /config\.toml/);
+  assert.doesNotMatch(output, /configured successfully|Configuring Codex/);
+});
+
+const NEW_KEY = 'sk-mega-new00000000000000000000000000000';
+
+/** A `work` profile in org A, and a backend that mints NEW_KEY for org B. */
+function workProfileAndOrgs() {
+  const auth = JSON.stringify({ apiKey: API_KEY, apiKeyId: 'key_old', orgId: 'org_a', orgName: 'A' });
+  writeHomeFile('.megallm/profiles/work/auth.json', auth);
+  stub.handle((req) => {
+    if (req.path === '/api/oauth/orgs') return { body: { data: [{ org_id: 'org_a', org_name: 'A' }, { org_id: 'org_b', org_name: 'B' }] } };
+    if (req.method === 'POST' && req.path === '/api/v1/keys') {
+      return { body: { data: { api_key: NEW_KEY, api_key_id: 'key_new', key_prefix: 'sk-mega-new0' } } };
+    }
+    return { body: {} };
+  });
+  return auth;
+}
+
+test('apply mints the key a profile needs for its org; --check does not', async () => {
+  workProfileAndOrgs();
+  const manifest = 'profiles:\n  - name: work\n    org: B\nenv: ignore\n';
+
+  assert.equal((await apply(manifest, { check: true })).code, 1);
+  assert.ok(!stub.requests.some(r => r.method === 'POST'), 'a check creates no key');
+
+  assert.equal((await apply(manifest)).code, 0);
+  const saved = JSON.parse(readHomeFile('.megallm/profiles/work/auth.json'));
+  assert.equal(saved.apiKey, NEW_KEY);
+  assert.equal(saved.orgId, 'org_b');
+  assert.ok(!stub.requests.some(r => r.method === 'DELETE'));
+});
+
+test('a failed apply revokes the keys it minted and leaves the profile alone', async () => {
+  const auth = workProfileAndOrgs();
+  // The second profile is not signed in, so its step fails after the first minted a key.
+  const manifest = 'profiles:\n  - name: work\n    org: B\n  - name: missing\nenv: ignore\n';
+
+  const { code, output } = await apply(manifest);
+  assert.equal(code, 1);
+  assert.match(output, /profile "missing": not signed in/);
+  assert.match(output, /Revoked the 1 key\(s\) this run created/);
+
+  const revoke = stub.requests.find(r => r.method === 'DELETE');
+  assert.equal(revoke.path, '/api/v1/keys/key_new');
+  assert.equal(revoke.headers.authorization, `Bearer ${API_KEY}`);
+  assert.equal(readHomeFile('.megallm/profiles/work/auth.json'), auth);
+});
@@ -0,0 +1,41 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+const { HOME, resetHome, writeHomeFile } = await import('./helpers/temp-home.js');
+const { backupFile, restoreBackup } = await import('../src/utils/backups.js');
+
+const bashrc = path.join(HOME, '.bashrc');
+const dotfile = path.join(HOME, 'dotfiles', 'bashrc');
+
+beforeEach(() => {
+  resetHome();
+  writeHomeFile('dotfiles/bashrc', 'alias ll="ls -l"\n');
+  fs.chmodSync(dotfile, 0o644);
+  fs.symlinkSync(dotfile, bashrc);
+});
+
+test('restores a symlinked rc file through to its target, keeping its mode', () => {
+  const saved = backupFile(bashrc);
+  fs.writeFileSync(bashrc, 'alias ll="ls -l"\nexport MEGALLM_API_KEY=sk-mega-x\n');
+
+  const { restored, previous } = restoreBackup(saved.id);
+
+  assert.equal(restored.id, saved.id);
+  assert.ok(fs.lstatSync(bashrc).isSymbolicLink());
+  assert.equal(fs.readFileSync(dotfile, 'utf8'), 'alias ll="ls -l"\n');
+  assert.equal(fs.statSync(dotfile).mode & 0o777, 0o644);
+  assert.deepEqual(fs.readdirSync(path.dirname(dotfile)), ['bashrc']);
+  // What was there before the restore is itself backed up.
+  assert.equal(fs.readFileSync(previous.path, 'utf8'), 'alias ll="ls -l"\nexport MEGALLM_API_KEY=sk-mega-x\n');
+});
+
+test('a restored file that was deleted comes back owner-only', () => {
+  const saved = backupFile(bashrc);
+  fs.rmSync(bashrc);
+
+  restoreBackup(saved.id);
+  assert.equal(fs.readFileSync(bashrc, 'utf8'), 'alias ll="ls -l"\n');
+  assert.equal(fs.statSync(bashrc).mode & 0o777, 0o600);
+});
@@ -0,0 +1,47 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+const { HOME, resetHome, writeHomeFile, readHomeFile } = await import('./helpers/temp-home.js');
+const { seedModelCache } = await import('./helpers/catalog.js');
+const { configureCodex, unconfigureCodex } = await import('../src/configurators/codex.js');
+const { readManagedEnv } = await import('../src/utils/env-file.js');
+
+const PROFILES = ['default', 'work', 'side'];
+
+function signIn(name) {
+  writeHomeFile(`.megallm/profiles/${name}/auth.json`, JSON.stringify({ apiKey: `sk-mega-${name.padEnd(32, '0')}` }));
+}
+
+const profileKeys = () => Object.keys(readManagedEnv()).filter(name => name.startsWith('MEGALLM_API_KEY_')).sort();
+
+beforeEach(() => {
+  resetHome();
+  seedModelCache();
+  for (const name of PROFILES) signIn(name);
+});
+
+test('profile mode exports one key per profile and unconfigure unsets them', async () => {
+  assert.equal(await configureCodex('sk-mega-default', 'system', { mode: 'profile' }), true);
+  assert.deepEqual(profileKeys(), ['MEGALLM_API_KEY_DEFAULT', 'MEGALLM_API_KEY_SIDE', 'MEGALLM_API_KEY_WORK']);
+
+  assert.equal((await unconfigureCodex()).removed, true);
+  assert.deepEqual(profileKeys(), []);
+  assert.doesNotMatch(readHomeFile('.codex/config.toml'), /megallm/);
+});
+
+test('a profile that is gone takes its key export with its provider', async () => {
+  await configureCodex('sk-mega-default', 'system', { mode: 'profile' });
+  fs.rmSync(path.join(HOME, '.megallm/profiles/side'), { recursive: true });
+
+  assert.equal(await configureCodex('sk-mega-default', 'system', { mode: 'profile' }), true);
+  assert.deepEqual(profileKeys(), ['MEGALLM_API_KEY_DEFAULT', 'MEGALLM_API_KEY_WORK']);
+  assert.doesNotMatch(readHomeFile('.codex/config.toml'), /megallm-side/);
+});
+
+test('switching to default mode unsets every per-profile key', async () => {
+  await configureCodex('sk-mega-default', 'system', { mode: 'profile' });
+  assert.equal(await configureCodex('sk-mega-default', 'system', { mode: 'default' }), true);
+  assert.deepEqual(profileKeys(), []);
+});
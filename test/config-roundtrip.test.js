@@ -0,0 +1,89 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const { resetHome, writeHomeFile, readHomeFile } = await import('./helpers/temp-home.js');
+const { seedModelCache } = await import('./helpers/catalog.js');
+const { configureClaude, unconfigureClaude } = await import('../src/configurators/claude.js');
+const { configureCodex, unconfigureCodex } = await import('../src/configurators/codex.js');
+const { configureOpenCode, unconfigureOpenCode } = await import('../src/configurators/opencode.js');
+const { editTomlFile } = await import('../src/utils/files.js');
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'configs');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+const API_KEY = 'sk-mega-test0000000000000000000000000000';
+const CLAUDE = '.claude/settings.json';
+const CODEX = '.codex/config.toml';
+const OPENCODE = '.config/opencode/opencode.jsonc';
+
+beforeEach(() => {
+  resetHome();
+  seedModelCache();
+});
+
+for (const mode of ['default', 'profile']) {
+  test(`hand-written config.toml survives Codex configure (${mode} mode) then unconfigure`, async () => {
+    writeHomeFile(CODEX, fixture('codex-config.toml'));
+
+    assert.equal(await configureCodex(API_KEY, 'system', { mode }), true);
+    const configured = readHomeFile(CODEX);
+    assert.match(configured, /\[model_providers\.megallm\]/);
+    // The user's lines are still there, comments included.
+    for (const line of ['# Quick experiments', '[profiles.deep]   # slow but thorough', 'query_params = { api-version = "2025-04-01-preview" }']) {
+      assert.ok(configured.includes(line), line);
+    }
+
+    assert.equal((await unconfigureCodex()).removed, true);
+    assert.equal(readHomeFile(CODEX), fixture('codex-config.toml'));
+  });
+}
+
+test('hand-written settings.json survives Claude Code configure then unconfigure', async () => {
+  writeHomeFile(CLAUDE, fixture('claude-settings.json'));
+
+  assert.equal(await configureClaude(API_KEY, 'system', { model: 'claude-sonnet-4' }), true);
+  assert.match(readHomeFile(CLAUDE), /"ANTHROPIC_BASE_URL": "https:\/\/ai\.megallm\.io"/);
+
+  assert.equal((await unconfigureClaude('system')).removed, true);
+  assert.equal(readHomeFile(CLAUDE), fixture('claude-settings.json'));
+});
+
+test('hand-written opencode.jsonc survives OpenCode configure then unconfigure', async () => {
+  writeHomeFile(OPENCODE, fixture('opencode.jsonc'));
+
+  assert.equal(await configureOpenCode(API_KEY, 'system'), true);
+  assert.match(readHomeFile(OPENCODE), /"megallm": \{/);
+
+  assert.equal((await unconfigureOpenCode('system')).removed, true);
+  assert.equal(readHomeFile(OPENCODE), fixture('opencode.jsonc'));
+});
+
+test('opencode.jsonc keeps its comments when configure picks a MegaLLM model', async () => {
+  writeHomeFile(OPENCODE, fixture('opencode.jsonc'));
+
+  assert.equal(await configureOpenCode(API_KEY, 'system', { model: 'gpt-5' }), true);
+  const configured = readHomeFile(OPENCODE);
+  assert.match(configured, /"megallm": \{/);
+  assert.match(configured, /"model": "megallm\/gpt-5"/);
+  assert.ok(configured.includes('// my own OpenAI account') && configured.includes('/* dark, always */'));
+
+  assert.equal((await unconfigureOpenCode('system')).removed, true);
+  // `model` was the user's before configure replaced it; unconfigure drops
+  // the megallm one, so compare without that key.
+  const restored = readHomeFile(OPENCODE);
+  assert.equal(restored, fixture('opencode.jsonc').replace('  "model": "openai/gpt-4o",\n', ''));
+});
+
+test('editTomlFile leaves the file alone when an edit would need a full rewrite', async () => {
+  const original = '# mine\nmodel_providers = { megallm = { base_url = "x" } }\n';
+  const file = writeHomeFile(CODEX, original);
+
+  await assert.rejects(
+    editTomlFile(file, [{ table: ['model_providers', 'megallm'], key: 'env_key', value: 'MEGALLM_API_KEY' }], false),
+    /left unchanged/,
+  );
+  assert.equal(readHomeFile(CODEX), original);
+});
@@ -0,0 +1,112 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const { HOME, resetHome, writeHomeFile, readHomeFile } = await import('./helpers/temp-home.js');
+const {
+  parseAssignments,
+  setManagedEnvVars,
+  removeStrayExports,
+  migrateStrayExports,
+  BLOCK_START,
+  BLOCK_END,
+} = await import('../src/utils/env-file.js');
+const { SHELL_CONFIG_FILES } = await import('../src/constants.js');
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'shells');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+
+// Each fixture rc holds user lines, a legacy `# MegaLLM Configuration`
+// section with two MegaLLM values, and the user's own OPENAI_API_KEY.
+const DIALECTS = {
+  fish: {
+    rc: SHELL_CONFIG_FILES.fish,
+    shell: '/usr/bin/fish',
+    envFile: '.megallm/env.fish',
+    stray: { ANTHROPIC_BASE_URL: 'https://ai.megallm.io', ANTHROPIC_API_KEY: 'sk-mega-fish0001' },
+    line: (k, v) => `set -gx ${k} '${v}'`,
+  },
+  nu: {
+    rc: SHELL_CONFIG_FILES.nu,
+    shell: '/usr/bin/nu',
+    envFile: null, // assignments live in the rc block
+    stray: { ANTHROPIC_BASE_URL: 'https://ai.megallm.io', MEGALLM_API_KEY: 'sk-mega-nu0001' },
+    line: (k, v) => `$env.${k} = '${v}'`,
+  },
+  xonsh: {
+    rc: SHELL_CONFIG_FILES.xonsh,
+    shell: '/usr/bin/xonsh',
+    envFile: '.megallm/env.xsh',
+    stray: { ANTHROPIC_BASE_URL: 'https://ai.megallm.io', ANTHROPIC_API_KEY: 'sk-mega-xonsh001' },
+    line: (k, v) => `$${k} = '${v}'`,
+  },
+  elvish: {
+    rc: SHELL_CONFIG_FILES.elvish,
+    shell: '/usr/bin/elvish',
+    envFile: '.megallm/env.elv',
+    stray: { ANTHROPIC_BASE_URL: 'https://ai.megallm.io', ANTHROPIC_API_KEY: 'sk-mega-elv0001' },
+    line: (k, v) => `set-env ${k} '${v}'`,
+  },
+};
+
+const exists = (rel) => fs.existsSync(path.join(HOME, rel));
+
+beforeEach(() => resetHome());
+
+for (const [dialect, d] of Object.entries(DIALECTS)) {
+  const setup = () => {
+    process.env.SHELL = d.shell;
+    return writeHomeFile(d.rc, fixture(`${dialect}.rc`));
+  };
+
+  test(`${dialect}: parseAssignments reads every managed assignment in file order`, () => {
+    assert.deepEqual(parseAssignments(fixture(`${dialect}.rc`)), [
+      ...Object.entries(d.stray).map(([name, value]) => ({ name, value })),
+      { name: 'OPENAI_API_KEY', value: 'sk-openai-mine' },
+    ]);
+  });
+
+  test(`${dialect}: migrateStrayExports moves MegaLLM values into the env file`, () => {
+    const rc = setup();
+    const { migrated, files } = migrateStrayExports();
+
+    assert.deepEqual(migrated.map(m => m.name), Object.keys(d.stray));
+    assert.deepEqual(files, [rc]);
+    assert.equal(readHomeFile(d.rc), fixture(`${dialect}.migrated`));
+    assert.match(readHomeFile('.megallm/env.sh'), /export ANTHROPIC_BASE_URL='https:\/\/ai\.megallm\.io'/);
+    if (d.envFile) {
+      for (const [k, v] of Object.entries(d.stray)) assert.ok(readHomeFile(d.envFile).includes(d.line(k, v)));
+    }
+    // Running it again finds nothing left to move.
+    assert.deepEqual(migrateStrayExports(), { migrated: [], files: [] });
+  });
+
+  test(`${dialect}: setManagedEnvVars writes values in the shell's syntax and removes them`, () => {
+    setup();
+    setManagedEnvVars({ MEGALLM_API_KEY: 'sk-mega-updated' });
+
+    const rcText = readHomeFile(d.rc);
+    assert.equal(rcText.split(BLOCK_START).length, 2, 'exactly one block');
+    const where = d.envFile ? readHomeFile(d.envFile) : rcText;
+    assert.ok(where.includes(d.line('MEGALLM_API_KEY', 'sk-mega-updated')));
+    // The user's own lines are untouched.
+    assert.ok(rcText.includes('EDITOR') && rcText.includes('sk-openai-mine'));
+
+    setManagedEnvVars(Object.fromEntries([...Object.keys(d.stray), 'MEGALLM_API_KEY'].map(k => [k, null])));
+    assert.ok(!readHomeFile(d.rc).includes(BLOCK_START) && !readHomeFile(d.rc).includes(BLOCK_END));
+    assert.ok(!exists('.megallm/env.sh'));
+    if (d.envFile) assert.ok(!exists(d.envFile));
+  });
+
+  test(`${dialect}: removeStrayExports deletes the named assignments outside the block`, () => {
+    const rc = setup();
+    assert.deepEqual(removeStrayExports(['OPENAI_API_KEY']), [rc]);
+
+    const after = readHomeFile(d.rc);
+    assert.ok(!after.includes('sk-openai-mine'));
+    assert.deepEqual(parseAssignments(after).map(a => a.name), Object.keys(d.stray));
+    assert.deepEqual(removeStrayExports(['OPENAI_API_KEY']), []);
+  });
+}
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const { writeHomeFile } = await import('./helpers/temp-home.js');
+
+const BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'megallm.js');
+
+writeHomeFile('.megallm/profiles/default/auth.json', JSON.stringify({ apiKey: 'sk-mega-test0000000000000000000000000000' }));
+
+/** Exit status of `megallm exec -- sh -c <script>`, as a shell would report it. */
+function execStatus(script) {
+  const res = spawnSync(process.execPath, [BIN, 'exec', '--', 'sh', '-c', script], { env: process.env, encoding: 'utf8', timeout: 20000 });
+  return res.status ?? 128 + (res.signal ? { SIGTERM: 15, SIGPIPE: 13 }[res.signal] : 0);
+}
+
+test('exec passes the child\'s exit code through', { skip: process.platform === 'win32' }, () => {
+  assert.equal(execStatus('exit 3'), 3);
+});
+
+test('a child killed by a signal is reported as 128 + the signal, even one Node ignores', { skip: process.platform === 'win32' }, () => {
+  assert.equal(execStatus('kill -TERM $$'), 143);
+  assert.equal(execStatus('kill -PIPE $$'), 141);
+});
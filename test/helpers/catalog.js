@@ -0,0 +1,12 @@
+// A fresh model catalog in ~/.megallm/cache, so nothing under test fetches
+// https://ai.megallm.io/v1/models.
+import { writeHomeFile } from './temp-home.js';
+
+export const MODELS = [
+  { id: 'claude-sonnet-4', name: 'Claude Sonnet 4', owner: 'anthropic', context_window: 200000, max_output_tokens: 64000, pricing: null, capabilities: [], protocols: ['anthropic', 'openai'] },
+  { id: 'gpt-5', name: 'GPT-5', owner: 'openai', context_window: 400000, max_output_tokens: 128000, pricing: null, capabilities: [], protocols: ['openai'] },
+];
+
+export function seedModelCache(models = MODELS) {
+  writeHomeFile('.megallm/cache/models.json', JSON.stringify({ fetched_at: new Date().toISOString(), models }));
+}
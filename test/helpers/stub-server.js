@@ -0,0 +1,39 @@
+// A local HTTP server standing in for a MegaLLM endpoint. Each request is
+// recorded (method, path, query, headers, parsed JSON body) and answered
+// by `handler(req)`, which returns { status?, headers?, body }.
+import http from 'http';
+
+/**
+ * @param {(req: { method: string, path: string, query: URLSearchParams, headers: object, body: any }) =>
+ *   { status?: number, headers?: object, body?: any }} handler
+ * @returns {Promise<{ url: string, requests: object[], handle: (fn: Function) => void, close: () => Promise<void> }>}
+ */
+export async function startStub(handler = () => ({ body: {} })) {
+  const requests = [];
+  let respond = handler;
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://stub');
+      let body = null;
+      try { body = raw ? JSON.parse(raw) : null; } catch { body = raw; }
+      const recorded = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body };
+      requests.push(recorded);
+      const { status = 200, headers = {}, body: out = {} } = respond(recorded) || {};
+      res.writeHead(status, { 'content-type': 'application/json', ...headers });
+      res.end(JSON.stringify(out));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  // Keep-alive sockets would hold the test process open after the last test.
+  server.keepAliveTimeout = 1;
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    /** Swap the handler for the next requests. */
+    handle: (fn) => { respond = fn; },
+    close: () => new Promise((resolve) => { server.closeAllConnections(); server.close(() => resolve()); }),
+  };
+}
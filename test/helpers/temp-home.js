@@ -0,0 +1,35 @@
+// Point HOME at a fresh temp directory. Import this before any module under
+// src/: paths such as ~/.megallm and the tool config locations are resolved
+// from os.homedir() when src/constants.js loads.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'megallm-test-'));
+process.env.HOME = HOME;
+process.env.USERPROFILE = HOME;
+process.env.SHELL = '/bin/bash';
+// A developer's own shell must not leak into what the tests read.
+for (const name of ['ANTHROPIC_BASE_URL', 'ANTHROPIC_API_KEY', 'ANTHROPIC_AUTH_TOKEN', 'ANTHROPIC_MODEL', 'MEGALLM_API_KEY', 'OPENAI_BASE_URL', 'OPENAI_API_KEY']) {
+  delete process.env[name];
+}
+process.chdir(HOME);
+
+/** Empty HOME again between tests. */
+export function resetHome() {
+  for (const entry of fs.readdirSync(HOME)) fs.rmSync(path.join(HOME, entry), { recursive: true, force: true });
+}
+
+/** Write `content` to `rel` under HOME, creating directories. */
+export function writeHomeFile(rel, content) {
+  const file = path.join(HOME, rel);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+export function readHomeFile(rel) {
+  return fs.readFileSync(path.join(HOME, rel), 'utf8');
+}
+
+process.on('exit', () => fs.rmSync(HOME, { recursive: true, force: true }));
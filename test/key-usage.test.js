@@ -0,0 +1,40 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+const { HOME, resetHome, writeHomeFile } = await import('./helpers/temp-home.js');
+const { collectKeyHolders, findKeyUsages, keyMatcher } = await import('../src/utils/key-usage.js');
+const { setManagedEnvVars } = await import('../src/utils/env-file.js');
+
+const WORK = 'sk-mega-work000000000000000000000000000';
+const HOME_KEY = 'sk-mega-home000000000000000000000000000';
+
+beforeEach(() => {
+  resetHome();
+  // A project dir, so the project-level Claude config is not ~/.claude.
+  fs.mkdirSync(path.join(HOME, 'project'));
+  process.chdir(path.join(HOME, 'project'));
+});
+
+test('one read of the local key holders answers every key', async () => {
+  writeHomeFile('.megallm/profiles/default/auth.json', JSON.stringify({
+    apiKey: WORK, apiKeyId: 'key_work', orgId: 'org_a',
+    keysByOrg: { org_b: { api_key: HOME_KEY, api_key_id: 'key_home', org_name: 'Home' } },
+  }));
+  writeHomeFile('.claude/settings.json', JSON.stringify({ env: { ANTHROPIC_API_KEY: HOME_KEY } }));
+  setManagedEnvVars({ MEGALLM_API_KEY: WORK });
+
+  const holders = await collectKeyHolders();
+  const labels = async (key) => (await findKeyUsages(keyMatcher(key), holders)).map(u => u.label);
+
+  assert.deepEqual(await labels({ apiKeyId: 'key_work' }), ['profile "default" (active key)']);
+  assert.deepEqual(await labels({ apiKey: WORK }), ['profile "default" (active key)', 'shell export MEGALLM_API_KEY']);
+  assert.deepEqual(await labels({ apiKeyId: 'key_home', keyPrefix: 'sk-mega-home' }), [
+    'profile "default" (saved key for org Home)',
+    'Claude Code (~/.claude/settings.json)',
+  ]);
+  assert.deepEqual(await labels({ apiKeyId: 'key_gone', keyPrefix: 'sk-mega-gone' }), []);
+  // Without holders it reads them itself, with the same answer.
+  assert.deepEqual(await findKeyUsages(keyMatcher({ apiKey: WORK })), await findKeyUsages(keyMatcher({ apiKey: WORK }), holders));
+});
@@ -0,0 +1,122 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+const { HOME, resetHome, writeHomeFile, readHomeFile } = await import('./helpers/temp-home.js');
+const { seedModelCache } = await import('./helpers/catalog.js');
+const { startStub } = await import('./helpers/stub-server.js');
+// The web URL is read when src/constants.js loads, so the stub must be up first.
+const stub = await startStub();
+process.env.MEGALLM_WEB_URL = stub.url;
+const { runKeysRotate } = await import('../src/commands/keys.js');
+const { setManagedEnvVars } = await import('../src/utils/env-file.js');
+const { MEGALLM_BASE_URL } = await import('../src/constants.js');
+
+const OLD_KEY = 'sk-mega-old00000000000000000000000000000';
+const NEW_KEY = 'sk-mega-new00000000000000000000000000000';
+const AUTH = '.megallm/profiles/default/auth.json';
+const CLAUDE = '.claude/settings.json';
+const ENV_SH = '.megallm/env.sh';
+
+/** The three places that hold the old key, as they are on disk. */
+const snapshot = () => Object.fromEntries([AUTH, CLAUDE, ENV_SH].map(f => [f, readHomeFile(f)]));
+
+let userinfo;
+let atRevoke;
+
+class Exit extends Error {
+  constructor(code) { super(`process.exit(${code})`); this.code = code; }
+}
+
+/** Run `megallm keys rotate`; resolves to the exit code (0 when it returns). */
+async function rotate() {
+  const { exit, log } = { exit: process.exit, log: console.log };
+  process.exit = (code) => { throw new Exit(code); };
+  console.log = () => {};
+  try {
+    await runKeysRotate({});
+    return 0;
+  } catch (err) {
+    if (err instanceof Exit) return err.code;
+    throw err;
+  } finally {
+    process.exit = exit;
+    console.log = log;
+  }
+}
+
+const revoked = () => stub.requests.filter(r => r.method === 'DELETE').map(r => [r.path, r.headers.authorization]);
+
+before(() => {
+  stub.handle((req) => {
+    if (req.path === '/api/v1/keys' && req.method === 'GET') {
+      return { body: { data: { keys: [{ api_key_id: 'key_old', api_key_name: 'laptop', key_prefix: OLD_KEY.slice(0, 16), services: ['chat'], limits: { monthly: 50 } }] } } };
+    }
+    if (req.path === '/api/v1/keys' && req.method === 'POST') {
+      return { body: { data: { api_key: NEW_KEY, api_key_id: 'key_new', key_prefix: NEW_KEY.slice(0, 16) } } };
+    }
+    if (req.path === '/api/oauth/userinfo') return userinfo;
+    if (req.method === 'DELETE') {
+      atRevoke ??= snapshot();
+      return { body: { success: true } };
+    }
+    return { status: 404, body: {} };
+  });
+});
+after(() => stub.close());
+
+beforeEach(() => {
+  resetHome();
+  // A project dir, so the project-level Claude config is not ~/.claude.
+  fs.mkdirSync(path.join(HOME, 'project'));
+  process.chdir(path.join(HOME, 'project'));
+  seedModelCache();
+  stub.requests.length = 0;
+  userinfo = { body: { email: 'dev@example.com' } };
+  atRevoke = undefined;
+
+  writeHomeFile(AUTH, JSON.stringify({ apiKey: OLD_KEY, apiKeyId: 'key_old', orgId: 'org_a', orgName: 'Acme' }));
+  writeHomeFile(CLAUDE, JSON.stringify({ env: { ANTHROPIC_BASE_URL: MEGALLM_BASE_URL, ANTHROPIC_API_KEY: OLD_KEY } }, null, 2) + '\n');
+  setManagedEnvVars({ MEGALLM_API_KEY: OLD_KEY });
+});
+afterEach(() => process.chdir(HOME));
+
+test('moves the profile, the Claude inline key and the env.sh export to the new key, then revokes the old one', async () => {
+  assert.equal(await rotate(), 0);
+
+  // The successor copies the old key's name, services and limits.
+  const mint = stub.requests.find(r => r.method === 'POST');
+  assert.deepEqual(mint.body, { api_key_name: 'laptop', org_id: 'org_a', services: ['chat'], limits: { monthly: 50 } });
+
+  // Everything had moved before the old key was revoked.
+  assert.equal(JSON.parse(atRevoke[AUTH]).apiKey, NEW_KEY);
+  assert.equal(JSON.parse(atRevoke[CLAUDE]).env.ANTHROPIC_API_KEY, NEW_KEY);
+  assert.ok(atRevoke[ENV_SH].includes(`MEGALLM_API_KEY='${NEW_KEY}'`));
+  assert.ok(!Object.values(atRevoke).some(text => text.includes(OLD_KEY)));
+  assert.deepEqual(revoked(), [['/api/v1/keys/key_old', `Bearer ${NEW_KEY}`]]);
+
+  const auth = JSON.parse(readHomeFile(AUTH));
+  assert.equal(auth.apiKeyId, 'key_new');
+});
+
+test('a successor that fails the probe is revoked and nothing local changes', async () => {
+  const before = snapshot();
+  userinfo = { status: 401, body: { error: 'invalid_token' } };
+
+  assert.equal(await rotate(), 1);
+  assert.deepEqual(revoked(), [['/api/v1/keys/key_new', `Bearer ${OLD_KEY}`]]);
+  assert.deepEqual(snapshot(), before);
+});
+
+test('a failing transaction step rolls everything back and revokes the successor', async () => {
+  const before = snapshot();
+  // The rc file cannot be read, so the env export step fails after the
+  // profile and Claude steps have staged their writes.
+  fs.rmSync(path.join(HOME, '.bashrc'), { force: true });
+  fs.mkdirSync(path.join(HOME, '.bashrc'));
+
+  assert.equal(await rotate(), 1);
+  assert.deepEqual(revoked(), [['/api/v1/keys/key_new', `Bearer ${OLD_KEY}`]]);
+  assert.deepEqual(snapshot(), before);
+});
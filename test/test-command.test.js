@@ -0,0 +1,149 @@
+import { test, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { resetHome, writeHomeFile } = await import('./helpers/temp-home.js');
+const { startStub } = await import('./helpers/stub-server.js');
+const { runTest } = await import('../src/commands/test.js');
+const { MEGALLM_BASE_URL } = await import('../src/constants.js');
+
+const API_KEY = 'sk-mega-test0000000000000000000000000000';
+
+let stub;
+let output;
+const realFetch = globalThis.fetch;
+const realLog = console.log;
+
+before(async () => {
+  stub = await startStub();
+  // Claude Code is only tested against MegaLLM's own base URL, so its
+  // requests are sent on to the stub here; the other tools name the stub
+  // in their config.
+  globalThis.fetch = (url, init) => realFetch(String(url).replace(MEGALLM_BASE_URL, stub.url), init);
+});
+after(async () => {
+  globalThis.fetch = realFetch;
+  await stub.close();
+});
+
+beforeEach(() => {
+  resetHome();
+  stub.requests.length = 0;
+  stub.handle((req) => ({ body: { id: 'msg_1', model: `${req.body.model}-served` } }));
+  output = [];
+  console.log = (...args) => output.push(args.join(' '));
+});
+afterEach(() => {
+  console.log = realLog;
+  delete process.env.MEGALLM_API_KEY;
+});
+
+const text = () => output.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+
+function wireClaude(env) {
+  writeHomeFile('.claude/settings.json', JSON.stringify({ env }));
+}
+
+function wireCodex({ wireApi = 'chat', model = 'gpt-5' } = {}) {
+  process.env.MEGALLM_API_KEY = API_KEY;
+  writeHomeFile('.codex/config.toml', [
+    'model_provider = "megallm"',
+    `model = "${model}"`,
+    '',
+    '[model_providers.megallm]',
+    'name = "MegaLLM"',
+    `base_url = "${stub.url}/v1"`,
+    'env_key = "MEGALLM_API_KEY"',
+    `wire_api = "${wireApi}"`,
+    '',
+  ].join('\n'));
+}
+
+function wireOpenCode() {
+  process.env.MEGALLM_API_KEY = API_KEY;
+  writeHomeFile('.config/opencode/opencode.json', JSON.stringify({
+    model: 'megallm/gpt-5',
+    provider: { megallm: { npm: '@ai-sdk/openai-compatible', options: { baseURL: `${stub.url}/v1`, apiKey: '{env:MEGALLM_API_KEY}' } } },
+  }));
+}
+
+test('Claude Code sends an Anthropic Messages request with x-api-key', async () => {
+  wireClaude({ ANTHROPIC_BASE_URL: MEGALLM_BASE_URL, ANTHROPIC_API_KEY: API_KEY, ANTHROPIC_MODEL: 'claude-sonnet-4' });
+  assert.equal(await runTest({ tool: 'claude' }), 0);
+
+  const [req] = stub.requests;
+  assert.equal(req.method, 'POST');
+  assert.equal(req.path, '/v1/messages');
+  assert.equal(req.headers['x-api-key'], API_KEY);
+  assert.equal(req.headers['anthropic-version'], '2023-06-01');
+  assert.equal(req.headers.authorization, undefined);
+  assert.deepEqual(req.body, { model: 'claude-sonnet-4', max_tokens: 16, messages: [{ role: 'user', content: 'Reply with the word "ok".' }] });
+  assert.match(text(), /✓ HTTP 200 in \d+ ms — served by claude-sonnet-4-served/);
+});
+
+test('Claude Code sends ANTHROPIC_AUTH_TOKEN as a bearer token', async () => {
+  wireClaude({ ANTHROPIC_BASE_URL: `${MEGALLM_BASE_URL}/`, ANTHROPIC_AUTH_TOKEN: API_KEY, ANTHROPIC_MODEL: 'claude-sonnet-4' });
+  assert.equal(await runTest({ tool: 'claude' }), 0);
+  assert.equal(stub.requests[0].headers.authorization, `Bearer ${API_KEY}`);
+  assert.equal(stub.requests[0].headers['x-api-key'], undefined);
+});
+
+test('Claude Code pointed at another endpoint is not tested', async () => {
+  wireClaude({ ANTHROPIC_BASE_URL: stub.url, ANTHROPIC_API_KEY: API_KEY, ANTHROPIC_MODEL: 'claude-sonnet-4' });
+  wireCodex();
+
+  assert.equal(await runTest(), 0);
+  assert.deepEqual(stub.requests.map(r => r.path), ['/v1/chat/completions']);
+  assert.match(text(), new RegExp(`Claude Code: env.ANTHROPIC_BASE_URL in ~/.claude/settings.json is ${stub.url}, not MegaLLM`));
+  // Named on the command line, an unwired tool is a failure.
+  assert.equal(await runTest({ tool: 'claude' }), 1);
+  assert.equal(stub.requests.length, 1);
+});
+
+test('Codex sends an OpenAI Chat Completions request with a bearer key', async () => {
+  wireCodex();
+  assert.equal(await runTest({ tool: 'codex' }), 0);
+
+  const [req] = stub.requests;
+  assert.equal(req.path, '/v1/chat/completions');
+  assert.equal(req.headers.authorization, `Bearer ${API_KEY}`);
+  assert.equal(req.headers['content-type'], 'application/json');
+  assert.deepEqual(req.body, { model: 'gpt-5', max_tokens: 16, messages: [{ role: 'user', content: 'Reply with the word "ok".' }] });
+});
+
+test('Codex with wire_api = "responses" sends an OpenAI Responses request', async () => {
+  wireCodex({ wireApi: 'responses' });
+  assert.equal(await runTest({ tool: 'codex' }), 0);
+
+  const [req] = stub.requests;
+  assert.equal(req.path, '/v1/responses');
+  assert.equal(req.headers.authorization, `Bearer ${API_KEY}`);
+  assert.deepEqual(req.body, { model: 'gpt-5', max_output_tokens: 16, input: 'Reply with the word "ok".' });
+});
+
+test('OpenCode sends a Chat Completions request for its megallm/ model', async () => {
+  wireOpenCode();
+  assert.equal(await runTest({ tool: 'opencode' }), 0);
+
+  const [req] = stub.requests;
+  assert.equal(req.path, '/v1/chat/completions');
+  assert.equal(req.headers.authorization, `Bearer ${API_KEY}`);
+  assert.equal(req.body.model, 'gpt-5');
+});
+
+const FAILURES = [
+  [401, {}, /The key \(\$MEGALLM_API_KEY\) was rejected: it is wrong, revoked or rotated/],
+  [403, {}, /The key is valid but may not use "gpt-5" here/],
+  [404, {}, /is not an inference endpoint \(check the base URL in the config\) or "gpt-5" does not exist/],
+  [429, { 'retry-after': '7' }, /Rate or spend limit reached \(retry after 7s\)/],
+];
+
+for (const [status, headers, explanation] of FAILURES) {
+  test(`HTTP ${status} is explained`, async () => {
+    wireCodex();
+    stub.handle(() => ({ status, headers, body: { error: { message: `stub says ${status}` } } }));
+
+    assert.equal(await runTest({ tool: 'codex' }), 1);
+    assert.match(text(), new RegExp(`✗ HTTP ${status}: stub says ${status}`));
+    assert.match(text(), explanation);
+  });
+}
@@ -0,0 +1,45 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+
+const { HOME, resetHome, writeHomeFile } = await import('./helpers/temp-home.js');
+const { applyTransaction } = await import('../src/utils/transaction.js');
+const { layerFs } = await import('../src/utils/fs-layer.js');
+
+const bashrc = path.join(HOME, '.bashrc');
+const dotfile = path.join(HOME, 'dotfiles', 'bashrc');
+
+beforeEach(() => {
+  resetHome();
+  writeHomeFile('dotfiles/bashrc', 'alias ll="ls -l"\n');
+  fs.symlinkSync(dotfile, bashrc);
+});
+
+test('writes through a symlinked rc file to its target', async () => {
+  const tx = await applyTransaction([{
+    name: 'shell',
+    run: async () => { layerFs.writeFileSync(bashrc, 'alias ll="ls -l"\nexport A=1\n'); },
+  }]);
+
+  assert.equal(tx.ok, true);
+  assert.ok(fs.lstatSync(bashrc).isSymbolicLink());
+  assert.equal(fs.readFileSync(dotfile, 'utf8'), 'alias ll="ls -l"\nexport A=1\n');
+  assert.deepEqual(fs.readdirSync(path.dirname(dotfile)), ['bashrc']);
+});
+
+test('restores a symlinked rc file in place when a later write fails', async () => {
+  writeHomeFile('blocker', 'a file where a directory is needed\n');
+  const tx = await applyTransaction([{
+    name: 'shell',
+    run: async () => {
+      layerFs.writeFileSync(bashrc, 'changed\n');
+      layerFs.writeFileSync(path.join(HOME, 'blocker', 'config'), 'x\n');
+    },
+  }]);
+
+  assert.equal(tx.ok, false);
+  assert.equal(tx.step, 'writing files');
+  assert.ok(fs.lstatSync(bashrc).isSymbolicLink());
+  assert.equal(fs.readFileSync(dotfile, 'utf8'), 'alias ll="ls -l"\n');
+});
@@ -0,0 +1,110 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { resetHome, writeHomeFile } = await import('./helpers/temp-home.js');
+const { startStub } = await import('./helpers/stub-server.js');
+// The web URL is read when src/constants.js loads, so the stub must be up first.
+const stub = await startStub();
+process.env.MEGALLM_WEB_URL = stub.url;
+const { readUsage, readLimitUsage, formatUsd } = await import('../src/utils/usage.js');
+const { runUsage } = await import('../src/commands/usage.js');
+
+const API_KEY = 'sk-mega-test0000000000000000000000000000';
+
+before(() => resetHome());
+after(() => stub.close());
+beforeEach(() => { stub.requests.length = 0; });
+
+test('readUsage asks the usage endpoint for the filters and normalizes the rows', async () => {
+  stub.handle(() => ({
+    body: {
+      data: {
+        rows: [
+          { model: 'gpt-5', request_count: 3, prompt_tokens: 900, completion_tokens: 120, cost: 0.004 },
+          { group: 'claude-sonnet-4', requests: 10, input_tokens: 5000, output_tokens: 800, cost_usd: 1.25 },
+        ],
+      },
+    },
+  }));
+  const since = new Date('2026-10-01T00:00:00Z');
+  const { rows, totals } = await readUsage(API_KEY, { orgId: 'org_a', keyId: 'key_1', model: undefined, since, groupBy: 'model' });
+
+  const [req] = stub.requests;
+  assert.equal(req.method, 'GET');
+  assert.equal(req.path, '/api/v1/usage');
+  assert.equal(req.headers.authorization, `Bearer ${API_KEY}`);
+  assert.deepEqual(Object.fromEntries(req.query), { org: 'org_a', key: 'key_1', since: since.toISOString(), group_by: 'model' });
+
+  // Highest cost first, backend field aliases folded into one shape.
+  assert.deepEqual(rows, [
+    { group: 'claude-sonnet-4', requests: 10, input_tokens: 5000, output_tokens: 800, cost_usd: 1.25 },
+    { group: 'gpt-5', requests: 3, input_tokens: 900, output_tokens: 120, cost_usd: 0.004 },
+  ]);
+  assert.deepEqual(totals, { requests: 13, input_tokens: 5900, output_tokens: 920, cost_usd: 1.254 });
+});
+
+test('readUsage keeps days in order and prefers totals the backend sends', async () => {
+  stub.handle(() => ({
+    body: {
+      rows: [{ date: '2026-10-02', requests: 1, cost_usd: 2 }, { date: '2026-10-01', requests: 4, cost_usd: 1 }],
+      totals: { requests: 99, cost_usd: 7.5 },
+    },
+  }));
+  const { rows, totals } = await readUsage(API_KEY, { orgId: 'org_a', since: new Date(), groupBy: 'day' });
+  assert.deepEqual(rows.map(r => r.group), ['2026-10-01', '2026-10-02']);
+  assert.equal(totals.requests, 99);
+  assert.equal(totals.cost_usd, 7.5);
+});
+
+test('readUsage surfaces the HTTP status of a failed request', async () => {
+  stub.handle(() => ({ status: 403, body: { message: 'not a member of this org' } }));
+  await assert.rejects(readUsage(API_KEY, { orgId: 'org_b', since: new Date(), groupBy: 'day' }),
+    { status: 403, message: 'not a member of this org' });
+});
+
+test('readLimitUsage measures monthly and daily spend limits from their period start', async () => {
+  stub.handle((req) => ({ body: { rows: [], totals: { cost_usd: req.query.get('since') === startOfMonth().toISOString() ? 31.5 : 2.25 } } }));
+  const spent = await readLimitUsage(API_KEY, { orgId: 'org_a', keyId: 'key_1', limits: { monthly: 50, daily: '5', rpm: 60 } });
+
+  assert.deepEqual(spent, [
+    { period: 'monthly', limit: 50, spent: 31.5 },
+    { period: 'daily', limit: 5, spent: 2.25 },
+  ]);
+  assert.equal(stub.requests.length, 2);
+  assert.ok(stub.requests.every(r => r.query.get('key') === 'key_1'));
+});
+
+test('megallm usage prints a table with totals and the balance', async () => {
+  writeHomeFile('.megallm/profiles/default/auth.json', JSON.stringify({ apiKey: API_KEY, orgId: 'org_a', orgName: 'Acme' }));
+  stub.handle((req) => (req.path === '/api/v1/billing/balance'
+    ? { body: { balance_usd: 12.5, credit_limit_usd: 100 } }
+    : { body: { rows: [{ date: '2026-10-01', requests: 1200, input_tokens: 4000, output_tokens: 500, cost_usd: 0.5 }] } }));
+
+  const lines = [];
+  const log = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await runUsage({ since: '7d', bars: false });
+  } finally {
+    console.log = log;
+  }
+  const text = lines.join('\n').replace(/\x1b\[[0-9;]*m/g, '');
+
+  assert.match(text, /Usage for Acme since/);
+  assert.match(text, /2026-10-01\s+1,200\s+4,000\s+500\s+\$0\.50/);
+  assert.match(text, /Total\s+1,200\s+4,000\s+500\s+\$0\.50/);
+  assert.match(text, /Balance: \$12\.50 of \$100\.00 remaining/);
+  assert.deepEqual(stub.requests.map(r => r.path), ['/api/v1/usage', '/api/v1/billing/balance']);
+  assert.equal(stub.requests[1].query.get('org'), 'org_a');
+});
+
+test('formatUsd rounds to cents and marks dust', () => {
+  assert.equal(formatUsd(0), '$0.00');
+  assert.equal(formatUsd(0.004), '<$0.01');
+  assert.equal(formatUsd(1234.5), '$1234.50');
+});
+
+function startOfMonth() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), 1);
+}